@@ -1,4 +1,5 @@
 import axios from "axios";
+import { randomUUID } from "crypto";
 import {
   emailUserCreated,
   emailAdminUserSignUp,
@@ -7,6 +8,9 @@ import {
   emailUserTokensUpdated,
 } from "../src/email.js";
 import { isValidEmail } from "./utils/validate.js";
+import { sleep } from "./utils/throttle.js";
+import { recordLedgerEntry } from "./utils/ledger.js";
+import { resolveDataPath, withFileLock } from "./utils/store.js";
 import ResponseHandler from "../src/utils/response.js";
 import "dotenv/config";
 
@@ -38,6 +42,7 @@ export async function createUser(emailAddress, password) {
       product: "batch_bytes",
       wa_access_token: "",
       wa_phone_number_id: "",
+      wa_business_account_id: "",
       payment_reference: paymentReference,
       is_active: true,
       tokens: 10,
@@ -64,6 +69,13 @@ export async function createUser(emailAddress, password) {
     );
   }
 
+  recordTokenLedgerEntry(emailAddress, {
+    type: "credit",
+    amount: userData.user_metadata.tokens,
+    balanceAfter: userData.user_metadata.tokens,
+    reason: "Sign up tokens",
+  });
+
   try {
     await Promise.all([
       (async () => {
@@ -286,188 +298,432 @@ export async function setUserActiveStatus(emailAddress, isActive) {
  *
  * @param {string} emailAddress
  * @param {number} newTokenAmount
+ * @param {string} [reason] - Recorded in token ledger
  * @returns {Promise<Object>|string} - JSON response or string response
  */
-export async function setUserTokens(emailAddress, newTokenAmount) {
-  let setUserTokensResponse;
+export async function setUserTokens(emailAddress, newTokenAmount, reason) {
+  return withTokenLock(emailAddress, async () => {
+    let setUserTokensResponse;
+
+    const optionsGet = {
+      method: "GET",
+      url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users`,
+      params: { q: `email:${emailAddress}`, search_engine: "v3" },
+      headers: {
+        authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
+      },
+    };
 
-  const optionsGet = {
-    method: "GET",
-    url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users`,
-    params: { q: `email:${emailAddress}`, search_engine: "v3" },
-    headers: {
-      authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
-    },
-  };
+    if (isNaN(newTokenAmount)) {
+      return ResponseHandler.badRequest("Invalid token amount", newTokenAmount);
+    }
 
-  if (isNaN(newTokenAmount)) {
-    return ResponseHandler.badRequest("Invalid token amount", newTokenAmount);
-  }
+    try {
+      const getResponse = await axios.request(optionsGet);
+      if (getResponse.data.length === 0) {
+        return ResponseHandler.notFound("User not found", emailAddress);
+      }
 
-  try {
-    const getResponse = await axios.request(optionsGet);
-    if (getResponse.data.length === 0) {
-      return ResponseHandler.notFound("User not found", emailAddress);
-    }
+      const userId = getResponse.data[0].user_id;
+      const previousTokens = Number(
+        getResponse.data[0].user_metadata?.tokens || 0,
+      );
+      const updatedMetadata = {
+        user_metadata: {
+          tokens: newTokenAmount,
+        },
+      };
+
+      const optionsUpdate = {
+        method: "PATCH",
+        url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users/${userId}`,
+        headers: {
+          authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
+          "Content-Type": "application/json",
+        },
+        data: updatedMetadata,
+      };
 
-    const userId = getResponse.data[0].user_id;
-    const updatedMetadata = {
-      user_metadata: {
-        tokens: newTokenAmount,
-      },
-    };
+      try {
+        setUserTokensResponse = await axios.request(optionsUpdate);
+      } catch (error) {
+        return ResponseHandler.error(
+          undefined,
+          "Failed to set user tokens",
+          error.message,
+        );
+      }
 
-    const optionsUpdate = {
-      method: "PATCH",
-      url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users/${userId}`,
+      const clientName = setUserTokensResponse.data.nickname;
+      const clientTokens = setUserTokensResponse.data.user_metadata.tokens;
+
+      recordTokenLedgerEntry(emailAddress, {
+        type: "override",
+        amount: Number(clientTokens) - previousTokens,
+        balanceAfter: clientTokens,
+        reason: reason || "Token balance set by admin",
+      });
+
+      try {
+        await emailUserTokensUpdated(clientName, emailAddress, clientTokens);
+      } catch (error) {
+        return ResponseHandler.error(
+          undefined,
+          "Failed to send user tokens updated email",
+          error.message,
+        );
+      }
+
+      return ResponseHandler.success(
+        "Successfully set user tokens",
+        setUserTokensResponse.data.user_metadata.tokens,
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to set user tokens",
+        error?.response?.data?.message,
+      );
+    }
+  });
+}
+
+/**
+ * Updates the given user's token amount by either adding or deducting a given amount
+ *
+ * @param {string} emailAddress
+ * @param {number} tokenAmount - Amount to add or subtract from user's current token amount
+ * @param {string} mathOperator - Should either be "+" or "-"
+ * @param {boolean} isBatch - If true, do not send client tokens updated email
+ * @param {string} [reason] - Recorded in token ledger
+ * @returns {Promise<Object>|string} - JSON response or string response
+ */
+export async function updateUserTokens(
+  emailAddress,
+  tokenAmount,
+  mathOperator,
+  isBatch,
+  reason,
+) {
+  return withTokenLock(emailAddress, async () => {
+    let updatedTokenAmount;
+    let updateUserTokensResponse;
+
+    const optionsGet = {
+      method: "GET",
+      url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users`,
+      params: { q: `email:${emailAddress}`, search_engine: "v3" },
       headers: {
         authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
       },
-      data: updatedMetadata,
     };
 
     try {
-      setUserTokensResponse = await axios.request(optionsUpdate);
+      const response = await axios.request(optionsGet);
+      if (response.data.length === 0) {
+        return ResponseHandler.notFound("User not found", emailAddress);
+      }
+
+      const user = response.data[0];
+      const userId = user.user_id;
+      const currentTokens = Number(user.user_metadata?.tokens || 0);
+      const tokenAmountNumber = Number(tokenAmount);
+      if (isNaN(tokenAmountNumber)) {
+        return ResponseHandler.badRequest("Invalid token amount", tokenAmount);
+      }
+
+      if (mathOperator === "+") {
+        updatedTokenAmount = currentTokens + tokenAmountNumber;
+      } else if (mathOperator === "-") {
+        updatedTokenAmount = currentTokens - tokenAmountNumber;
+      } else {
+        return ResponseHandler.error(
+          undefined,
+          "A subtraction or addition mathematical operator is required",
+          undefined,
+        );
+      }
+
+      const updatedMetadata = {
+        user_metadata: {
+          tokens: updatedTokenAmount,
+        },
+      };
+
+      const optionsUpdate = {
+        method: "PATCH",
+        url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users/${userId}`,
+        headers: {
+          authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
+          "Content-Type": "application/json",
+        },
+        data: updatedMetadata,
+      };
+
+      try {
+        updateUserTokensResponse = await axios.request(optionsUpdate);
+      } catch (error) {
+        return ResponseHandler.error(
+          undefined,
+          "Failed to update user tokens",
+          error.message,
+        );
+      }
+
+      const clientName = updateUserTokensResponse.data.nickname;
+      const clientTokens = updateUserTokensResponse.data.user_metadata.tokens;
+
+      recordTokenLedgerEntry(emailAddress, {
+        type: mathOperator === "+" ? "credit" : "debit",
+        amount: mathOperator === "+" ? tokenAmountNumber : -tokenAmountNumber,
+        balanceAfter: clientTokens,
+        reason:
+          reason ||
+          (mathOperator === "+"
+            ? "Tokens added by admin"
+            : "Tokens subtracted by admin"),
+      });
+
+      if (!isBatch) {
+        try {
+          await emailUserTokensUpdated(clientName, emailAddress, clientTokens);
+        } catch (error) {
+          return ResponseHandler.error(
+            undefined,
+            "Failed to send user tokens updated email",
+            error,
+          );
+        }
+      }
+
+      return ResponseHandler.success(
+        "Successfully updated user tokens",
+        updateUserTokensResponse.data.user_metadata.tokens,
+      );
     } catch (error) {
       return ResponseHandler.error(
         undefined,
-        "Failed to set user tokens",
-        error.message,
+        "Failed to update user tokens",
+        error?.response?.data?.message,
       );
     }
+  });
+}
 
-    const clientName = setUserTokensResponse.data.nickname;
-    const clientTokens = setUserTokensResponse.data.user_metadata.tokens;
+/**
+ * Reserves tokens for a batch by placing a hold in `user_metadata.token_holds`.
+ * Held tokens are not available to other batches until the hold is committed,
+ * released or expires after NEXT_PUBLIC_TOKEN_HOLD_TTL_MINUTES.
+ * Auth0 has no conditional updates, so the user is read back after placing the
+ * hold to detect a concurrent reservation overwriting or overdrawing it
+ *
+ * @param {string} emailAddress
+ * @param {number} tokenAmount - Maximum cost of batch
+ * @returns {Promise<Object>} - Response object with hold ID and expiry as data
+ */
+export async function reserveTokens(emailAddress, tokenAmount) {
+  const maxAttempts = Number(process.env.NEXT_PUBLIC_MAX_RETRIES || 2) + 1;
+  const holdTtlMinutes = Number(
+    process.env.NEXT_PUBLIC_TOKEN_HOLD_TTL_MINUTES || 60,
+  );
 
+  return withTokenLock(emailAddress, async () => {
     try {
-      await emailUserTokensUpdated(clientName, emailAddress, clientTokens);
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const user = await fetchUserByEmail(emailAddress);
+        if (!user) {
+          return ResponseHandler.notFound("User not found", emailAddress);
+        }
+
+        const tokenHolds = getActiveTokenHolds(user);
+        if (tokenAmount > getAvailableTokens(user, tokenHolds)) {
+          return ResponseHandler.badRequest(
+            "User has insufficient tokens!",
+            `Available tokens: ${getAvailableTokens(user, tokenHolds)}`,
+          );
+        }
+
+        const holdId = randomUUID();
+        const expiresAt = new Date(
+          Date.now() + holdTtlMinutes * 60 * 1000,
+        ).toISOString();
+        tokenHolds[holdId] = { amount: tokenAmount, expiresAt };
+        await patchUserMetadata(user.user_id, { token_holds: tokenHolds });
+
+        const verifiedUser = await fetchUserByEmail(emailAddress);
+        const verifiedHolds = getActiveTokenHolds(verifiedUser);
+        if (verifiedHolds[holdId]) {
+          if (getAvailableTokens(verifiedUser, verifiedHolds) < 0) {
+            await removeTokenHold(emailAddress, holdId);
+            return ResponseHandler.badRequest(
+              "User has insufficient tokens!",
+              "Tokens are held by another batch",
+            );
+          }
+          return ResponseHandler.success("Successfully reserved user tokens", {
+            holdId,
+            amount: tokenAmount,
+            expiresAt,
+          });
+        }
+
+        // Hold was overwritten by a concurrent update, try again
+        await sleep(Math.random() * 1000);
+      }
     } catch (error) {
       return ResponseHandler.error(
         undefined,
-        "Failed to send user tokens updated email",
-        error.message,
+        "Failed to reserve user tokens",
+        error?.response?.data?.message || error.message,
       );
     }
 
-    return ResponseHandler.success(
-      "Successfully set user tokens",
-      setUserTokensResponse.data.user_metadata.tokens,
-    );
-  } catch (error) {
     return ResponseHandler.error(
       undefined,
-      "Failed to set user tokens",
-      error?.response?.data?.message,
+      "Failed to reserve user tokens",
+      "Token holds were updated concurrently, try again",
     );
-  }
+  });
 }
 
 /**
- * Updates the given user's token amount by either adding or deducting a given amount
+ * Settles token hold by deducting actual batch cost and removing the hold.
+ * The cost is deducted even if the hold already expired, since the messages were sent
  *
  * @param {string} emailAddress
- * @param {number} tokenAmount - Amount to add or subtract from user's current token amount
- * @param {string} mathOperator - Should either be "+" or "-"
- * @param {boolean} isBatch - If true, do not send client tokens updated email
- * @returns {Promise<Object>|string} - JSON response or string response
+ * @param {string} holdId - Returned by reserveTokens
+ * @param {number} tokenAmount - Actual cost of batch, at most the reserved amount
+ * @param {string} batchId - Recorded in token ledger
+ * @param {string} reason - Recorded in token ledger
+ * @returns {Promise<Object>} - Response object with updated token amount as data
  */
-export async function updateUserTokens(
+export async function commitTokens(
   emailAddress,
+  holdId,
   tokenAmount,
-  mathOperator,
-  isBatch,
+  batchId,
+  reason,
 ) {
-  let updatedTokenAmount;
-  let updateUserTokensResponse;
+  return withTokenLock(emailAddress, async () => {
+    try {
+      const user = await fetchUserByEmail(emailAddress);
+      if (!user) {
+        return ResponseHandler.notFound("User not found", emailAddress);
+      }
 
-  const optionsGet = {
-    method: "GET",
-    url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users`,
-    params: { q: `email:${emailAddress}`, search_engine: "v3" },
-    headers: {
-      authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
-    },
-  };
+      const tokenHolds = getActiveTokenHolds(user);
+      delete tokenHolds[holdId];
 
-  try {
-    const response = await axios.request(optionsGet);
-    if (response.data.length === 0) {
-      return ResponseHandler.notFound("User not found", emailAddress);
-    }
+      const updatedUser = await patchUserMetadata(user.user_id, {
+        tokens: Number(user.user_metadata?.tokens || 0) - Number(tokenAmount),
+        token_holds: tokenHolds,
+      });
 
-    const user = response.data[0];
-    const userId = user.user_id;
-    const currentTokens = Number(user.user_metadata?.tokens || 0);
-    const tokenAmountNumber = Number(tokenAmount);
-    if (isNaN(tokenAmountNumber)) {
-      return ResponseHandler.badRequest("Invalid token amount", tokenAmount);
-    }
+      recordTokenLedgerEntry(emailAddress, {
+        type: "debit",
+        amount: -Number(tokenAmount),
+        balanceAfter: updatedUser.user_metadata.tokens,
+        reason,
+        batchId,
+      });
 
-    if (mathOperator === "+") {
-      updatedTokenAmount = currentTokens + tokenAmountNumber;
-    } else if (mathOperator === "-") {
-      updatedTokenAmount = currentTokens - tokenAmountNumber;
-    } else {
+      return ResponseHandler.success(
+        "Successfully committed user tokens",
+        updatedUser.user_metadata.tokens,
+      );
+    } catch (error) {
       return ResponseHandler.error(
         undefined,
-        "A subtraction or addition mathematical operator is required",
-        undefined,
+        "Failed to commit user tokens",
+        error?.response?.data?.message || error.message,
       );
     }
+  });
+}
 
-    const updatedMetadata = {
-      user_metadata: {
-        tokens: updatedTokenAmount,
-      },
-    };
-
-    const optionsUpdate = {
-      method: "PATCH",
-      url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users/${userId}`,
-      headers: {
-        authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      data: updatedMetadata,
-    };
+/**
+ * Refunds tokens to user, i.e for messages that were charged but not delivered
+ *
+ * @param {string} emailAddress
+ * @param {number} tokenAmount - Amount to add back to user's current token amount
+ * @param {string} reason - Recorded in token ledger
+ * @param {string} [batchId] - Batch the refund relates to
+ * @returns {Promise<Object>} - Response object with updated token amount as data
+ */
+export async function refundUserTokens(
+  emailAddress,
+  tokenAmount,
+  reason,
+  batchId,
+) {
+  const tokenAmountNumber = Number(tokenAmount);
+  if (isNaN(tokenAmountNumber) || tokenAmountNumber <= 0) {
+    return ResponseHandler.badRequest("Invalid token amount", tokenAmount);
+  }
 
+  return withTokenLock(emailAddress, async () => {
     try {
-      updateUserTokensResponse = await axios.request(optionsUpdate);
+      const user = await fetchUserByEmail(emailAddress);
+      if (!user) {
+        return ResponseHandler.notFound("User not found", emailAddress);
+      }
+
+      const updatedUser = await patchUserMetadata(user.user_id, {
+        tokens: Number(user.user_metadata?.tokens || 0) + tokenAmountNumber,
+      });
+
+      recordTokenLedgerEntry(emailAddress, {
+        type: "refund",
+        amount: tokenAmountNumber,
+        balanceAfter: updatedUser.user_metadata.tokens,
+        reason,
+        batchId,
+      });
+
+      return ResponseHandler.success(
+        "Successfully refunded user tokens",
+        updatedUser.user_metadata.tokens,
+      );
     } catch (error) {
       return ResponseHandler.error(
         undefined,
-        "Failed to update user tokens",
-        error.message,
+        "Failed to refund user tokens",
+        error?.response?.data?.message || error.message,
       );
     }
+  });
+}
 
-    const clientName = updateUserTokensResponse.data.nickname;
-    const clientTokens = updateUserTokensResponse.data.user_metadata.tokens;
+/**
+ * Removes token hold without deducting tokens, i.e if batch failed before sending
+ *
+ * @param {string} emailAddress
+ * @param {string} [holdId] - Returned by reserveTokens, nothing is released if undefined
+ * @returns {Promise<Object>}
+ */
+export async function releaseTokens(emailAddress, holdId) {
+  if (!holdId) {
+    return ResponseHandler.success("No user tokens held", undefined);
+  }
 
-    if (!isBatch) {
-      try {
-        await emailUserTokensUpdated(clientName, emailAddress, clientTokens);
-      } catch (error) {
-        return ResponseHandler.error(
-          undefined,
-          "Failed to send user tokens updated email",
-          error,
-        );
+  return withTokenLock(emailAddress, async () => {
+    try {
+      if (!(await removeTokenHold(emailAddress, holdId))) {
+        return ResponseHandler.notFound("User not found", emailAddress);
       }
-    }
 
-    return ResponseHandler.success(
-      "Successfully updated user tokens",
-      updateUserTokensResponse.data.user_metadata.tokens,
-    );
-  } catch (error) {
-    return ResponseHandler.error(
-      undefined,
-      "Failed to update user tokens",
-      error?.response?.data?.message,
-    );
-  }
+      return ResponseHandler.success(
+        "Successfully released user tokens",
+        holdId,
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to release user tokens",
+        error?.response?.data?.message || error.message,
+      );
+    }
+  });
 }
 
 /**
@@ -650,12 +906,14 @@ export async function getUserTokens(emailAddress) {
  * @param {string} emailAddress
  * @param {string} accessToken
  * @param {string} phoneNumberId
+ * @param {string} [businessAccountId]
  * @returns {Promise<Object>}
  */
 export async function updateUserWhatsAppCredentials(
   emailAddress,
   accessToken,
   phoneNumberId,
+  businessAccountId,
 ) {
   const optionsGet = {
     method: "GET",
@@ -678,6 +936,9 @@ export async function updateUserWhatsAppCredentials(
       user_metadata: {
         wa_access_token: accessToken,
         wa_phone_number_id: phoneNumberId,
+        ...(businessAccountId && {
+          wa_business_account_id: businessAccountId,
+        }),
       },
     };
 
@@ -720,3 +981,150 @@ function createPaymentReference(emailAddress) {
 
   return `PAY-${randomNumber}-${namePart}`;
 }
+
+/**
+ * Fetches raw Auth0 user by email address
+ *
+ * @param {string} emailAddress
+ * @returns {Promise<Object|undefined>} - Undefined if user does not exist
+ * @throws {Error} - Request fails
+ */
+async function fetchUserByEmail(emailAddress) {
+  const options = {
+    method: "GET",
+    url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users`,
+    params: { q: `email:${emailAddress}`, search_engine: "v3" },
+    headers: {
+      authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
+    },
+  };
+
+  const response = await axios.request(options);
+  return response.data[0];
+}
+
+/**
+ * Updates top level user_metadata keys of user. Auth0 replaces nested objects, i.e `token_holds`, as a whole
+ *
+ * @param {string} userId
+ * @param {Object} userMetadata
+ * @returns {Promise<Object>} - Updated Auth0 user
+ * @throws {Error} - Request fails
+ */
+async function patchUserMetadata(userId, userMetadata) {
+  const options = {
+    method: "PATCH",
+    url: `${process.env.NEXT_PUBLIC_AUTH0_DOMAIN}/api/v2/users/${userId}`,
+    headers: {
+      authorization: `Bearer ${process.env.NEXT_PUBLIC_AUTH0_ACCESS_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+    data: { user_metadata: userMetadata },
+  };
+
+  const response = await axios.request(options);
+  return response.data;
+}
+
+/**
+ * Runs read-modify-write update of user's tokens or token holds while holding the client's token lock.
+ * Auth0 has no conditional updates, so two batches committing at once would otherwise both write a balance
+ * computed from the same read and lose one deduction
+ *
+ * @param {string} emailAddress
+ * @param {Function} callback - Async function returning response object
+ * @returns {Promise<Object>} - Response object of callback
+ */
+async function withTokenLock(emailAddress, callback) {
+  let lockPath;
+  try {
+    lockPath = resolveDataPath(
+      "locks",
+      `tokens-${emailAddress.trim().toLowerCase()}.lock`,
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to lock user tokens",
+      error.message,
+    );
+  }
+
+  try {
+    return await withFileLock(lockPath, callback);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to lock user tokens",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Removes token hold of user, caller must hold the token lock
+ *
+ * @param {string} emailAddress
+ * @param {string} holdId
+ * @returns {Promise<boolean>} - false if user does not exist
+ * @throws {Error} - Request fails
+ */
+async function removeTokenHold(emailAddress, holdId) {
+  const user = await fetchUserByEmail(emailAddress);
+  if (!user) {
+    return false;
+  }
+
+  const tokenHolds = getActiveTokenHolds(user);
+  delete tokenHolds[holdId];
+  await patchUserMetadata(user.user_id, { token_holds: tokenHolds });
+  return true;
+}
+
+/**
+ * Records token balance change in ledger. Called after the balance was updated, so a failed ledger write
+ * is logged instead of failing the update, i.e a committed batch must still be marked as charged
+ *
+ * @param {string} emailAddress
+ * @param {Object} entry - See recordLedgerEntry
+ */
+function recordTokenLedgerEntry(emailAddress, entry) {
+  try {
+    recordLedgerEntry(emailAddress, entry);
+  } catch (error) {
+    console.log(
+      `Failed to record ledger entry of ${emailAddress} (${entry.type} ${entry.amount}): ` +
+        error.message,
+    );
+  }
+}
+
+/**
+ * Returns token holds of user that have not expired yet. Expired holds are
+ * dropped from the next metadata update, which releases them
+ *
+ * @param {Object} user - Auth0 user
+ * @returns {Object<string, {amount: number, expiresAt: string}>}
+ */
+function getActiveTokenHolds(user) {
+  const now = new Date().toISOString();
+
+  return Object.fromEntries(
+    Object.entries(user.user_metadata?.token_holds || {}).filter(
+      ([, hold]) => hold.expiresAt > now,
+    ),
+  );
+}
+
+/**
+ * @param {Object} user - Auth0 user
+ * @param {Object} tokenHolds - Active token holds of user
+ * @returns {number} - Token balance minus held tokens
+ */
+function getAvailableTokens(user, tokenHolds) {
+  const heldTokens = Object.values(tokenHolds).reduce(
+    (total, hold) => total + Number(hold.amount),
+    0,
+  );
+  return Number(user.user_metadata?.tokens || 0) - heldTokens;
+}
@@ -0,0 +1,72 @@
+import { processSms } from "./sms.js";
+import { processEmails } from "./email.js";
+import { processWhatsapp } from "./whatsapp.js";
+import { processMonthlyReports } from "./report.js";
+import ResponseHandler from "./utils/response.js";
+import { getBatchJob, listBatchJobs } from "./utils/jobs.js";
+
+/**
+ * Runs batch for given channel
+ *
+ * @param {string} channel - "email", "sms", "whatsapp" or "monthly_report"
+ * @param {boolean} isDraft - If true, only send to client
+ * @param {Object} [options] - Passed to process function, i.e sheetLocation, sheetDirectory or batchId
+ * @returns {Promise<Object>}
+ */
+export async function processBatch(channel, isDraft, options = {}) {
+  switch (channel) {
+    case "email":
+      return processEmails(isDraft, options);
+    case "sms":
+      return processSms(isDraft, options);
+    case "whatsapp":
+      return processWhatsapp(isDraft, options);
+    case "monthly_report":
+      return processMonthlyReports();
+    default:
+      return ResponseHandler.badRequest("Unknown batch channel", channel);
+  }
+}
+
+/**
+ * Resumes interrupted batch. Recipients already sent to are skipped and are not charged again
+ *
+ * @param {string} batchId
+ * @returns {Promise<Object>}
+ */
+export async function resumeBatch(batchId) {
+  const job = getBatchJob(batchId);
+
+  if (!job) {
+    return ResponseHandler.notFound("Batch not found", batchId);
+  }
+  if (job.completedAt) {
+    return ResponseHandler.badRequest("Batch already completed", batchId);
+  }
+
+  return processBatch(job.channel, false, {
+    sheetLocation: job.sheetLocation,
+    sheetDirectory: job.sheetDirectory,
+    batchId,
+  });
+}
+
+/**
+ * Lists stored batch jobs with recipient state counts
+ *
+ * @returns {Object}
+ */
+export function getAllBatches() {
+  try {
+    return ResponseHandler.success(
+      "Successfully fetched all batches",
+      listBatchJobs(),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch all batches",
+      error.message,
+    );
+  }
+}
@@ -0,0 +1,412 @@
+import { parseArgs } from "node:util";
+import {
+  createUser,
+  getAllUsers,
+  getUserTokens,
+  getUserByEmail,
+  updateUserTokens,
+  setUserActiveStatus,
+  setUserTokens,
+  deleteUserByEmail,
+  loginUser,
+  triggerPasswordReset,
+  refundUserTokens,
+} from "./auth0.js";
+import { processMonthlyReports } from "./report.js";
+import { verifyEmailAddressSes, getEmailLayouts } from "./email.js";
+import { processBatch, resumeBatch, getAllBatches } from "./batches.js";
+import { getTokenStatement } from "./ledger.js";
+import {
+  suppressRecipient,
+  unsuppressRecipient,
+  getClientSuppressions,
+  syncSmsOptOuts,
+  syncEmailBounces,
+} from "./suppressions.js";
+import { lookupMessage } from "./messages.js";
+import { syncWhatsappTemplates } from "./whatsappTemplates.js";
+import { startServer } from "./server.js";
+import {
+  scheduleBatch,
+  getAllSchedules,
+  cancelScheduledBatch,
+  startScheduler,
+  createRecurringBatch,
+  getAllRecurringBatches,
+  cancelRecurringBatch,
+  getRecurringBatchHistory,
+} from "./scheduler.js";
+import ResponseHandler from "./utils/response.js";
+import "dotenv/config";
+
+export const EXIT_SUCCESS = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const usage = `Usage: batch-bytes <command> [options]
+
+Send commands:
+  send email [--sheet <path>] [--draft]
+  send sms [--sheet <path>] [--draft]
+  send whatsapp [--sheet <path>] [--draft]
+  send monthly-report
+  resume <batchId>
+  schedule <email|sms|whatsapp> --at "<YYYY-MM-DD HH:mm>" [--timezone <zone>] [--sheet <path>]
+  recurring <email|sms|whatsapp|monthly-report> --cron "<expression>" [--timezone <zone>] [--sheet <path>] [--snapshot] [--name <text>]
+  scheduler run [--once]
+  serve [--port <n>]
+
+Admin commands:
+  admin create-user --email <email> --password <password>
+  admin all-users
+  admin token-balance --email <email>
+  admin get-user --email <email>
+  admin update-tokens --email <email> --amount <n> --operator <add|subtract> [--reason <text>]
+  admin set-status --email <email> --status <active|inactive>
+  admin set-tokens --email <email> --amount <n> [--reason <text>]
+  admin refund-tokens --email <email> --amount <n> --reason <text> [--batch <batchId>]
+  admin statement --email <email> [--export <file.csv>]
+  admin delete-user --email <email>
+  admin login --email <email> --password <password>
+  admin verify --email <email>
+  admin reset-password --email <email>
+  admin list-batches
+  admin list-schedules
+  admin cancel-schedule <scheduleId>
+  admin list-recurring
+  admin cancel-recurring <recurringId>
+  admin recurring-history <recurringId>
+  admin list-layouts
+  admin suppress --email <email> --channel <email|sms|whatsapp> --recipient <recipient> [--reason <reason>]
+  admin unsuppress --email <email> --channel <email|sms|whatsapp> --recipient <recipient>
+  admin list-suppressions --email <email> [--channel <email|sms|whatsapp>] [--reason <reason>]
+  admin sync-opt-outs --email <email>
+  admin sync-bounces --email <email>
+  admin lookup-message <messageId>
+  admin sync-templates [--email <email>]
+
+Global options:
+  --json    Print the result as JSON on stdout
+  --help    Show this message
+
+Exit codes: 0 success, 1 operation failed, 2 invalid usage`;
+
+/**
+ * Error thrown when the command line arguments are invalid
+ */
+class UsageError extends Error {}
+
+/**
+ * Command table, keyed by command words, i.e "admin set-tokens". Each entry
+ * lists the options and positional arguments it requires and the handler
+ * that returns a ResponseHandler object
+ */
+const commands = {
+  "send email": {
+    run: (values) =>
+      processBatch("email", values.draft, { sheetLocation: values.sheet }),
+  },
+  "send sms": {
+    run: (values) =>
+      processBatch("sms", values.draft, { sheetLocation: values.sheet }),
+  },
+  "send whatsapp": {
+    run: (values) =>
+      processBatch("whatsapp", values.draft, { sheetLocation: values.sheet }),
+  },
+  "send monthly-report": {
+    run: () => processMonthlyReports(),
+  },
+  resume: {
+    args: ["batchId"],
+    run: (values, args) => resumeBatch(args.batchId),
+  },
+  schedule: {
+    args: ["channel"],
+    required: ["at"],
+    run: (values, args) =>
+      scheduleBatch(args.channel, values.sheet, values.at, values.timezone),
+  },
+  recurring: {
+    args: ["channel"],
+    required: ["cron"],
+    run: (values, args) =>
+      createRecurringBatch(
+        args.channel === "monthly-report" ? "monthly_report" : args.channel,
+        values.cron,
+        values.sheet,
+        values.timezone,
+        values.snapshot,
+        values.name,
+      ),
+  },
+  "scheduler run": {
+    run: (values) => startScheduler(values.once),
+  },
+  serve: {
+    run: (values) => startServer(values.port),
+  },
+  "admin create-user": {
+    required: ["email", "password"],
+    run: (values) => createUser(values.email, values.password),
+  },
+  "admin all-users": {
+    run: () => getAllUsers(),
+  },
+  "admin token-balance": {
+    required: ["email"],
+    run: (values) => getUserTokens(values.email),
+  },
+  "admin get-user": {
+    required: ["email"],
+    run: (values) => getUserByEmail(values.email),
+  },
+  "admin update-tokens": {
+    required: ["email", "amount", "operator"],
+    run: (values) => {
+      const operators = { add: "+", subtract: "-" };
+      if (!operators[values.operator]) {
+        throw new UsageError("--operator must be either add or subtract");
+      }
+      return updateUserTokens(
+        values.email,
+        values.amount,
+        operators[values.operator],
+        false,
+        values.reason,
+      );
+    },
+  },
+  "admin set-status": {
+    required: ["email", "status"],
+    run: (values) => {
+      if (values.status !== "active" && values.status !== "inactive") {
+        throw new UsageError("--status must be either active or inactive");
+      }
+      return setUserActiveStatus(values.email, values.status === "active");
+    },
+  },
+  "admin set-tokens": {
+    required: ["email", "amount"],
+    run: (values) => setUserTokens(values.email, values.amount, values.reason),
+  },
+  "admin refund-tokens": {
+    required: ["email", "amount", "reason"],
+    run: (values) =>
+      refundUserTokens(
+        values.email,
+        values.amount,
+        values.reason,
+        values.batch,
+      ),
+  },
+  "admin statement": {
+    required: ["email"],
+    run: (values) => getTokenStatement(values.email, values.export),
+  },
+  "admin delete-user": {
+    required: ["email"],
+    run: (values) => deleteUserByEmail(values.email),
+  },
+  "admin login": {
+    required: ["email", "password"],
+    run: (values) => loginUser(values.email, values.password),
+  },
+  "admin verify": {
+    required: ["email"],
+    run: (values) => verifyEmailAddressSes(values.email),
+  },
+  "admin reset-password": {
+    required: ["email"],
+    run: (values) => triggerPasswordReset(values.email),
+  },
+  "admin list-batches": {
+    run: () => getAllBatches(),
+  },
+  "admin list-schedules": {
+    run: () => getAllSchedules(),
+  },
+  "admin cancel-schedule": {
+    args: ["scheduleId"],
+    run: (values, args) => cancelScheduledBatch(args.scheduleId),
+  },
+  "admin list-recurring": {
+    run: () => getAllRecurringBatches(),
+  },
+  "admin cancel-recurring": {
+    args: ["recurringId"],
+    run: (values, args) => cancelRecurringBatch(args.recurringId),
+  },
+  "admin recurring-history": {
+    args: ["recurringId"],
+    run: (values, args) => getRecurringBatchHistory(args.recurringId),
+  },
+  "admin list-layouts": {
+    run: () => getEmailLayouts(),
+  },
+  "admin suppress": {
+    required: ["email", "channel", "recipient"],
+    run: (values) =>
+      suppressRecipient(
+        values.email,
+        values.channel,
+        values.recipient,
+        values.reason,
+      ),
+  },
+  "admin unsuppress": {
+    required: ["email", "channel", "recipient"],
+    run: (values) =>
+      unsuppressRecipient(values.email, values.channel, values.recipient),
+  },
+  "admin list-suppressions": {
+    required: ["email"],
+    run: (values) =>
+      getClientSuppressions(values.email, values.channel, values.reason),
+  },
+  "admin sync-opt-outs": {
+    required: ["email"],
+    run: (values) => syncSmsOptOuts(values.email),
+  },
+  "admin sync-bounces": {
+    required: ["email"],
+    run: (values) => syncEmailBounces(values.email),
+  },
+  "admin lookup-message": {
+    args: ["messageId"],
+    run: (values, args) => lookupMessage(args.messageId),
+  },
+  "admin sync-templates": {
+    run: (values) => syncWhatsappTemplates(values.email),
+  },
+};
+
+const options = {
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", default: false },
+  draft: { type: "boolean", default: false },
+  sheet: { type: "string" },
+  email: { type: "string" },
+  password: { type: "string" },
+  amount: { type: "string" },
+  operator: { type: "string" },
+  status: { type: "string" },
+  reason: { type: "string" },
+  batch: { type: "string" },
+  export: { type: "string" },
+  at: { type: "string" },
+  timezone: { type: "string" },
+  once: { type: "boolean", default: false },
+  cron: { type: "string" },
+  snapshot: { type: "boolean", default: false },
+  name: { type: "string" },
+  port: { type: "string" },
+  channel: { type: "string" },
+  recipient: { type: "string" },
+};
+
+/**
+ * Runs a single non-interactive command and prints its result
+ *
+ * @param {string[]} argv - Command line arguments, excluding node and script path
+ * @returns {Promise<number>} - Process exit code
+ */
+export async function runCli(argv) {
+  let parsed;
+
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options,
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    console.error(error.message + "\n\n" + usage);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    console.log(usage);
+    return EXIT_SUCCESS;
+  }
+
+  const commandName = [positionals.slice(0, 2).join(" "), positionals[0]].find(
+    (name) => commands[name],
+  );
+  const command = commands[commandName];
+  const argValues = positionals.slice(commandName?.split(" ").length);
+
+  if (!command) {
+    console.error(`Unknown command: ${positionals.join(" ")}\n\n` + usage);
+    return EXIT_USAGE;
+  }
+
+  if (argValues.length !== (command.args || []).length) {
+    const expected = (command.args || []).map((name) => `<${name}>`);
+    console.error(`Usage: batch-bytes ${commandName} ${expected.join(" ")}`);
+    return EXIT_USAGE;
+  }
+
+  const args = Object.fromEntries(
+    (command.args || []).map((name, index) => [name, argValues[index]]),
+  );
+
+  const missing = (command.required || []).filter((name) => !values[name]);
+  if (missing.length > 0) {
+    console.error(
+      `Missing required option(s): ${missing.map((name) => "--" + name).join(", ")}`,
+    );
+    return EXIT_USAGE;
+  }
+
+  // Keep stdout reserved for the JSON result, batch logs go to stderr instead
+  if (values.json) {
+    console.log = (...args) => console.error(...args);
+  }
+
+  let response;
+  try {
+    response = await command.run(values, args);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+    response = ResponseHandler.error(undefined, error.message, undefined);
+  }
+
+  if (response === undefined) {
+    response = ResponseHandler.error(
+      undefined,
+      "No result returned",
+      undefined,
+    );
+  }
+
+  printResponse(response, values.json);
+
+  return response.statusCode === 200 ? EXIT_SUCCESS : EXIT_FAILURE;
+}
+
+/**
+ * Prints response object either as JSON on stdout or as a regular console log
+ *
+ * @param {Object} response - ResponseHandler object
+ * @param {boolean} asJson
+ */
+function printResponse(response, asJson) {
+  if (!asJson) {
+    console.log(response);
+    return;
+  }
+
+  const json = JSON.stringify(response, (key, value) =>
+    value instanceof Error
+      ? { name: value.name, message: value.message }
+      : value,
+  );
+  process.stdout.write(json + "\n");
+}
@@ -1,22 +1,36 @@
 import axios from "axios";
-import {
-  SESClient,
-  SendEmailCommand,
-  SendRawEmailCommand,
-  VerifyEmailAddressCommand,
-} from "@aws-sdk/client-ses";
 import {
   isValidEmail,
   censorMessageBody,
   calculateBatchCost,
   validateBatchRequest,
 } from "./utils/validate.js";
-import { updateUserTokens } from "./auth0.js";
+import { commitTokens, releaseTokens } from "./auth0.js";
+import { getProvider } from "./providers/index.js";
 import { extractEmail } from "./utils/excel.js";
+import {
+  createBatchJob,
+  completeBatchJob,
+  recordBatchCharge,
+  getUnchargedRecipients,
+  getRecipientCosts,
+  recordRecipientResult,
+  filterPendingParameterMaps,
+} from "./utils/jobs.js";
 import { logEmailToFile } from "./utils/logs.js";
+import { recordMessage } from "./utils/messages.js";
 import ResponseHandler from "./utils/response.js";
-import { replacePlaceholders } from "./utils/convert.js";
-import { buildBatchRequestEmailBody } from "./utils/template.js";
+import { renderTemplates } from "./utils/templating.js";
+import { buildRawMessage } from "./utils/mime.js";
+import { htmlToText } from "./utils/text.js";
+import { readAttachments } from "./utils/attachments.js";
+import { getUnsubscribeUrl } from "./utils/suppressions.js";
+import {
+  buildBatchRequestEmailBody,
+  buildBatchRequestEmailText,
+  getEmailLayout,
+} from "./utils/template.js";
+import { listEmailLayouts, validateEmailLayout } from "./utils/layouts.js";
 import { clientLogFileEmailTemplate } from "../src/templates/clientLogFileEmailTemplate.js";
 import { adminUserSignUpEmailTemplate } from "../src/templates/adminUserSignUpEmailTemplate.js";
 import { clientUserCreatedEmailTemplate } from "../src/templates/clientUserCreatedEmailTemplate.js";
@@ -25,97 +39,165 @@ import { clientTokensUpdatedEmailTemplate } from "../src/templates/clientTokensU
 import { clientMonthlyReportEmailTemplate } from "./templates/clientMonthlyTokenReminderEmailTemplate.js";
 import "dotenv/config";
 
-const config = {
-  region: process.env.NEXT_PUBLIC_AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
-    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
-  },
-};
-const sesClient = new SESClient(config);
-
 /**
- * Send bulk emails using AWS SES
+ * Send bulk emails using configured email provider
  *
+ * @param {Object} provider - Email provider, see providers/index.js
  * @param {string} clientEmail
  * @param {string} emailSubject
- * @param {string} emailBody
- * @param {Array<{email: string, parameters: Array<string>}>} emailParameterMaps - Array of objects, each containing an email address and an array of parameters
+ * @param {string} [emailLayout] - Layout name, see utils/layouts.js, defaults to the default layout
+ * @param {string[]} emailParagraphs - Paragraph templates, rendered for every recipient
+ * @param {string[]} emailTextParagraphs - Plain text paragraph templates, if empty the plain text is generated from the HTML
+ * @param {Object[]} emailAttachments - Attachments and inline images sent to every recipient, see utils/attachments.js
+ * @param {string} companyName
+ * @param {string} companyAddress
+ * @param {Array<{email: string, parameters: Array<string>, variables: Object, attachments: Object[]}>} emailParameterMaps - Array of objects, each containing an email address, an array of parameters, named variables and attachments
  * @param {boolean} isDraft - If true, only send to client
+ * @param {Function} [onResult] - Called with each recipient's send result as soon as it settles
  * @returns {string[]} - List of 'console logs'
  */
 async function sendBatchEmails(
+  provider,
   clientEmail,
   emailSubject,
-  emailBody,
+  emailLayout,
+  emailParagraphs,
+  emailTextParagraphs,
+  emailAttachments,
+  companyName,
+  companyAddress,
   emailParameterMaps,
   isDraft,
+  onResult,
 ) {
-  let emailAddresses = [];
   let logs = [];
+  const layout = getEmailLayout(emailLayout);
+  // Shared files are read once, files of each recipient are read when their email is sent
+  const sharedAttachments = readAttachments(emailAttachments);
+
+  const recipientMaps = isDraft
+    ? [
+        {
+          email: clientEmail,
+          parameters: emailParameterMaps[0].parameters,
+          variables: emailParameterMaps[0].variables,
+          attachments: emailParameterMaps[0].attachments,
+        },
+      ]
+    : emailParameterMaps;
 
-  if (isDraft) {
-    emailAddresses.push(clientEmail);
-  } else {
-    emailParameterMaps.forEach((emailAddressMap) =>
-      emailAddresses.push(emailAddressMap.email),
-    );
-  }
-
-  const promises = emailParameterMaps.map((emailParameterMap) => {
+  const messages = recipientMaps.map((emailParameterMap) => {
     const parameters = emailParameterMap.parameters;
-    const modifiedEmailBody = replacePlaceholders(emailBody, parameters);
+    const unsubscribeUrl = getUnsubscribeUrl(
+      clientEmail,
+      "email",
+      emailParameterMap.email,
+    );
+    // Paragraphs that render empty, i.e a false {{#if}} block, are left out
+    const paragraphs = renderTemplates(
+      emailParagraphs,
+      emailParameterMap.variables,
+      { parameters, escapeHtml: true },
+    ).filter((paragraph) => paragraph.trim() !== "");
+    const modifiedEmailBody = buildBatchRequestEmailBody(
+      paragraphs,
+      companyName,
+      clientEmail,
+      companyAddress,
+      { layout, subject: emailSubject, unsubscribeUrl },
+    );
     const censoredEmailBody = censorMessageBody(modifiedEmailBody);
 
-    const input = {
-      Source: clientEmail,
-      Destination: {
-        ToAddresses: [emailParameterMap.email],
-      },
-      Message: {
-        Subject: { Data: emailSubject, Charset: "UTF-8" },
-        Body: {
-          Html: { Data: censoredEmailBody, Charset: "UTF-8" },
-        },
-      },
-      ConfigurationSetName: "EmailEventTracking",
+    let emailText;
+    if (emailTextParagraphs.length > 0) {
+      const textParagraphs = renderTemplates(
+        emailTextParagraphs,
+        emailParameterMap.variables,
+        { parameters },
+      ).filter((paragraph) => paragraph.trim() !== "");
+      emailText = censorMessageBody(
+        buildBatchRequestEmailText(
+          textParagraphs,
+          companyName,
+          clientEmail,
+          companyAddress,
+          { unsubscribeUrl },
+        ),
+      );
+    } else {
+      emailText = htmlToText(censoredEmailBody);
+    }
+
+    return {
+      from: clientEmail,
+      to: emailParameterMap.email,
+      subject: emailSubject,
+      html: censoredEmailBody,
+      text: emailText,
+      attachments: [...sharedAttachments, ...emailParameterMap.attachments],
+      headers: getListUnsubscribeHeaders(clientEmail, unsubscribeUrl),
     };
-    const command = new SendEmailCommand(input);
+  });
 
-    try {
-      return sesClient.send(command);
-    } catch (error) {
-      logs.push(`Failed to send email to ${emailParameterMap.email}: ` + error);
+  const results = await provider.sendBatch(messages, { onResult });
+  results.forEach((result) => {
+    if (result.error) {
+      logs.push(
+        `Failed to send email to ${result.recipient} after ${result.attempts} attempt(s): ` +
+          result.error,
+      );
+    } else {
+      logs.push(
+        `Email sent to ${result.recipient}. MessageId: ${result.messageId}. Attempts: ${result.attempts}`,
+      );
     }
   });
 
-  await Promise.all(promises)
-    .then((responses) => {
-      responses.forEach((result, index) => {
-        if (result) {
-          logs.push(
-            `Email sent to ${emailAddresses[index]}. MessageId: ${result.MessageId}`,
-          );
-        }
-      });
-    })
-    .catch((error) => logs.push("Error sending email: " + error));
-
   return logs;
 }
 
+/**
+ * Returns List-Unsubscribe headers, so mail clients can show their own unsubscribe button.
+ * One-click unsubscribe (RFC 8058) is only offered when unsubscribe links are configured
+ *
+ * @param {string} clientEmail
+ * @param {string} [unsubscribeUrl] - Signed unsubscribe link of recipient
+ * @returns {Object}
+ */
+function getListUnsubscribeHeaders(clientEmail, unsubscribeUrl) {
+  const mailtoUrl = `<mailto:${clientEmail}?subject=Unsubscribe>`;
+
+  if (!unsubscribeUrl) {
+    return { "List-Unsubscribe": mailtoUrl };
+  }
+  return {
+    "List-Unsubscribe": `<${unsubscribeUrl}>, ${mailtoUrl}`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
 /**
  * @param {boolean} isDraft - If true, only send to client
+ * @param {Object} [options]
+ * @param {string} [options.sheetLocation] - Overrides sheet location from environment variables
+ * @param {string} [options.sheetDirectory] - Directory attachment paths are relative to, if sheet is a stored copy
+ * @param {string} [options.batchId] - Resumes existing batch, skipping recipients already sent to
  */
-export async function processEmails(isDraft) {
+export async function processEmails(isDraft, options = {}) {
+  let batchId = options.batchId;
   let logResponse;
   let errorResponse;
   let extractResponse;
   let batchEmailResponses;
   let updatedUserTokens = 0;
+  let holdId;
+  let recipientCosts;
+
+  const sheetLocation =
+    options.sheetLocation || process.env.NEXT_PUBLIC_EMAIL_SHEET_LOCATION;
 
   try {
-    extractResponse = extractEmail();
+    extractResponse = extractEmail(sheetLocation, options.sheetDirectory);
   } catch (error) {
     return ResponseHandler.error(
       undefined,
@@ -129,15 +211,36 @@ export async function processEmails(isDraft) {
   const companyName = extractResponse.companyName;
   const companyAddress = extractResponse.companyAddress;
   const emailSubject = extractResponse.emailSubject;
+  const emailLayout = extractResponse.emailLayout;
   const emailParagraphs = extractResponse.emailParagraphs;
+  const emailTextParagraphs = extractResponse.emailTextParagraphs;
+  const emailAttachments = extractResponse.emailAttachments;
   const emailParameterMaps = extractResponse.emailParameterMaps;
   const invalidEmailAddresses = extractResponse.invalidEmailAddresses;
+  const suppressedEmailAddresses = extractResponse.suppressedEmailAddresses;
+  let pendingEmailParameterMaps = emailParameterMaps;
+
+  if (batchId) {
+    try {
+      pendingEmailParameterMaps = filterPendingParameterMaps(
+        batchId,
+        emailParameterMaps,
+        "email",
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to resume batch",
+        error.message,
+      );
+    }
+  }
 
   if (!isDraft) {
     try {
-      await validateBatchRequest(
+      holdId = await validateBatchRequest(
         clientEmail,
-        emailParameterMaps.length,
+        pendingEmailParameterMaps.length,
         "email",
       );
     } catch (error) {
@@ -149,23 +252,49 @@ export async function processEmails(isDraft) {
     }
   }
 
-  const emailBody = buildBatchRequestEmailBody(
-    emailParagraphs,
-    companyName,
-    clientEmail,
-    companyAddress,
-  );
-
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_EMAIL === "true") {
     try {
+      if (!isDraft && !batchId) {
+        batchId = createBatchJob(
+          "email",
+          clientEmail,
+          sheetLocation,
+          emailParameterMaps.map(
+            (emailParameterMap) => emailParameterMap.email,
+          ),
+          options.sheetDirectory,
+        );
+      }
+
       batchEmailResponses = await sendBatchEmails(
+        getProvider("email"),
         clientEmail,
         emailSubject,
-        emailBody,
-        emailParameterMaps,
+        emailLayout,
+        emailParagraphs,
+        emailTextParagraphs,
+        emailAttachments,
+        companyName,
+        companyAddress,
+        pendingEmailParameterMaps,
         isDraft,
+        isDraft
+          ? undefined
+          : (result, message) => {
+              recordRecipientResult(batchId, result);
+              recordMessage({
+                batchId,
+                client: clientEmail,
+                channel: "email",
+                recipient: result.recipient,
+                messageId: result.messageId,
+                body: message.html,
+                error: result.error,
+              });
+            },
       );
     } catch (error) {
+      await releaseTokens(clientEmail, holdId);
       return ResponseHandler.error(
         undefined,
         "Failed to send batch emails",
@@ -173,25 +302,31 @@ export async function processEmails(isDraft) {
       );
     }
   } else {
+    await releaseTokens(clientEmail, holdId);
     return ResponseHandler.error(undefined, "Send email disabled", undefined);
   }
 
   if (!isDraft) {
-    const batchCost = calculateBatchCost(emailParameterMaps.length, "email");
-    const updateUserTokensResponse = await updateUserTokens(
+    const chargeableRecipients = getUnchargedRecipients(batchId);
+    const batchCost = calculateBatchCost(chargeableRecipients.length, "email");
+    const commitTokensResponse = await commitTokens(
       clientEmail,
+      holdId,
       batchCost,
-      "-",
-      true,
+      batchId,
+      `Sent ${chargeableRecipients.length} emails`,
     );
-    if (updateUserTokensResponse.statusCode !== 200) {
+    if (commitTokensResponse.statusCode !== 200) {
       return ResponseHandler.error(
         undefined,
         "Failed to update user tokens",
-        updateUserTokensResponse.details,
+        commitTokensResponse.details,
       );
     }
-    updatedUserTokens = updateUserTokensResponse.data;
+    updatedUserTokens = commitTokensResponse.data;
+    recordBatchCharge(batchId, chargeableRecipients, batchCost);
+    completeBatchJob(batchId);
+    recipientCosts = getRecipientCosts(batchId);
   }
 
   try {
@@ -202,9 +337,12 @@ export async function processEmails(isDraft) {
       emailParagraphs,
       emailParameterMaps,
       invalidEmailAddresses,
+      suppressedEmailAddresses,
       batchEmailResponses,
       errorResponse,
       updatedUserTokens,
+      batchId,
+      recipientCosts,
     );
   } catch (error) {
     return ResponseHandler.error(
@@ -234,11 +372,41 @@ export async function processEmails(isDraft) {
   }
 
   return ResponseHandler.success(
-    "Successfully sent email batch!",
+    isDraft
+      ? "Successfully sent email batch!"
+      : `Successfully sent email batch ${batchId}!`,
     `You have ${updatedUserTokens} tokens left`,
   );
 }
 
+/**
+ * Lists email layouts that can be named in the "Email Layout" field of email sheets
+ *
+ * @returns {Object}
+ */
+export function getEmailLayouts() {
+  try {
+    const layouts = listEmailLayouts().map((name) => {
+      try {
+        validateEmailLayout(name);
+        return { name, isValid: true };
+      } catch (error) {
+        return { name, isValid: false, error: error.message };
+      }
+    });
+    return ResponseHandler.success(
+      "Successfully fetched all email layouts",
+      layouts,
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch email layouts",
+      error.message,
+    );
+  }
+}
+
 /**
  * Sends email to client with log file attached. Also BCCs admin email address
  *
@@ -261,29 +429,28 @@ export async function emailLogFileToClient(
   const body = template.body;
   const fileBase64 = Buffer.from(logFile).toString("base64");
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: clientEmail,
-          to: clientEmail,
-          bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          subject: subject,
-          body: body,
-          attachment: {
-            filename: logFileName,
-            data: fileBase64,
-          },
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: clientEmail,
+    to: clientEmail,
+    bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    raw: buildRawMessage({
+      from: clientEmail,
+      to: clientEmail,
+      bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      subject: subject,
+      body: body,
+      attachments: [
+        {
+          filename: logFileName,
+          data: fileBase64,
+        },
+      ],
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_LOG_FILE_TO_CLIENT === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").send(message);
     } catch (error) {
       throw new Error("Failed to send batch log file to client: " + error);
     }
@@ -330,13 +497,9 @@ export async function verifyEmailAddressSes(emailAddress) {
     return ResponseHandler.notFound("User not found", emailAddress);
   }
 
-  const command = new VerifyEmailAddressCommand({
-    EmailAddress: emailAddress,
-  });
-
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_VERIFICATION_EMAIL === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").verifySender(emailAddress);
       return ResponseHandler.success(
         "Successfully sent verify SES email address",
         undefined,
@@ -369,24 +532,20 @@ export async function emailUserCreated(clientName, clientEmail) {
   const subject = template.subject;
   const body = template.body;
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          to: clientEmail,
-          subject: subject,
-          body: body,
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    to: clientEmail,
+    raw: buildRawMessage({
+      from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      to: clientEmail,
+      subject: subject,
+      body: body,
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_AUTH0_EMAIL === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").send(message);
     } catch (error) {
       throw new Error("Error sending user created email: " + error);
     }
@@ -407,24 +566,20 @@ export async function emailAdminUserSignUp(clientEmail, paymentReference) {
   const subject = template.subject;
   const body = template.body;
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          to: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          subject: subject,
-          body: body,
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    to: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    raw: buildRawMessage({
+      from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      to: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      subject: subject,
+      body: body,
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_AUTH0_EMAIL === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").send(message);
     } catch (error) {
       throw new Error("Error sending admin user sign-up email: " + error);
     }
@@ -446,24 +601,20 @@ export async function emailUserActiveStatus(clientName, clientEmail, isActive) {
   const subject = template.subject;
   const body = template.body;
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          to: clientEmail,
-          subject: subject,
-          body: body,
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    to: clientEmail,
+    raw: buildRawMessage({
+      from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      to: clientEmail,
+      subject: subject,
+      body: body,
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_AUTH0_EMAIL === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").send(message);
     } catch (error) {
       throw new Error("Error sending user active status email: " + error);
     }
@@ -489,24 +640,20 @@ export async function emailUserTokensUpdated(
   const subject = template.subject;
   const body = template.body;
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          to: clientEmail,
-          subject: subject,
-          body: body,
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    to: clientEmail,
+    raw: buildRawMessage({
+      from: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      to: clientEmail,
+      subject: subject,
+      body: body,
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_AUTH0_EMAIL === "true") {
     try {
-      await sesClient.send(command);
+      await getProvider("email").send(message);
     } catch (error) {
       throw new Error("Error sending user tokens updated email: " + error);
     }
@@ -535,66 +682,28 @@ export async function sendMonthlyReportMail(
   const template = clientMonthlyReportEmailTemplate(clientName, clientTokens);
   const fileBase64 = Buffer.from(logResponse.file).toString("base64");
 
-  const input = {
-    RawMessage: {
-      Data: Buffer.from(
-        buildRawMessage({
-          from: clientEmail,
-          to: clientEmail,
-          bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
-          subject: template.subject,
-          body: template.body,
-          attachment: {
-            filename: logResponse.fileName,
-            data: fileBase64,
-          },
-        }),
-      ),
-    },
-    ConfigurationSetName: "EmailEventTracking",
+  const message = {
+    from: clientEmail,
+    to: clientEmail,
+    bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+    raw: buildRawMessage({
+      from: clientEmail,
+      to: clientEmail,
+      bcc: process.env.NEXT_PUBLIC_ADMIN_EMAIL_ADDRESS,
+      subject: template.subject,
+      body: template.body,
+      attachments: [
+        {
+          filename: logResponse.fileName,
+          data: fileBase64,
+        },
+      ],
+    }),
   };
-  const command = new SendRawEmailCommand(input);
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_MONTHLY_REPORT === "true") {
-    return sesClient.send(command);
+    return getProvider("email").send(message);
   } else {
     throw new Error("Send monthly reports disabled");
   }
 }
-
-/**
- * Helper function for constructing raw message with log file attachment
- *
- * @param {*} param0 - JSON object containing to and from email address, subject, body and attachment
- * @returns {string[]}
- */
-function buildRawMessage({ from, to, subject, body, attachment }) {
-  const boundary = "----=_Part_0_" + new Date().getTime();
-  let rawMessage = [
-    `From: ${from}`,
-    `To: ${to}`,
-    `Subject: ${subject}`,
-    `MIME-Version: 1.0`,
-    `Content-Type: multipart/mixed; boundary="${boundary}"`,
-    ``,
-    `--${boundary}`,
-    `Content-Type: text/html; charset=UTF-8`,
-    `Content-Transfer-Encoding: 7bit`,
-    ``,
-    body,
-    ``,
-  ];
-  if (attachment) {
-    rawMessage = rawMessage.concat([
-      `--${boundary}`,
-      `Content-Type: application/octet-stream; name="${attachment.filename}"`,
-      `Content-Transfer-Encoding: base64`,
-      `Content-Disposition: attachment; filename="${attachment.filename}"`,
-      ``,
-      attachment.data,
-      ``,
-    ]);
-  }
-  rawMessage.push(`--${boundary}--`);
-  return rawMessage.join("\r\n");
-}
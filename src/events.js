@@ -0,0 +1,287 @@
+import ResponseHandler from "./utils/response.js";
+import { recordMessageEvent } from "./utils/events.js";
+import {
+  addEmailEventSuppressions,
+  addSuppression,
+  getSuppressions,
+} from "./utils/suppressions.js";
+import {
+  getLastMessagesTo,
+  getMessages,
+  updateMessageStatus,
+} from "./utils/messages.js";
+import {
+  verifyWhatsappSubscription,
+  verifyWhatsappPayload,
+  parseWhatsappStatuses,
+  parseWhatsappOptOuts,
+} from "./utils/whatsappWebhook.js";
+import {
+  verifySnsMessage,
+  confirmSnsSubscription,
+  parseDeliveryNotifications,
+} from "./utils/notifications.js";
+
+// Status of tracked message after event, other events (i.e Send, Complaint, DeliveryDelay) keep the current status
+const eventStatuses = {
+  Delivery: "delivered",
+  Bounce: "bounced",
+  Reject: "failed",
+  "Rendering Failure": "failed",
+  Read: "read",
+  Failure: "failed",
+};
+
+/**
+ * Handles message posted by Amazon SNS to `serve`. Confirms subscriptions to the topic and records
+ * SES events and SMS delivery logs of notifications in the event store, see utils/events.js
+ *
+ * @param {string} body - Request body
+ * @returns {Promise<Object>}
+ */
+export async function receiveSnsNotification(body) {
+  let message;
+  try {
+    message = await verifySnsMessage(body);
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Failed to verify SNS message",
+      error.message,
+    );
+  }
+
+  if (message.Type === "SubscriptionConfirmation") {
+    try {
+      return ResponseHandler.success(
+        `Successfully subscribed to ${message.TopicArn}`,
+        await confirmSnsSubscription(message),
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to confirm SNS subscription",
+        error.message,
+      );
+    }
+  }
+
+  if (message.Type === "UnsubscribeConfirmation") {
+    return ResponseHandler.success(
+      `Unsubscribed from ${message.TopicArn}`,
+      undefined,
+    );
+  }
+
+  let events;
+  try {
+    events = parseDeliveryNotifications(message);
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Failed to parse SNS notification",
+      error.message,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      `Successfully recorded ${events.length} events`,
+      events.map(applyMessageEvent).filter(Boolean),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to record events",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Verifies subscription of WhatsApp Cloud API webhook, Meta expects the challenge as plain text response
+ *
+ * @param {string} mode - hub.mode query parameter
+ * @param {string} token - hub.verify_token query parameter
+ * @param {string} challenge - hub.challenge query parameter
+ * @returns {Object}
+ */
+export function verifyWhatsappWebhook(mode, token, challenge) {
+  try {
+    return ResponseHandler.success(
+      "Successfully verified WhatsApp webhook",
+      verifyWhatsappSubscription(mode, token, challenge),
+    );
+  } catch (error) {
+    return ResponseHandler.unauthorized(
+      "Failed to verify WhatsApp webhook",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Handles WhatsApp Cloud API webhook posted to `serve`. Records sent, delivered, read and failed statuses
+ * of messages in the event store and updates the status of the tracked message. Recipients that replied STOP
+ * or stopped marketing messages are added to the suppression list of the client
+ *
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Hub-Signature-256 header
+ * @returns {Object}
+ */
+export function receiveWhatsappWebhook(body, signature) {
+  let events;
+  let optOuts;
+  try {
+    const payload = verifyWhatsappPayload(body, signature);
+    events = parseWhatsappStatuses(payload);
+    optOuts = parseWhatsappOptOuts(payload);
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Failed to verify WhatsApp webhook",
+      error.message,
+    );
+  }
+
+  let messages;
+  try {
+    messages = getMessages(
+      [...events, ...optOuts].map((event) => event.messageId).filter(Boolean),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch messages of WhatsApp webhook",
+      error.message,
+    );
+  }
+
+  let suppressions;
+  try {
+    suppressions = addWhatsappOptOuts(optOuts, messages);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to record WhatsApp opt-outs",
+      error.message,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      `Successfully recorded ${events.length} WhatsApp statuses and ${suppressions.length} opt-outs`,
+      events
+        .map((event) =>
+          applyMessageEvent({
+            ...event,
+            client: messages.get(event.messageId)?.client,
+          }),
+        )
+        .filter(Boolean),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to record WhatsApp statuses",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Adds opted out WhatsApp recipients to suppression list of the client that sent the message they replied to
+ * or that failed, else of the client that last sent them a message. Recipients that are already suppressed
+ * are skipped, Meta retries webhooks
+ *
+ * @param {Object[]} optOuts - See parseWhatsappOptOuts
+ * @param {Map<string, Object>} messages - Messages of webhook by message ID
+ * @returns {Object[]} - Recorded suppressions
+ * @throws {Error} - Message tracking store or suppression list cannot be read or written
+ */
+function addWhatsappOptOuts(optOuts, messages) {
+  const unmatched = optOuts
+    .filter((optOut) => !messages.has(optOut.messageId))
+    .map((optOut) => optOut.recipient);
+  const lastMessages =
+    unmatched.length > 0 ? getLastMessagesTo("whatsapp", unmatched) : new Map();
+
+  const added = [];
+  optOuts.forEach((optOut) => {
+    const client = (
+      messages.get(optOut.messageId) || lastMessages.get(optOut.recipient)
+    )?.client;
+    if (
+      !client ||
+      getSuppressions(client, "whatsapp").some(
+        (suppression) => suppression.recipient === optOut.recipient,
+      )
+    ) {
+      return;
+    }
+    added.push(
+      addSuppression(client, "whatsapp", optOut.recipient, {
+        reason: optOut.reason,
+        source: "whatsapp_webhook",
+      }),
+    );
+  });
+
+  return added;
+}
+
+/**
+ * Suppresses hard bounced and complained email recipients, updates status of tracked message and records event.
+ * The event is recorded last, so a retried notification does the rest again
+ *
+ * @param {Object} event - Event store record
+ * @returns {Object|undefined} - Recorded event, undefined if it was already recorded
+ * @throws {Error} - Suppression list, message tracking store or event store cannot be written
+ */
+function applyMessageEvent(event) {
+  if (event.channel === "email" && event.client) {
+    try {
+      addEmailEventSuppressions(event.client, [event.event]);
+    } catch (error) {
+      throw new Error(
+        "Failed to suppress recipients of event: " + error.message,
+      );
+    }
+  }
+
+  if (eventStatuses[event.eventType]) {
+    try {
+      updateMessageStatus(event.messageId, eventStatuses[event.eventType], {
+        at: event.at,
+        details: getStatusDetails(event),
+      });
+    } catch (error) {
+      throw new Error("Failed to update message status: " + error.message);
+    }
+  }
+
+  return recordMessageEvent(event);
+}
+
+/**
+ * @param {Object} event - Event store record
+ * @returns {Object|undefined} - i.e { bounceType: "Permanent" }, { phoneCarrier, providerResponse } or { errorCode, errorTitle }
+ */
+function getStatusDetails(event) {
+  if (event.channel === "whatsapp") {
+    const error = event.event.errors?.[0];
+    return error
+      ? { errorCode: error.code, errorTitle: error.title }
+      : undefined;
+  }
+  if (event.channel === "sms") {
+    return {
+      phoneCarrier: event.event.delivery.phoneCarrier,
+      providerResponse: event.event.delivery.providerResponse,
+    };
+  }
+  if (event.eventType === "Bounce") {
+    return {
+      bounceType: event.event.bounce?.bounceType,
+      bounceSubType: event.event.bounce?.bounceSubType,
+    };
+  }
+  return undefined;
+}
@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 import {
   createUser,
   getAllUsers,
@@ -20,11 +21,48 @@ import {
   enterAppliedTokenAmount,
   selectMathOperator,
   selectActiveStatus,
+  enterBatchId,
+  enterExportPath,
+  selectScheduleChannel,
+  enterSheetLocation,
+  enterSendTime,
+  enterTimeZone,
+  enterScheduleId,
+  enterCronExpression,
+  selectSheetSnapshot,
+  enterRecurringId,
+  enterRecipient,
+  enterMessageId,
 } from "./utils/prompts.js";
 import { processSms } from "./sms.js";
 import { processWhatsapp } from "./whatsapp.js";
 import { processMonthlyReports } from "./report.js";
-import { processEmails, verifyEmailAddressSes } from "./email.js";
+import {
+  processEmails,
+  verifyEmailAddressSes,
+  getEmailLayouts,
+} from "./email.js";
+import { runCli } from "./cli.js";
+import { resumeBatch, getAllBatches } from "./batches.js";
+import { getTokenStatement } from "./ledger.js";
+import {
+  suppressRecipient,
+  unsuppressRecipient,
+  getClientSuppressions,
+  syncSmsOptOuts,
+  syncEmailBounces,
+} from "./suppressions.js";
+import { lookupMessage } from "./messages.js";
+import { syncWhatsappTemplates } from "./whatsappTemplates.js";
+import {
+  scheduleBatch,
+  getAllSchedules,
+  cancelScheduledBatch,
+  createRecurringBatch,
+  getAllRecurringBatches,
+  cancelRecurringBatch,
+  getRecurringBatchHistory,
+} from "./scheduler.js";
 import "dotenv/config";
 
 async function startMenu() {
@@ -53,6 +91,48 @@ async function batchType() {
     console.log(await processWhatsapp(true));
   } else if (response == "monthly_report") {
     console.log(await processMonthlyReports());
+  } else if (response == "resume_batch") {
+    const batchId = await enterBatchId();
+    if (batchId != null) {
+      console.log(await resumeBatch(batchId));
+    }
+  } else if (response == "schedule_batch") {
+    const channel = await selectScheduleChannel();
+    if (channel != null) {
+      const sheetLocation = await enterSheetLocation();
+      const sendTime = await enterSendTime();
+      if (sendTime != null) {
+        const timeZone = await enterTimeZone();
+        console.log(scheduleBatch(channel, sheetLocation, sendTime, timeZone));
+      }
+    }
+  } else if (response == "recurring_batch") {
+    const channel = await selectScheduleChannel(true);
+    if (channel != null) {
+      const cronExpression = await enterCronExpression();
+      if (cronExpression != null) {
+        const timeZone = await enterTimeZone();
+        if (channel == "monthly_report") {
+          console.log(
+            createRecurringBatch(channel, cronExpression, undefined, timeZone),
+          );
+        } else {
+          const sheetLocation = await enterSheetLocation();
+          const isSnapshot = await selectSheetSnapshot();
+          if (isSnapshot != null) {
+            console.log(
+              createRecurringBatch(
+                channel,
+                cronExpression,
+                sheetLocation,
+                timeZone,
+                isSnapshot,
+              ),
+            );
+          }
+        }
+      }
+    }
   } else if (response == "back") {
     startMenu();
   } else {
@@ -141,6 +221,74 @@ async function adminOption() {
     if (emailAddress != null) {
       console.log(await triggerPasswordReset(emailAddress));
     }
+  } else if (response == "list_batches") {
+    console.log(getAllBatches());
+  } else if (response == "token_statement") {
+    const emailAddress = await enterEmailAddress();
+    if (emailAddress != null) {
+      const exportPath = await enterExportPath();
+      console.log(await getTokenStatement(emailAddress, exportPath));
+    }
+  } else if (response == "list_schedules") {
+    console.log(getAllSchedules());
+  } else if (response == "cancel_schedule") {
+    const scheduleId = await enterScheduleId();
+    if (scheduleId != null) {
+      console.log(cancelScheduledBatch(scheduleId));
+    }
+  } else if (response == "list_recurring") {
+    console.log(getAllRecurringBatches());
+  } else if (response == "cancel_recurring") {
+    const recurringId = await enterRecurringId();
+    if (recurringId != null) {
+      console.log(cancelRecurringBatch(recurringId));
+    }
+  } else if (response == "recurring_history") {
+    const recurringId = await enterRecurringId();
+    if (recurringId != null) {
+      console.log(getRecurringBatchHistory(recurringId));
+    }
+  } else if (response == "list_layouts") {
+    console.log(getEmailLayouts());
+  } else if (response == "suppress" || response == "unsuppress") {
+    const emailAddress = await enterEmailAddress();
+    if (emailAddress != null) {
+      const channel = await selectScheduleChannel();
+      if (channel != null) {
+        const recipient = await enterRecipient();
+        if (recipient != null) {
+          console.log(
+            response == "suppress"
+              ? suppressRecipient(emailAddress, channel, recipient)
+              : unsuppressRecipient(emailAddress, channel, recipient),
+          );
+        }
+      }
+    }
+  } else if (response == "list_suppressions") {
+    const emailAddress = await enterEmailAddress();
+    if (emailAddress != null) {
+      console.log(getClientSuppressions(emailAddress));
+    }
+  } else if (response == "sync_opt_outs") {
+    const emailAddress = await enterEmailAddress();
+    if (emailAddress != null) {
+      console.log(await syncSmsOptOuts(emailAddress));
+    }
+  } else if (response == "sync_bounces") {
+    const emailAddress = await enterEmailAddress();
+    if (emailAddress != null) {
+      console.log(syncEmailBounces(emailAddress));
+    }
+  } else if (response == "lookup_message") {
+    const messageId = await enterMessageId();
+    if (messageId != null) {
+      console.log(lookupMessage(messageId));
+    }
+  } else if (response == "sync_templates") {
+    // Without client email, the default WhatsApp business account is synced
+    const emailAddress = await enterEmailAddress();
+    console.log(await syncWhatsappTemplates(emailAddress ?? undefined));
   } else if (response == "back") {
     startMenu();
   }
@@ -176,4 +324,8 @@ function featureFlagStatus() {
   console.log("\n");
 }
 
-startMenu();
+if (process.argv.length > 2) {
+  process.exitCode = await runCli(process.argv.slice(2));
+} else {
+  startMenu();
+}
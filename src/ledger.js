@@ -0,0 +1,60 @@
+import { writeFileSync } from "fs";
+import { resolve } from "path";
+import { getUserTokens } from "./auth0.js";
+import ResponseHandler from "./utils/response.js";
+import { convertLedgerToCsv, getLedgerEntries } from "./utils/ledger.js";
+
+/**
+ * Fetches token statement of client, i.e every ledger entry and the current Auth0 balance.
+ * If export path is given, the entries are also written to it as CSV
+ *
+ * @param {string} emailAddress
+ * @param {string} [exportPath] - i.e "statement.csv"
+ * @returns {Promise<Object>}
+ */
+export async function getTokenStatement(emailAddress, exportPath) {
+  const userTokensResponse = await getUserTokens(emailAddress);
+  if (userTokensResponse.statusCode !== 200) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch token statement",
+      userTokensResponse.details,
+    );
+  }
+
+  let entries;
+  try {
+    entries = getLedgerEntries(emailAddress);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to read token ledger",
+      error.message,
+    );
+  }
+
+  const statement = {
+    emailAddress,
+    balance: userTokensResponse.data,
+    ledgerBalance: entries.length > 0 ? entries.at(-1).balanceAfter : null,
+    entries,
+  };
+
+  if (exportPath) {
+    try {
+      statement.exportPath = resolve(exportPath);
+      writeFileSync(statement.exportPath, convertLedgerToCsv(entries));
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to export token statement",
+        error.message,
+      );
+    }
+  }
+
+  return ResponseHandler.success(
+    "Successfully fetched token statement",
+    statement,
+  );
+}
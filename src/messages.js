@@ -0,0 +1,46 @@
+import ResponseHandler from "./utils/response.js";
+import { getMessage } from "./utils/messages.js";
+import { eventChannels, getMessageEvents } from "./utils/events.js";
+
+/**
+ * Looks up tracked message by provider message ID, with its status history and delivery events
+ *
+ * @param {string} messageId
+ * @returns {Object}
+ */
+export function lookupMessage(messageId) {
+  let message;
+  try {
+    message = getMessage(messageId);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to look up message",
+      error.message,
+    );
+  }
+
+  if (message == null) {
+    return ResponseHandler.notFound("Message not found", messageId);
+  }
+
+  try {
+    const events = eventChannels.includes(message.channel)
+      ? getMessageEvents(message.channel, messageId)
+      : [];
+    return ResponseHandler.success("Successfully found message", {
+      ...message,
+      events: events.map(({ eventType, recipients, at }) => ({
+        eventType,
+        recipients,
+        at,
+      })),
+    });
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to read message events",
+      error.message,
+    );
+  }
+}
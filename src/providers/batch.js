@@ -0,0 +1,131 @@
+import {
+  chunk,
+  createRateLimiter,
+  mapWithConcurrency,
+} from "../utils/throttle.js";
+import { withRetry } from "../utils/retry.js";
+import "dotenv/config";
+
+const defaultSendSettings = {
+  email: { batchSize: 50, concurrency: 10, maxSendRate: 14 },
+  sms: { batchSize: 50, concurrency: 10, maxSendRate: 20 },
+  whatsapp: { batchSize: 50, concurrency: 10, maxSendRate: 80 },
+};
+
+// Shared per provider account, so concurrent batches on the same channel share one rate
+const rateLimiters = new Map();
+
+/**
+ * Resolves send settings of provider. Environment variables take precedence over
+ * limits reported by the provider, i.e SES send quota or WhatsApp messaging tier:
+ *
+ * - NEXT_PUBLIC_<CHANNEL>_BATCH_SIZE - Messages per chunk, chunks are sent one after another
+ * - NEXT_PUBLIC_<CHANNEL>_CONCURRENCY - Maximum requests in flight within chunk
+ * - NEXT_PUBLIC_<CHANNEL>_MAX_SEND_RATE - Maximum messages per second
+ * - NEXT_PUBLIC_<CHANNEL>_DAILY_LIMIT - Maximum messages in single batch
+ *
+ * @param {Object} provider
+ * @returns {Promise<{batchSize: number, concurrency: number, maxSendRate: number, dailyLimit: number}>}
+ */
+export async function getSendSettings(provider) {
+  const prefix = `NEXT_PUBLIC_${provider.channel.toUpperCase()}`;
+  const defaults = defaultSendSettings[provider.channel];
+  let limits = {};
+
+  if (provider.getSendLimits) {
+    try {
+      limits = await provider.getSendLimits();
+    } catch (error) {
+      console.log(
+        `Failed to fetch ${provider.name} send limits, using defaults: ` +
+          error.message,
+      );
+    }
+  }
+
+  return {
+    batchSize:
+      Number(process.env[`${prefix}_BATCH_SIZE`]) || defaults.batchSize,
+    concurrency:
+      Number(process.env[`${prefix}_CONCURRENCY`]) || defaults.concurrency,
+    maxSendRate:
+      Number(process.env[`${prefix}_MAX_SEND_RATE`]) ||
+      limits.maxSendRate ||
+      defaults.maxSendRate,
+    dailyLimit:
+      Number(process.env[`${prefix}_DAILY_LIMIT`]) ||
+      limits.dailyLimit ||
+      Infinity,
+  };
+}
+
+/**
+ * Default sendBatch implementation shared by providers. Sends messages in chunks of
+ * the channel batch size through a concurrency pool, and waits for the channel rate
+ * limiter before each attempt. Transient failures are retried with backoff, see
+ * utils/retry.js. Each result carries the number of attempts and either the provider
+ * message ID or the last error that occurred
+ *
+ * @param {Object} provider - Provider implementing send(message)
+ * @param {Object[]} messages - Channel specific message objects, each with a `to` field
+ * @param {Object} [options]
+ * @param {Function} [options.onResult] - Called with each result and its message as soon as its send settles, errors it throws are logged
+ * @returns {Promise<Array<{recipient: string, attempts: number, messageId?: string, response?: any, error?: Error}>>}
+ * @throws {Error} - Batch exceeds daily sending limit of provider, nothing is sent
+ */
+export async function sendEach(provider, messages, options = {}) {
+  if (messages.length === 0) {
+    return [];
+  }
+
+  const settings = await getSendSettings(provider);
+  if (messages.length > settings.dailyLimit) {
+    throw new Error(
+      `Batch of ${messages.length} messages exceeds ${provider.name} daily limit of ${settings.dailyLimit}`,
+    );
+  }
+
+  const limiterKey = [provider.channel, provider.name, provider.accountId]
+    .filter(Boolean)
+    .join(":");
+  if (!rateLimiters.has(limiterKey)) {
+    rateLimiters.set(limiterKey, createRateLimiter(settings.maxSendRate));
+  }
+  const rateLimiter = rateLimiters.get(limiterKey);
+
+  const sendMessage = async (message) => {
+    let result;
+    let attempts = 0;
+    try {
+      const sendResult = await withRetry(async (attempt) => {
+        attempts = attempt;
+        await rateLimiter.acquire();
+        return provider.send(message);
+      });
+      result = { recipient: message.to, attempts, ...sendResult };
+    } catch (error) {
+      result = { recipient: message.to, attempts, error };
+    }
+    if (options.onResult) {
+      // Message already went out, a failed bookkeeping write must not abort the rest of the batch
+      try {
+        await options.onResult(result, message);
+      } catch (error) {
+        console.log(
+          `Failed to record ${provider.channel} result of ${message.to}: ` +
+            error.message,
+        );
+      }
+    }
+    return result;
+  };
+
+  let results = [];
+  for (const messageChunk of chunk(messages, settings.batchSize)) {
+    results = results.concat(
+      await mapWithConcurrency(messageChunk, settings.concurrency, sendMessage),
+    );
+  }
+
+  return results;
+}
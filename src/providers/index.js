@@ -0,0 +1,77 @@
+import { createSesProvider } from "./ses.js";
+import { createSnsProvider } from "./sns.js";
+import { createSmtpProvider } from "./smtp.js";
+import { createWhatsappCloudProvider } from "./whatsappCloud.js";
+import "dotenv/config";
+
+/**
+ * Every provider factory returns an object with the following shape:
+ *
+ * - name {string} - Provider name, i.e "ses"
+ * - channel {string} - "email", "sms" or "whatsapp"
+ * - capabilities {Object} - Feature flags of provider, i.e { verifySender: true }
+ * - send(message) {Promise<{messageId, response}>} - Sends single message, rejects on failure
+ * - sendBatch(messages, { onResult }) {Promise<Array>} - Sends all messages, resolves with per-recipient results. onResult(result, message) is called as each send settles
+ * - verifySender(sender) {Promise<Object>} - Verifies sender address or ID with provider
+ * - getSendLimits() {Promise<{maxSendRate, dailyLimit}>} - Optional, send limits reported by provider
+ * - listOptedOut() {Promise<string[]>} - Optional, recipients that opted out with the provider, i.e SMS STOP replies
+ * - getTemplates(filters) {Promise<Object[]>} - Optional, message template definitions of account, i.e WhatsApp templates
+ * - accountId {string} - Optional, rate limits are shared per channel, provider and account
+ */
+const registry = {
+  email: new Map(),
+  sms: new Map(),
+  whatsapp: new Map(),
+};
+
+const defaultProviders = {
+  email: "ses",
+  sms: "sns",
+  whatsapp: "whatsapp_cloud",
+};
+
+/**
+ * Registers provider factory for channel
+ *
+ * @param {string} channel - i.e "email"
+ * @param {string} name - Provider name used in NEXT_PUBLIC_<CHANNEL>_PROVIDER, i.e "ses"
+ * @param {Function} factory - Receives provider options and returns provider object
+ * @throws {Error} - Channel is unknown
+ */
+export function registerProvider(channel, name, factory) {
+  if (!registry[channel]) {
+    throw new Error(`Unknown channel "${channel}"`);
+  }
+  registry[channel].set(name, factory);
+}
+
+/**
+ * Returns configured provider for channel. Provider name is read from
+ * NEXT_PUBLIC_<CHANNEL>_PROVIDER, falling back to the default provider
+ *
+ * @param {string} channel - i.e "sms"
+ * @param {Object} [options] - Provider specific options, i.e WhatsApp credentials
+ * @returns {Object}
+ * @throws {Error} - Channel or provider is unknown
+ */
+export function getProvider(channel, options = {}) {
+  if (!registry[channel]) {
+    throw new Error(`Unknown channel "${channel}"`);
+  }
+
+  const name =
+    process.env[`NEXT_PUBLIC_${channel.toUpperCase()}_PROVIDER`] ||
+    defaultProviders[channel];
+  const factory = registry[channel].get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown ${channel} provider "${name}"`);
+  }
+
+  return factory(options);
+}
+
+registerProvider("email", "ses", createSesProvider);
+registerProvider("email", "smtp", createSmtpProvider);
+registerProvider("sms", "sns", createSnsProvider);
+registerProvider("whatsapp", "whatsapp_cloud", createWhatsappCloudProvider);
@@ -0,0 +1,114 @@
+import {
+  SESClient,
+  SendEmailCommand,
+  GetSendQuotaCommand,
+  SendRawEmailCommand,
+  VerifyEmailAddressCommand,
+} from "@aws-sdk/client-ses";
+import { sendEach } from "./batch.js";
+import { toRawMessage } from "../utils/mime.js";
+import "dotenv/config";
+
+const config = {
+  region: process.env.NEXT_PUBLIC_AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
+    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
+  },
+};
+const sesClient = new SESClient(config);
+const configurationSetName = "EmailEventTracking";
+
+/**
+ * Creates email provider backed by AWS SES
+ *
+ * @returns {Object} - Provider implementing send, sendBatch, verifySender and capabilities
+ */
+export function createSesProvider() {
+  const provider = {
+    name: "ses",
+    channel: "email",
+    capabilities: {
+      html: true,
+      rawMime: true,
+      verifySender: true,
+    },
+
+    /**
+     * Sends single email. Uses raw MIME message when `raw`, `attachments` or `headers` are provided, else builds a simple HTML email
+     * with `text` as plain text alternative
+     *
+     * @param {{from: string, to: string, bcc?: string, subject?: string, html?: string, text?: string, attachments?: Object[], headers?: Object, raw?: string}} message
+     * @returns {Promise<{messageId: string, response: Object}>}
+     */
+    async send(message) {
+      let command;
+
+      if (
+        message.raw ||
+        message.attachments?.length > 0 ||
+        Object.keys(message.headers || {}).length > 0
+      ) {
+        command = new SendRawEmailCommand({
+          Destinations: [message.to, message.bcc].filter(Boolean),
+          RawMessage: { Data: Buffer.from(toRawMessage(message)) },
+          ConfigurationSetName: configurationSetName,
+        });
+      } else {
+        command = new SendEmailCommand({
+          Source: message.from,
+          Destination: {
+            ToAddresses: [message.to],
+          },
+          Message: {
+            Subject: { Data: message.subject, Charset: "UTF-8" },
+            Body: {
+              Html: { Data: message.html, Charset: "UTF-8" },
+              ...(message.text && {
+                Text: { Data: message.text, Charset: "UTF-8" },
+              }),
+            },
+          },
+          ConfigurationSetName: configurationSetName,
+        });
+      }
+
+      const response = await sesClient.send(command);
+      return { messageId: response.MessageId, response };
+    },
+
+    /**
+     * Returns SES account send rate and remaining 24 hour quota
+     *
+     * @returns {Promise<{maxSendRate: number, dailyLimit: number}>}
+     */
+    async getSendLimits() {
+      const quota = await sesClient.send(new GetSendQuotaCommand({}));
+      return {
+        maxSendRate: quota.MaxSendRate,
+        dailyLimit:
+          quota.Max24HourSend < 0
+            ? Infinity
+            : quota.Max24HourSend - quota.SentLast24Hours,
+      };
+    },
+
+    sendBatch(messages, options) {
+      return sendEach(provider, messages, options);
+    },
+
+    /**
+     * Sends SES verification email in order to use email address as sender email
+     *
+     * @param {string} emailAddress
+     * @returns {Promise<Object>}
+     */
+    verifySender(emailAddress) {
+      return sesClient.send(
+        new VerifyEmailAddressCommand({ EmailAddress: emailAddress }),
+      );
+    },
+  };
+
+  return provider;
+}
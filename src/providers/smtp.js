@@ -0,0 +1,100 @@
+import nodemailer from "nodemailer";
+import { sendEach } from "./batch.js";
+import { toRawMessage } from "../utils/mime.js";
+import "dotenv/config";
+
+/**
+ * Returns nodemailer transport options from environment variables.
+ * NEXT_PUBLIC_SMTP_SECURITY is one of:
+ * - "starttls" - Upgrade plain connection with STARTTLS, fail if unsupported (default)
+ * - "tls" - Implicit TLS from the start of the connection, usually port 465
+ * - "none" - Plain connection, i.e local MailHog-style catchers
+ *
+ * @returns {Object}
+ * @throws {Error} - SMTP host missing or security mode unknown
+ */
+function getTransportOptions() {
+  const host = process.env.NEXT_PUBLIC_SMTP_HOST;
+  const security = process.env.NEXT_PUBLIC_SMTP_SECURITY || "starttls";
+  const username = process.env.NEXT_PUBLIC_SMTP_USERNAME;
+
+  if (!host) {
+    throw new Error("SMTP host missing");
+  }
+  if (!["starttls", "tls", "none"].includes(security)) {
+    throw new Error(`Unknown SMTP security mode "${security}"`);
+  }
+
+  return {
+    host,
+    port: Number(process.env.NEXT_PUBLIC_SMTP_PORT || 587),
+    secure: security === "tls",
+    requireTLS: security === "starttls",
+    ignoreTLS: security === "none",
+    auth: username
+      ? { user: username, pass: process.env.NEXT_PUBLIC_SMTP_PASSWORD }
+      : undefined,
+    tls: {
+      rejectUnauthorized:
+        process.env.NEXT_PUBLIC_SMTP_REJECT_UNAUTHORIZED !== "false",
+    },
+  };
+}
+
+/**
+ * Creates email provider that delivers through an SMTP server
+ *
+ * @returns {Object} - Provider implementing send, sendBatch, verifySender and capabilities
+ */
+export function createSmtpProvider() {
+  const transporter = nodemailer.createTransport(getTransportOptions());
+
+  const provider = {
+    name: "smtp",
+    channel: "email",
+    capabilities: {
+      html: true,
+      rawMime: true,
+      verifySender: false,
+    },
+
+    /**
+     * Sends single email. Simple HTML emails are converted to the same raw MIME used for system emails
+     *
+     * @param {{from: string, to: string, bcc?: string, subject?: string, html?: string, text?: string, attachments?: Object[], headers?: Object, raw?: string}} message
+     * @returns {Promise<{messageId: string, response: Object}>}
+     */
+    async send(message) {
+      const raw = toRawMessage(message);
+
+      const info = await transporter.sendMail({
+        envelope: {
+          from: message.from,
+          to: [message.to, message.bcc].filter(Boolean),
+        },
+        raw,
+      });
+      const messageIdHeader = raw.match(/^Message-ID: (.+)$/im);
+
+      return {
+        messageId: messageIdHeader ? messageIdHeader[1] : info.messageId,
+        response: info,
+      };
+    },
+
+    sendBatch(messages, options) {
+      return sendEach(provider, messages, options);
+    },
+
+    /**
+     * SMTP has no sender verification, this only confirms connection and authentication with server
+     *
+     * @returns {Promise<boolean>}
+     */
+    verifySender() {
+      return transporter.verify();
+    },
+  };
+
+  return provider;
+}
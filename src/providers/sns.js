@@ -0,0 +1,78 @@
+import {
+  SNSClient,
+  PublishCommand,
+  ListPhoneNumbersOptedOutCommand,
+} from "@aws-sdk/client-sns";
+import { sendEach } from "./batch.js";
+import "dotenv/config";
+
+const config = {
+  region: process.env.NEXT_PUBLIC_AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
+    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
+  },
+};
+const snsClient = new SNSClient(config);
+
+/**
+ * Creates SMS provider backed by AWS SNS
+ *
+ * @returns {Object} - Provider implementing send, sendBatch, verifySender and capabilities
+ */
+export function createSnsProvider() {
+  const provider = {
+    name: "sns",
+    channel: "sms",
+    capabilities: {
+      verifySender: false,
+    },
+
+    /**
+     * Publishes single SMS message
+     *
+     * @param {{to: string, body: string}} message
+     * @returns {Promise<{messageId: string, response: Object}>}
+     */
+    async send(message) {
+      const response = await snsClient.send(
+        new PublishCommand({
+          Message: message.body,
+          PhoneNumber: message.to,
+        }),
+      );
+      return { messageId: response.MessageId, response };
+    },
+
+    sendBatch(messages, options) {
+      return sendEach(provider, messages, options);
+    },
+
+    /**
+     * Lists phone numbers that replied STOP to the SNS account, SNS no longer delivers to them
+     *
+     * @returns {Promise<string[]>}
+     */
+    async listOptedOut() {
+      let phoneNumbers = [];
+      let nextToken;
+      do {
+        const response = await snsClient.send(
+          new ListPhoneNumbersOptedOutCommand({ nextToken }),
+        );
+        phoneNumbers = phoneNumbers.concat(response.phoneNumbers || []);
+        nextToken = response.nextToken;
+      } while (nextToken);
+      return phoneNumbers;
+    },
+
+    /**
+     * @throws {Error} - SNS has no sender verification
+     */
+    async verifySender() {
+      throw new Error("Sender verification not supported by SNS");
+    },
+  };
+
+  return provider;
+}
@@ -0,0 +1,144 @@
+import axios from "axios";
+import { sendEach } from "./batch.js";
+import "dotenv/config";
+
+// Unique business-initiated conversations allowed per 24 hours by messaging tier
+const messagingTierLimits = {
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: Infinity,
+};
+
+// Messages per second allowed by phone number throughput level
+const throughputLevels = {
+  STANDARD: 80,
+  HIGH: 1000,
+};
+
+/**
+ * Creates WhatsApp provider backed by the WhatsApp Cloud API
+ *
+ * @param {Object} options
+ * @param {string} options.accessToken - Client WhatsApp access token
+ * @param {string} options.phoneNumberId - Client WhatsApp phone number ID
+ * @param {string} [options.businessAccountId] - Client WhatsApp business account ID, defaults to NEXT_PUBLIC_WA_BUSINESS_ACCOUNT_ID
+ * @returns {Object} - Provider implementing send, sendBatch, verifySender, getTemplates and capabilities
+ */
+export function createWhatsappCloudProvider({
+  accessToken,
+  phoneNumberId,
+  businessAccountId = process.env.NEXT_PUBLIC_WA_BUSINESS_ACCOUNT_ID,
+}) {
+  const apiUrl = process.env.NEXT_PUBLIC_WA_API_URL;
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    "Content-Type": "application/json",
+  };
+
+  const provider = {
+    name: "whatsapp_cloud",
+    channel: "whatsapp",
+    accountId: phoneNumberId,
+    capabilities: {
+      templates: true,
+      verifySender: true,
+    },
+
+    /**
+     * Sends single template message
+     *
+     * @param {{to: string, templateName: string, languageCode: string, components: Object[]}} message
+     * @returns {Promise<{messageId: string, response: Object}>}
+     */
+    async send(message) {
+      const payload = {
+        messaging_product: "whatsapp",
+        to: message.to,
+        type: "template",
+        template: {
+          name: message.templateName,
+          language: { code: message.languageCode },
+          components: message.components,
+        },
+      };
+
+      const response = await axios.post(
+        `${apiUrl}/${phoneNumberId}/messages`,
+        payload,
+        { headers },
+      );
+      return {
+        messageId: response.data?.messages?.[0]?.id,
+        response: response.data,
+      };
+    },
+
+    /**
+     * Returns send rate and daily limit of phone number from its throughput level and messaging tier
+     *
+     * @returns {Promise<{maxSendRate: number, dailyLimit: number}>}
+     */
+    async getSendLimits() {
+      const response = await axios.get(`${apiUrl}/${phoneNumberId}`, {
+        headers,
+        params: { fields: "messaging_limit_tier,throughput" },
+      });
+      return {
+        maxSendRate: throughputLevels[response.data.throughput?.level],
+        dailyLimit: messagingTierLimits[response.data.messaging_limit_tier],
+      };
+    },
+
+    sendBatch(messages, options) {
+      return sendEach(provider, messages, options);
+    },
+
+    /**
+     * Fetches message templates of business account, following every page of results
+     *
+     * @param {Object} [filters] - Query filters of Graph API, i.e { name: "order_update" }
+     * @returns {Promise<Object[]>} - i.e [{ name, language, status, category, parameter_format, components }]
+     * @throws {Error} - Business account ID is missing or request fails
+     */
+    async getTemplates(filters = {}) {
+      if (!businessAccountId) {
+        throw new Error("WhatsApp business account ID missing");
+      }
+
+      const templates = [];
+      let url = `${apiUrl}/${businessAccountId}/message_templates`;
+      let params = {
+        fields: "name,language,status,category,parameter_format,components",
+        limit: 100,
+        ...filters,
+      };
+      while (url) {
+        const response = await axios.get(url, { headers, params });
+        templates.push(...(response.data?.data || []));
+        // The next page URL already carries the query parameters and cursor
+        url = response.data?.paging?.next;
+        params = undefined;
+      }
+      return templates;
+    },
+
+    /**
+     * Fetches phone number details to confirm the sender phone number ID is registered and usable
+     *
+     * @param {string} [senderPhoneNumberId] - Defaults to provider phone number ID
+     * @returns {Promise<Object>}
+     */
+    async verifySender(senderPhoneNumberId = phoneNumberId) {
+      const response = await axios.get(`${apiUrl}/${senderPhoneNumberId}`, {
+        headers,
+        params: { fields: "verified_name,code_verification_status" },
+      });
+      return response.data;
+    },
+  };
+
+  return provider;
+}
@@ -1,23 +1,12 @@
-import {
-  CloudWatchLogsClient,
-  FilterLogEventsCommand,
-  DescribeLogStreamsCommand,
-} from "@aws-sdk/client-cloudwatch-logs";
 import { getAllUsers } from "./auth0.js";
 import { sendMonthlyReportMail } from "./email.js";
 import ResponseHandler from "../src/utils/response.js";
 import { logReportToFile } from "../src/utils/logs.js";
+import { addEmailEventSuppressions } from "../src/utils/suppressions.js";
+import { getClientEvents } from "../src/utils/events.js";
+import { getClientMessages } from "../src/utils/messages.js";
 import "dotenv/config";
 
-const config = {
-  region: process.env.NEXT_PUBLIC_AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
-    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
-  },
-};
-const cloudWatchClient = new CloudWatchLogsClient(config);
-
 /**
  * Processes and sends monthly email reports for all active users.
  * This function retrieves all users, filters them based on specific criteria,
@@ -48,13 +37,30 @@ export async function processMonthlyReports() {
     }
 
     try {
-      const emailEvents = await getEmailEventsBySender(user.email);
+      const emailEvents = getEmailEventsBySender(user.email);
       const emailReport = buildMonthlyEmailReport(emailEvents);
 
-      const smsEvents = await getSmsEventsBySender(user.email);
-      const smsReport = await buildMonthlySmsReport(smsEvents);
+      try {
+        addEmailEventSuppressions(user.email, emailEvents);
+      } catch (error) {
+        console.log(
+          `Failed to suppress bounced recipients of ${user.email}: ` +
+            error.message,
+        );
+      }
 
-      const logResponse = logReportToFile(user.email, emailReport, smsReport);
+      const messages = getMessagesBySender(user.email);
+      const smsReport = buildMonthlySmsReport(messages);
+      const whatsappReport = buildMonthlyWhatsappReport(messages);
+      const messageReport = buildMonthlyMessageReport(messages);
+
+      const logResponse = logReportToFile(
+        user.email,
+        emailReport,
+        smsReport,
+        whatsappReport,
+        messageReport,
+      );
 
       const sendReportResponse = await sendMonthlyReportMail(
         logResponse,
@@ -86,113 +92,44 @@ export async function processMonthlyReports() {
 }
 
 /**
- * Fetch email events sent by a specified email address within the last 30 days
+ * Fetch email events sent by a specified email address within the last 30 days from the event store
  *
  * @param {string} senderEmailAddress - Sender email address
- * @returns {Promise<Object>|Promise<Array>} - List of email events (i.e, Send, Delivery, Bounce)
+ * @returns {Array} - List of SES events (i.e, Send, Delivery, Bounce)
+ * @throws {Error} - Event store cannot be read
  */
-async function getEmailEventsBySender(senderEmailAddress) {
-  const logGroupName = process.env.NEXT_PUBLIC_AWS_EMAIL_LOG_GROUP_NAME;
-
-  const config = {
-    region: process.env.NEXT_PUBLIC_AWS_REGION,
-    credentials: {
-      accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
-      secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
-    },
-  };
-  const cloudWatchLogsClient = new CloudWatchLogsClient(config);
-
+export function getEmailEventsBySender(senderEmailAddress) {
   try {
-    const filterPattern = `"source" "ses" "${senderEmailAddress}"`;
-    const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
-    const command = new FilterLogEventsCommand({
-      logGroupName,
-      filterPattern,
-      startTime: thirtyDaysAgo,
-    });
-    const response = await cloudWatchLogsClient.send(command);
-    return response.events.map((event) => JSON.parse(event.message));
+    return getClientEvents(
+      "email",
+      senderEmailAddress,
+      getReportStartDate(),
+    ).map((record) => record.event);
   } catch (error) {
-    return ResponseHandler.error(
-      undefined,
-      "Error fetching email events",
-      error,
-    );
+    throw new Error("Failed to fetch email events: " + error.message);
   }
 }
 
-async function getSmsEventsBySender(clientEmail) {
+/**
+ * Fetch messages client sent within the last 30 days from the message tracking store
+ *
+ * @param {string} clientEmail
+ * @returns {Array}
+ * @throws {Error} - Message store cannot be read
+ */
+function getMessagesBySender(clientEmail) {
   try {
-    const logStreamName = `Sender-${clientEmail}`;
-
-    const { logStreams } = await cloudWatchClient.send(
-      new DescribeLogStreamsCommand({
-        logGroupName: process.env.NEXT_PUBLIC_AWS_SMS_LOG_STREAM_NAME,
-      }),
-    );
-
-    if (!logStreams.find((stream) => stream.logStreamName === logStreamName)) {
-      return [];
-    }
-
-    const logParams = {
-      logGroupName: process.env.NEXT_PUBLIC_AWS_SMS_LOG_STREAM_NAME,
-      logStreamNames: [logStreamName],
-      startTime: Date.now() - 30 * 24 * 60 * 60 * 1000,
-    };
-
-    const logResponse = await cloudWatchClient.send(
-      new FilterLogEventsCommand(logParams),
-    );
-    const logs =
-      logResponse.events?.map((event) => JSON.parse(event.message)) || [];
-
-    return logs;
+    return getClientMessages(clientEmail, undefined, getReportStartDate());
   } catch (error) {
-    return ResponseHandler.error(undefined, "Failed to fetch logs", error);
+    throw new Error("Failed to fetch messages: " + error.message);
   }
 }
 
-async function searchSnsLogForMessageId(messageId) {
-  const logGroupName = process.env.NEXT_PUBLIC_AWS_SMS_LOG_GROUP_NAME;
-
-  try {
-    const logStreamsCommand = new DescribeLogStreamsCommand({
-      logGroupName,
-      orderBy: "LastEventTime",
-      descending: true,
-    });
-
-    const logStreamsResponse = await cloudWatchClient.send(logStreamsCommand);
-    const logStreams = logStreamsResponse.logStreams;
-
-    if (!logStreams || logStreams.length === 0) {
-      return null;
-    }
-
-    for (const logStream of logStreams) {
-      const logStreamName = logStream.logStreamName;
-
-      const filterParams = {
-        logGroupName,
-        logStreamNames: [logStreamName],
-        filterPattern: `"${messageId}"`,
-        limit: 1,
-      };
-
-      const filterCommand = new FilterLogEventsCommand(filterParams);
-      const filterResponse = await cloudWatchClient.send(filterCommand);
-
-      if (filterResponse.events.length > 0) {
-        return filterResponse.events[0];
-      }
-    }
-
-    return null;
-  } catch (error) {
-    return ResponseHandler.error(undefined, "Error searching SNS logs", error);
-  }
+/**
+ * @returns {Date} - 30 days ago
+ */
+function getReportStartDate() {
+  return new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
 }
 
 /**
@@ -270,29 +207,55 @@ function buildMonthlyEmailReport(emailEvents) {
 }
 
 /**
- * Builds monthly SMS report by retrieving and parsing SNS logs
+ * Builds monthly SMS report from current status of every tracked SMS
  *
- * @param {Array<{ messageId: string }>} smsEvents - List of SMS event objects containing message IDs
- * @returns {Promise<Array<{ mobileNumber: string, phoneCarrier: string, providerResponse: string, status: string }>>} - Promise that resolves to array of SMS report entries
+ * @param {Array<{ channel: string, recipient: string, status: string, details?: Object }>} messages - Tracked messages of client
+ * @returns {Array<{ mobileNumber: string, phoneCarrier: string, providerResponse: string, status: string }>} - SMS report entries
  */
-async function buildMonthlySmsReport(smsEvents) {
-  const reportEntries = await Promise.all(
-    smsEvents.map(async (event) => {
-      const logResponse = await searchSnsLogForMessageId(event.messageId);
-      if (logResponse == null) {
-        return null;
-      }
-
-      const parsedLog = JSON.parse(logResponse.message);
+function buildMonthlySmsReport(messages) {
+  return messages
+    .filter((message) => message.channel === "sms")
+    .map((message) => ({
+      mobileNumber: message.recipient,
+      phoneCarrier: message.details?.phoneCarrier || "unknown",
+      providerResponse: message.details?.providerResponse || "none",
+      status: message.status,
+    }));
+}
 
-      return {
-        mobileNumber: parsedLog.delivery.destination,
-        phoneCarrier: parsedLog.delivery.phoneCarrier,
-        providerResponse: parsedLog.delivery.providerResponse,
-        status: parsedLog.status,
-      };
-    }),
-  );
+/**
+ * Builds monthly WhatsApp report from current status of every tracked WhatsApp message, statuses come from the WhatsApp webhook
+ *
+ * @param {Array<{ channel: string, recipient: string, messageId?: string, status: string, details?: Object }>} messages - Tracked messages of client
+ * @returns {Array<{ mobileNumber: string, messageId: string, status: string, sendError?: string, deliveryError?: string }>} - WhatsApp report entries.
+ *   sendError is set when the Cloud API rejected the message, deliveryError when the webhook reported it failed
+ */
+function buildMonthlyWhatsappReport(messages) {
+  return messages
+    .filter((message) => message.channel === "whatsapp")
+    .map((message) => ({
+      mobileNumber: message.recipient,
+      messageId: message.messageId,
+      status: message.status,
+      sendError: message.error,
+      deliveryError: message.details?.errorTitle
+        ? `${message.details.errorTitle} (${message.details.errorCode})`
+        : undefined,
+    }));
+}
 
-  return reportEntries.filter((entry) => entry !== null);
+/**
+ * Counts tracked messages per channel and current status
+ *
+ * @param {Array<{ channel: string, status: string }>} messages - Tracked messages of client
+ * @returns {Object} - i.e { email: { sent: 3, delivered: 40, bounced: 1 }, whatsapp: { read: 12 } }
+ */
+function buildMonthlyMessageReport(messages) {
+  const messageReport = {};
+  messages.forEach((message) => {
+    messageReport[message.channel] = messageReport[message.channel] || {};
+    messageReport[message.channel][message.status] =
+      (messageReport[message.channel][message.status] || 0) + 1;
+  });
+  return messageReport;
 }
@@ -0,0 +1,469 @@
+import { processBatch } from "./batches.js";
+import ResponseHandler from "./utils/response.js";
+import { sleep } from "./utils/throttle.js";
+import {
+  getLocalTimeZone,
+  isValidTimeZone,
+  zonedTimeToUtc,
+} from "./utils/date.js";
+import { extractEmail, extractMobile, extractWhatsapp } from "./utils/excel.js";
+import { isValidCronExpression } from "./utils/cron.js";
+import {
+  claimSchedule,
+  createSchedule,
+  getDueSchedules,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+} from "./utils/schedules.js";
+import {
+  claimRecurringRun,
+  createRecurringJob,
+  getDueRecurringJobs,
+  getRecurringJob,
+  getRecurringRunHistory,
+  listRecurringJobs,
+  recordRecurringRun,
+  updateRecurringJob,
+} from "./utils/recurring.js";
+import "dotenv/config";
+
+const sheetExtractors = {
+  email: extractEmail,
+  sms: extractMobile,
+  whatsapp: extractWhatsapp,
+};
+
+/**
+ * Schedules batch to be sent at given wall clock time. The sheet is validated now,
+ * so mistakes surface when scheduling instead of at send time
+ *
+ * @param {string} channel - "email", "sms" or "whatsapp"
+ * @param {string} [sheetLocation] - Defaults to sheet location of channel from environment variables
+ * @param {string} sendTime - i.e "2000-01-31 08:00"
+ * @param {string} [timeZone] - Defaults to NEXT_PUBLIC_TIMEZONE, else time zone of machine
+ * @returns {Object}
+ */
+export function scheduleBatch(channel, sheetLocation, sendTime, timeZone) {
+  if (!sheetExtractors[channel]) {
+    return ResponseHandler.badRequest("Unknown batch channel", channel);
+  }
+
+  const zone = getScheduleTimeZone(timeZone);
+  if (!isValidTimeZone(zone)) {
+    return ResponseHandler.badRequest("Invalid time zone", zone);
+  }
+
+  let sendAt;
+  try {
+    sendAt = zonedTimeToUtc(sendTime, zone);
+  } catch (error) {
+    return ResponseHandler.badRequest("Invalid send time", error.message);
+  }
+  if (sendAt <= new Date()) {
+    return ResponseHandler.badRequest(
+      "Send time must be in the future",
+      sendTime,
+    );
+  }
+
+  const sheet = getSheetLocation(channel, sheetLocation);
+  let extractResponse;
+  try {
+    extractResponse = sheetExtractors[channel](sheet);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to extract values from spreadsheet",
+      error.message,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully scheduled batch",
+      createSchedule(
+        channel,
+        extractResponse.clientEmail,
+        sheet,
+        sendAt,
+        zone,
+        sendTime,
+      ),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to schedule batch",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Lists scheduled batches, soonest first
+ *
+ * @returns {Object}
+ */
+export function getAllSchedules() {
+  try {
+    return ResponseHandler.success(
+      "Successfully fetched all scheduled batches",
+      listSchedules(),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch all scheduled batches",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Cancels scheduled batch that has not started yet
+ *
+ * @param {string} scheduleId
+ * @returns {Object}
+ */
+export function cancelScheduledBatch(scheduleId) {
+  const schedule = getSchedule(scheduleId);
+  if (!schedule) {
+    return ResponseHandler.notFound("Scheduled batch not found", scheduleId);
+  }
+  if (schedule.status !== "scheduled") {
+    return ResponseHandler.badRequest(
+      `Scheduled batch is already ${schedule.status}`,
+      scheduleId,
+    );
+  }
+
+  try {
+    const cancelledSchedule = claimSchedule(scheduleId, {
+      status: "cancelled",
+      finishedAt: new Date().toISOString(),
+    });
+    if (!cancelledSchedule) {
+      return ResponseHandler.badRequest(
+        "Scheduled batch already started",
+        scheduleId,
+      );
+    }
+    return ResponseHandler.success(
+      "Successfully cancelled scheduled batch",
+      cancelledSchedule,
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to cancel scheduled batch",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Creates recurring batch that runs whenever cron expression matches
+ *
+ * @param {string} channel - "email", "sms", "whatsapp" or "monthly_report"
+ * @param {string} cronExpression - i.e "0 8 * * MON"
+ * @param {string} [sheetLocation] - Defaults to sheet location of channel from environment variables, ignored for monthly report
+ * @param {string} [timeZone] - Defaults to NEXT_PUBLIC_TIMEZONE, else time zone of machine
+ * @param {boolean} [isSnapshot] - If true, store copy of sheet now instead of reading sheet on every run
+ * @param {string} [name]
+ * @returns {Object}
+ */
+export function createRecurringBatch(
+  channel,
+  cronExpression,
+  sheetLocation,
+  timeZone,
+  isSnapshot,
+  name,
+) {
+  const isMonthlyReport = channel === "monthly_report";
+  if (!isMonthlyReport && !sheetExtractors[channel]) {
+    return ResponseHandler.badRequest("Unknown batch channel", channel);
+  }
+  if (!isValidCronExpression(cronExpression)) {
+    return ResponseHandler.badRequest(
+      "Invalid cron expression",
+      cronExpression,
+    );
+  }
+
+  const zone = getScheduleTimeZone(timeZone);
+  if (!isValidTimeZone(zone)) {
+    return ResponseHandler.badRequest("Invalid time zone", zone);
+  }
+
+  const sheet = isMonthlyReport
+    ? null
+    : getSheetLocation(channel, sheetLocation);
+  let clientEmail = null;
+  if (!isMonthlyReport) {
+    try {
+      clientEmail = sheetExtractors[channel](sheet).clientEmail;
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to extract values from spreadsheet",
+        error.message,
+      );
+    }
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully created recurring batch",
+      createRecurringJob(
+        name,
+        channel,
+        cronExpression,
+        zone,
+        sheet,
+        Boolean(isSnapshot),
+        clientEmail,
+      ),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to create recurring batch",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Lists recurring batches, soonest next run first
+ *
+ * @returns {Object}
+ */
+export function getAllRecurringBatches() {
+  try {
+    return ResponseHandler.success(
+      "Successfully fetched all recurring batches",
+      listRecurringJobs(),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch all recurring batches",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Cancels recurring batch, a run that already started is not interrupted
+ *
+ * @param {string} recurringId
+ * @returns {Object}
+ */
+export function cancelRecurringBatch(recurringId) {
+  const recurringJob = getRecurringJob(recurringId);
+  if (!recurringJob) {
+    return ResponseHandler.notFound("Recurring batch not found", recurringId);
+  }
+  if (recurringJob.status !== "active") {
+    return ResponseHandler.badRequest(
+      `Recurring batch is already ${recurringJob.status}`,
+      recurringId,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully cancelled recurring batch",
+      updateRecurringJob(recurringId, {
+        status: "cancelled",
+        cancelledAt: new Date().toISOString(),
+      }),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to cancel recurring batch",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Fetches recurring batch together with its run history
+ *
+ * @param {string} recurringId
+ * @returns {Object}
+ */
+export function getRecurringBatchHistory(recurringId) {
+  const recurringJob = getRecurringJob(recurringId);
+  if (!recurringJob) {
+    return ResponseHandler.notFound("Recurring batch not found", recurringId);
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully fetched recurring batch history",
+      { ...recurringJob, runs: getRecurringRunHistory(recurringId) },
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch recurring batch history",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Runs every scheduled batch whose send time has passed and every recurring batch
+ * that is due, one after another
+ *
+ * @returns {Promise<Object[]>} - Updated schedules and run records of recurring batches that were run
+ */
+export async function runDueSchedules() {
+  const ranSchedules = [];
+
+  for (const dueSchedule of getDueSchedules()) {
+    const schedule = claimSchedule(dueSchedule.scheduleId, {
+      status: "running",
+      startedAt: new Date().toISOString(),
+    });
+    if (!schedule) {
+      continue;
+    }
+
+    console.log(
+      `Running scheduled ${schedule.channel} batch ${schedule.scheduleId}`,
+    );
+
+    let response;
+    try {
+      response = await processBatch(schedule.channel, false, {
+        sheetLocation: schedule.sheetLocation,
+        sheetDirectory: schedule.sheetDirectory,
+      });
+    } catch (error) {
+      response = ResponseHandler.error(
+        undefined,
+        "Failed to run scheduled batch",
+        error.message,
+      );
+    }
+
+    ranSchedules.push(
+      updateSchedule(schedule.scheduleId, {
+        status: response.statusCode === 200 ? "completed" : "failed",
+        finishedAt: new Date().toISOString(),
+        result: {
+          statusCode: response.statusCode,
+          message: response.message,
+          data: response.data,
+          details: response.details,
+        },
+      }),
+    );
+  }
+
+  for (const dueRecurringJob of getDueRecurringJobs()) {
+    const recurringJob = claimRecurringRun(dueRecurringJob);
+    if (!recurringJob) {
+      continue;
+    }
+
+    console.log(
+      `Running recurring ${recurringJob.channel} batch ${recurringJob.recurringId}`,
+    );
+
+    const startedAt = new Date().toISOString();
+    let response;
+    try {
+      response = await processBatch(recurringJob.channel, false, {
+        sheetLocation: recurringJob.sheetLocation,
+        sheetDirectory: recurringJob.sheetDirectory,
+      });
+    } catch (error) {
+      response = ResponseHandler.error(
+        undefined,
+        "Failed to run recurring batch",
+        error.message,
+      );
+    }
+
+    const run = {
+      recurringId: recurringJob.recurringId,
+      scheduledFor: dueRecurringJob.nextRunAt,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      status: response.statusCode === 200 ? "completed" : "failed",
+      result: {
+        statusCode: response.statusCode,
+        message: response.message,
+        data: response.data,
+        details: response.details,
+      },
+    };
+    recordRecurringRun(recurringJob.recurringId, run);
+    ranSchedules.push(run);
+  }
+
+  return ranSchedules;
+}
+
+/**
+ * Runs due scheduled and recurring batches every NEXT_PUBLIC_SCHEDULER_INTERVAL_SECONDS until the process is stopped
+ *
+ * @param {boolean} once - If true, only check once and return
+ * @returns {Promise<Object>}
+ */
+export async function startScheduler(once) {
+  const intervalSeconds = Number(
+    process.env.NEXT_PUBLIC_SCHEDULER_INTERVAL_SECONDS || 30,
+  );
+
+  try {
+    if (once) {
+      return ResponseHandler.success(
+        "Successfully ran due scheduled batches",
+        await runDueSchedules(),
+      );
+    }
+
+    console.log(`Scheduler started, checking every ${intervalSeconds}s`);
+    for (;;) {
+      try {
+        await runDueSchedules();
+      } catch (error) {
+        console.log("Failed to run scheduled batches: " + error.message);
+      }
+      await sleep(intervalSeconds * 1000);
+    }
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to run scheduled batches",
+      error.message,
+    );
+  }
+}
+
+/**
+ * @param {string} [timeZone]
+ * @returns {string} - Given time zone, else NEXT_PUBLIC_TIMEZONE, else time zone of machine
+ */
+function getScheduleTimeZone(timeZone) {
+  return timeZone || process.env.NEXT_PUBLIC_TIMEZONE || getLocalTimeZone();
+}
+
+/**
+ * @param {string} channel
+ * @param {string} [sheetLocation]
+ * @returns {string} - Given sheet location, else sheet location of channel from environment variables
+ */
+function getSheetLocation(channel, sheetLocation) {
+  return (
+    sheetLocation ||
+    process.env[`NEXT_PUBLIC_${channel.toUpperCase()}_SHEET_LOCATION`]
+  );
+}
@@ -0,0 +1,237 @@
+import { createServer } from "http";
+import ResponseHandler from "./utils/response.js";
+import { unsubscribeRecipient } from "./suppressions.js";
+import {
+  receiveSnsNotification,
+  verifyWhatsappWebhook,
+  receiveWhatsappWebhook,
+} from "./events.js";
+import "dotenv/config";
+
+/**
+ * HTTP server for requests from recipients and providers, i.e unsubscribe links, SNS notifications and WhatsApp webhooks. Routes are keyed by method and path,
+ * each handler receives the parsed URL and the raw request body and returns { statusCode, headers, body }
+ */
+
+const defaultPort = 3000;
+
+// Request bodies larger than this are rejected
+const maxBodySize = 1024 * 1024;
+
+const routes = {
+  "GET /unsubscribe": (url) =>
+    confirmUnsubscribe(url.searchParams.get("token")),
+  // One-click unsubscribe of mail clients (RFC 8058) and the form of the confirmation page
+  "POST /unsubscribe": (url) =>
+    handleUnsubscribe(url.searchParams.get("token")),
+  // SES events and SMS delivery logs published to an SNS topic with an HTTP(S) subscription
+  "POST /events/sns": (url, body) => handleSnsNotification(body),
+  // WhatsApp Cloud API webhook, GET is the verification handshake when the callback URL is configured
+  "GET /events/whatsapp": (url) =>
+    handleWhatsappVerification(
+      url.searchParams.get("hub.mode"),
+      url.searchParams.get("hub.verify_token"),
+      url.searchParams.get("hub.challenge"),
+    ),
+  "POST /events/whatsapp": (url, body, request) =>
+    handleWhatsappWebhook(body, request.headers["x-hub-signature-256"]),
+  "GET /health": () => jsonResponse(200, { status: "ok" }),
+};
+
+/**
+ * Starts HTTP server on NEXT_PUBLIC_SERVER_PORT and resolves when it is closed
+ *
+ * @param {number|string} [port] - Overrides NEXT_PUBLIC_SERVER_PORT
+ * @returns {Promise<Object>}
+ */
+export function startServer(port) {
+  const serverPort = Number(
+    port || process.env.NEXT_PUBLIC_SERVER_PORT || defaultPort,
+  );
+
+  return new Promise((resolve) => {
+    const server = createServer(async (request, response) => {
+      const result = await handleRequest(request);
+      response.writeHead(result.statusCode, result.headers);
+      response.end(result.body);
+    });
+
+    server.on("error", (error) =>
+      resolve(
+        ResponseHandler.error(undefined, "Failed to run server", error.message),
+      ),
+    );
+    server.on("close", () =>
+      resolve(ResponseHandler.success("Server stopped", serverPort)),
+    );
+    server.listen(serverPort, () =>
+      console.log(`Server listening on port ${serverPort}`),
+    );
+  });
+}
+
+/**
+ * @param {Object} request - Incoming HTTP request
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+async function handleRequest(request) {
+  const url = new URL(request.url, "http://localhost");
+  const route = routes[`${request.method} ${url.pathname.replace(/\/$/, "")}`];
+
+  if (!route) {
+    return jsonResponse(404, { message: "Not Found" });
+  }
+
+  try {
+    const body = await readBody(request);
+    return await route(url, body, request);
+  } catch (error) {
+    console.log(`Failed to handle ${request.method} ${url.pathname}: ` + error);
+    return jsonResponse(500, { message: "Internal Server Error" });
+  }
+}
+
+/**
+ * @param {Object} request
+ * @returns {Promise<string>}
+ * @throws {Error} - Body is larger than maxBodySize
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > maxBodySize) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Shows confirmation page instead of unsubscribing right away, since link scanners of mail servers open links in emails
+ *
+ * @param {string} token
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function confirmUnsubscribe(token) {
+  if (!token) {
+    return htmlResponse(400, "Invalid unsubscribe link", "");
+  }
+
+  return htmlResponse(
+    200,
+    "Unsubscribe",
+    `<p>Click the button below to stop receiving these messages.</p>
+    <form method="post" action="?token=${encodeURIComponent(token)}">
+      <button type="submit">Unsubscribe</button>
+    </form>`,
+  );
+}
+
+/**
+ * @param {string} token
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function handleUnsubscribe(token) {
+  const response = unsubscribeRecipient(token);
+
+  if (response.statusCode !== 200) {
+    return htmlResponse(
+      response.statusCode,
+      response.message,
+      "<p>Please use the unsubscribe link in the latest message you received.</p>",
+    );
+  }
+  return htmlResponse(
+    200,
+    "You have been unsubscribed",
+    "<p>You will no longer receive these messages.</p>",
+  );
+}
+
+/**
+ * SNS retries notifications that are not answered with 2xx, so only failures worth retrying return 500
+ *
+ * @param {string} body
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+async function handleSnsNotification(body) {
+  const response = await receiveSnsNotification(body);
+  if (response.statusCode !== 200) {
+    console.log(`${response.message}: ${response.details}`);
+  }
+  return jsonResponse(response.statusCode, { message: response.message });
+}
+
+/**
+ * @param {string} mode
+ * @param {string} token
+ * @param {string} challenge
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function handleWhatsappVerification(mode, token, challenge) {
+  const response = verifyWhatsappWebhook(mode, token, challenge);
+  if (response.statusCode !== 200) {
+    console.log(`${response.message}: ${response.details}`);
+    return jsonResponse(response.statusCode, { message: response.message });
+  }
+  return {
+    statusCode: 200,
+    headers: { "Content-Type": "text/plain" },
+    body: response.data,
+  };
+}
+
+/**
+ * Meta retries webhooks that are not answered with 200 for up to 7 days
+ *
+ * @param {string} body
+ * @param {string} signature - X-Hub-Signature-256 header
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function handleWhatsappWebhook(body, signature) {
+  const response = receiveWhatsappWebhook(body, signature);
+  if (response.statusCode !== 200) {
+    console.log(`${response.message}: ${response.details}`);
+  }
+  return jsonResponse(response.statusCode, { message: response.message });
+}
+
+/**
+ * @param {number} statusCode
+ * @param {string} title
+ * @param {string} content - HTML
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function htmlResponse(statusCode, title, content) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+    body: `<!doctype html>
+<html>
+  <head><meta charset="utf-8" /><title>${title}</title></head>
+  <body style="font-family: sans-serif; max-width: 480px; margin: 48px auto">
+    <h1>${title}</h1>
+    ${content}
+  </body>
+</html>`,
+  };
+}
+
+/**
+ * @param {number} statusCode
+ * @param {Object} data
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+function jsonResponse(statusCode, data) {
+  return {
+    statusCode,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(data),
+  };
+}
@@ -1,16 +1,21 @@
-import {
-  PutLogEventsCommand,
-  CloudWatchLogsClient,
-  CreateLogStreamCommand,
-  DescribeLogStreamsCommand,
-} from "@aws-sdk/client-cloudwatch-logs";
-import { SNSClient, PublishCommand } from "@aws-sdk/client-sns";
 import { replacePlaceholders } from "./utils/convert.js";
 import { emailLogFileToClient } from "./email.js";
 import ResponseHandler from "./utils/response.js";
 import { extractMobile } from "./utils/excel.js";
+import {
+  createBatchJob,
+  completeBatchJob,
+  recordBatchCharge,
+  getUnchargedRecipients,
+  getRecipientCosts,
+  recordRecipientResult,
+  filterPendingParameterMaps,
+} from "./utils/jobs.js";
 import { logSmsToFile } from "./utils/logs.js";
-import { updateUserTokens } from "./auth0.js";
+import { recordMessage } from "./utils/messages.js";
+import { commitTokens, releaseTokens } from "./auth0.js";
+import { getProvider } from "./providers/index.js";
+import { recordMessageEvent } from "./utils/events.js";
 import {
   validateBatchRequest,
   calculateBatchCost,
@@ -18,80 +23,75 @@ import {
 } from "../src/utils/validate.js";
 import "dotenv/config";
 
-const config = {
-  region: process.env.NEXT_PUBLIC_AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.NEXT_PUBLIC_AWS_ACCESS_KEY,
-    secretAccessKey: process.env.NEXT_PUBLIC_AWS_SECRET_KEY,
-  },
-};
-const snsClient = new SNSClient(config);
-const cloudWatchClient = new CloudWatchLogsClient(config);
-
 /**
- * Send bulk SMS messages using AWS SNS
+ * Send bulk SMS messages using configured SMS provider
  *
+ * @param {Object} provider - SMS provider, see providers/index.js
  * @param {string} smsBody
- * @param {Array<{mobile: string, parameters: Array<string>}>} mobileParameterMaps - Array of objects, each containing a mobile number and an array of parameters
+ * @param {Array<{mobile: string, parameters: Array<string>, variables: Object}>} mobileParameterMaps - Array of objects, each containing a mobile number, an array of parameters and named variables
  * @param {string} clientMobile - Client mobile number
+ * @param {string} clientEmail
  * @param {boolean} isDraft - If true, only send to client
+ * @param {Function} [onResult] - Called with each recipient's send result as soon as it settles
  * @returns {string[]} - List of "console logs"
  */
 async function sendBatchSMS(
+  provider,
   smsBody,
   mobileParameterMaps,
   clientMobile,
   clientEmail,
   isDraft,
+  onResult,
 ) {
-  let mobileNumbers = [];
   let logs = [];
 
-  if (isDraft) {
-    mobileNumbers.push(clientMobile);
-  } else {
-    mobileParameterMaps.forEach((mobileNumberMap) =>
-      mobileNumbers.push(mobileNumberMap.mobile),
+  const recipientMaps = isDraft
+    ? [
+        {
+          mobile: clientMobile,
+          parameters: mobileParameterMaps[0].parameters,
+          variables: mobileParameterMaps[0].variables,
+        },
+      ]
+    : mobileParameterMaps;
+
+  const messages = recipientMaps.map((mobileNumberMap) => {
+    const parameters = mobileNumberMap.parameters;
+    const modifiedSmsBody = replacePlaceholders(
+      smsBody,
+      parameters,
+      mobileNumberMap.variables,
     );
-  }
+    const censoredSmsBody = censorMessageBody(modifiedSmsBody);
 
-  const promises = mobileParameterMaps.map(async (mobileNumberMap) => {
-    try {
-      const parameters = mobileNumberMap.parameters;
-      const modifiedSmsBody = replacePlaceholders(smsBody, parameters);
-      const censoredSmsBody = censorMessageBody(modifiedSmsBody);
+    return { to: mobileNumberMap.mobile, body: censoredSmsBody };
+  });
 
-      const response = await snsClient.send(
-        new PublishCommand({
-          Message: censoredSmsBody,
-          PhoneNumber: mobileNumberMap.mobile,
-        }),
-      );
+  const results = await provider.sendBatch(messages, { onResult });
 
-      try {
-        await logSmsEvent(
-          clientEmail,
-          mobileNumberMap.mobile,
-          response.MessageId,
-          censoredSmsBody,
-        );
-      } catch (error) {
-        logs.push(
-          `Failed to log SMS event for ${mobileNumberMap.mobile}: ${error}`,
-        );
-      }
+  results.forEach((result, index) => {
+    if (result.error) {
+      logs.push(
+        `Failed to send SMS to ${result.recipient} after ${result.attempts} attempt(s): ${result.error}`,
+      );
+      return;
+    }
 
-      return { mobile: mobileNumberMap.mobile, messageId: response.MessageId };
+    try {
+      logSmsEvent(
+        clientEmail,
+        result.recipient,
+        result.messageId,
+        messages[index].body,
+      );
     } catch (error) {
-      logs.push(`Failed to send SMS to ${mobileNumberMap.mobile}: ${error}`);
+      logs.push(`Failed to log SMS event for ${result.recipient}: ${error}`);
     }
-  });
 
-  const results = await Promise.all(promises);
-  results.forEach((result) => {
-    if (result) {
-      logs.push(`SMS sent to ${result.mobile}. MessageId: ${result.messageId}`);
-    }
+    logs.push(
+      `SMS sent to ${result.recipient}. MessageId: ${result.messageId}. Attempts: ${result.attempts}`,
+    );
   });
 
   return logs;
@@ -99,16 +99,25 @@ async function sendBatchSMS(
 
 /**
  * @param {boolean} isDraft - If true, only send to client
+ * @param {Object} [options]
+ * @param {string} [options.sheetLocation] - Overrides sheet location from environment variables
+ * @param {string} [options.batchId] - Resumes existing batch, skipping recipients already sent to
  */
-export async function processSms(isDraft) {
+export async function processSms(isDraft, options = {}) {
+  let batchId = options.batchId;
   let logResponse;
   let errorResponse;
   let extractResponse;
   let batchSmsResponses;
   let updatedUserTokens = 0;
+  let holdId;
+  let recipientCosts;
+
+  const sheetLocation =
+    options.sheetLocation || process.env.NEXT_PUBLIC_SMS_SHEET_LOCATION;
 
   try {
-    extractResponse = extractMobile();
+    extractResponse = extractMobile(sheetLocation);
   } catch (error) {
     return ResponseHandler.error(
       undefined,
@@ -123,12 +132,30 @@ export async function processSms(isDraft) {
   const smsBody = extractResponse.smsBody;
   const mobileParameterMaps = extractResponse.mobileParameterMaps;
   const invalidMobileNumbers = extractResponse.invalidMobileNumbers;
+  const suppressedMobileNumbers = extractResponse.suppressedMobileNumbers;
+  let pendingMobileParameterMaps = mobileParameterMaps;
+
+  if (batchId) {
+    try {
+      pendingMobileParameterMaps = filterPendingParameterMaps(
+        batchId,
+        mobileParameterMaps,
+        "mobile",
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to resume batch",
+        error.message,
+      );
+    }
+  }
 
   if (!isDraft) {
     try {
-      await validateBatchRequest(
+      holdId = await validateBatchRequest(
         clientEmail,
-        mobileParameterMaps.length,
+        pendingMobileParameterMaps.length,
         "sms",
       );
     } catch (error) {
@@ -142,14 +169,39 @@ export async function processSms(isDraft) {
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_SMS === "true") {
     try {
+      if (!isDraft && !batchId) {
+        batchId = createBatchJob(
+          "sms",
+          clientEmail,
+          sheetLocation,
+          mobileParameterMaps.map((mobileNumberMap) => mobileNumberMap.mobile),
+        );
+      }
+
       batchSmsResponses = await sendBatchSMS(
+        getProvider("sms"),
         smsBody,
-        mobileParameterMaps,
+        pendingMobileParameterMaps,
         clientMobile,
         clientEmail,
         isDraft,
+        isDraft
+          ? undefined
+          : (result, message) => {
+              recordRecipientResult(batchId, result);
+              recordMessage({
+                batchId,
+                client: clientEmail,
+                channel: "sms",
+                recipient: result.recipient,
+                messageId: result.messageId,
+                body: message.body,
+                error: result.error,
+              });
+            },
       );
     } catch (error) {
+      await releaseTokens(clientEmail, holdId);
       return ResponseHandler.error(
         undefined,
         "Failed to send batch SMS",
@@ -157,25 +209,31 @@ export async function processSms(isDraft) {
       );
     }
   } else {
+    await releaseTokens(clientEmail, holdId);
     return ResponseHandler.error(undefined, "Send SMS disabled", undefined);
   }
 
   if (!isDraft) {
-    const batchCost = calculateBatchCost(mobileParameterMaps.length, "sms");
-    const updateUserTokensResponse = await updateUserTokens(
+    const chargeableRecipients = getUnchargedRecipients(batchId);
+    const batchCost = calculateBatchCost(chargeableRecipients.length, "sms");
+    const commitTokensResponse = await commitTokens(
       clientEmail,
+      holdId,
       batchCost,
-      "-",
-      true,
+      batchId,
+      `Sent ${chargeableRecipients.length} SMS`,
     );
-    if (updateUserTokensResponse.statusCode !== 200) {
+    if (commitTokensResponse.statusCode !== 200) {
       return ResponseHandler.error(
         undefined,
         "Failed to update user tokens",
-        updateUserTokensResponse.details,
+        commitTokensResponse.details,
       );
     }
-    updatedUserTokens = updateUserTokensResponse.data;
+    updatedUserTokens = commitTokensResponse.data;
+    recordBatchCharge(batchId, chargeableRecipients, batchCost);
+    completeBatchJob(batchId);
+    recipientCosts = getRecipientCosts(batchId);
   }
 
   try {
@@ -186,9 +244,12 @@ export async function processSms(isDraft) {
       smsBody,
       mobileParameterMaps,
       invalidMobileNumbers,
+      suppressedMobileNumbers,
       batchSmsResponses,
       errorResponse,
       updatedUserTokens,
+      batchId,
+      recipientCosts,
     );
   } catch (error) {
     return ResponseHandler.error(
@@ -218,78 +279,30 @@ export async function processSms(isDraft) {
   }
 
   return ResponseHandler.success(
-    "Successfully sent SMS batch!",
+    isDraft
+      ? "Successfully sent SMS batch!"
+      : `Successfully sent SMS batch ${batchId}!`,
     `You have ${updatedUserTokens} tokens left`,
   );
 }
 
 /**
- * Logs SMS event to AWS CloudWatch and ensures log stream exists before sending log event
+ * Records sent SMS in event store, so delivery logs received by `serve` can be matched to the client
  *
  * @param {string} clientEmail - Email address of sender
  * @param {string} mobileNumber - Recipient's mobile number
  * @param {string} messageId - Unique identifier of SMS message
  * @param {string} message
- * @returns {Promise<Object>}
+ * @returns {Object} - Recorded event
+ * @throws {Error} - Event cannot be recorded
  */
-async function logSmsEvent(clientEmail, mobileNumber, messageId, message) {
-  const logStreamName = `Sender-${clientEmail}`;
-
-  try {
-    await ensureLogStreamExist(logStreamName);
-  } catch (error) {
-    return ResponseHandler.error(
-      undefined,
-      "Failed to ensure log stream exist",
-      error,
-    );
-  }
-
-  const logEntry = {
-    clientEmail,
-    mobileNumber,
+function logSmsEvent(clientEmail, mobileNumber, messageId, message) {
+  return recordMessageEvent({
     messageId,
-    message,
-    timestamp: new Date().toISOString(),
-  };
-
-  const params = {
-    logGroupName: process.env.NEXT_PUBLIC_AWS_SMS_LOG_STREAM_NAME,
-    logStreamName,
-    logEvents: [{ message: JSON.stringify(logEntry), timestamp: Date.now() }],
-  };
-
-  try {
-    await cloudWatchClient.send(new PutLogEventsCommand(params));
-  } catch (error) {
-    return ResponseHandler.error(undefined, "Failed to log SMS event", error);
-  }
-}
-
-/**
- * Ensures a log stream exists in AWS CloudWatch Logs. Creates the log stream if it does not exist.
- *
- * @param {string} logStreamName - Name of log stream to check or create
- * @returns {Promise<Object|undefined>} - Success response if new log stream created, else undefined
- * @throws {Error} - If CloudWatch request fails
- */
-async function ensureLogStreamExist(logStreamName) {
-  try {
-    const { logStreams } = await cloudWatchClient.send(
-      new DescribeLogStreamsCommand({
-        logGroupName: process.env.NEXT_PUBLIC_AWS_SMS_LOG_STREAM_NAME,
-      }),
-    );
-
-    if (!logStreams.find((stream) => stream.logStreamName === logStreamName)) {
-      await cloudWatchClient.send(
-        new CreateLogStreamCommand({
-          logGroupName: process.env.NEXT_PUBLIC_AWS_SMS_LOG_STREAM_NAME,
-          logStreamName,
-        }),
-      );
-    }
-  } catch (error) {
-    throw new Error("Failed to ensure log stream: " + error);
-  }
+    channel: "sms",
+    eventType: "Send",
+    client: clientEmail,
+    recipients: [mobileNumber],
+    event: { message },
+  });
 }
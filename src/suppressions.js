@@ -0,0 +1,191 @@
+import ResponseHandler from "./utils/response.js";
+import { getProvider } from "./providers/index.js";
+import { getEmailEventsBySender } from "./report.js";
+import {
+  addSuppression,
+  addEmailEventSuppressions,
+  removeSuppression,
+  getSuppressions,
+  normalizeRecipient,
+  verifyUnsubscribeToken,
+} from "./utils/suppressions.js";
+
+/**
+ * Adds recipient to suppression list of client, so future batches skip them
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - "email", "sms" or "whatsapp"
+ * @param {string} recipient - Email address or mobile number
+ * @param {string} [reason] - i.e "unsubscribe", defaults to "manual"
+ * @returns {Object}
+ */
+export function suppressRecipient(clientEmail, channel, recipient, reason) {
+  try {
+    return ResponseHandler.success(
+      "Successfully suppressed recipient",
+      addSuppression(clientEmail, channel, recipient, { reason }),
+    );
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Failed to suppress recipient",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Removes recipient from suppression list of client
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - "email", "sms" or "whatsapp"
+ * @param {string} recipient - Email address or mobile number
+ * @returns {Object}
+ */
+export function unsuppressRecipient(clientEmail, channel, recipient) {
+  try {
+    return ResponseHandler.success(
+      "Successfully removed suppression",
+      removeSuppression(clientEmail, channel, recipient),
+    );
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Failed to remove suppression",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Lists suppressed recipients of client
+ *
+ * @param {string} clientEmail
+ * @param {string} [channel] - Only list suppressions of this channel
+ * @param {string} [reason] - Only list suppressions with this reason, i.e "bounce"
+ * @returns {Object}
+ */
+export function getClientSuppressions(clientEmail, channel, reason) {
+  try {
+    return ResponseHandler.success(
+      "Successfully fetched suppressions",
+      getSuppressions(clientEmail, channel, reason),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch suppressions",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Copies SMS STOP replies recorded by the SMS provider to suppression list of client
+ *
+ * @param {string} clientEmail
+ * @returns {Promise<Object>}
+ */
+export async function syncSmsOptOuts(clientEmail) {
+  const provider = getProvider("sms");
+  if (!provider.listOptedOut) {
+    return ResponseHandler.badRequest(
+      "SMS provider does not track opt-outs",
+      provider.name,
+    );
+  }
+
+  try {
+    const suppressedNumbers = new Set(
+      getSuppressions(clientEmail, "sms").map(
+        (suppression) => suppression.recipient,
+      ),
+    );
+    const added = [];
+    for (const mobileNumber of await provider.listOptedOut()) {
+      if (suppressedNumbers.has(normalizeRecipient("sms", mobileNumber))) {
+        continue;
+      }
+      added.push(
+        addSuppression(clientEmail, "sms", mobileNumber, {
+          reason: "stop",
+          source: provider.name,
+        }),
+      );
+    }
+    return ResponseHandler.success("Successfully synced SMS opt-outs", added);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to sync SMS opt-outs",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Adds hard bounces and complaints of the last 30 days of SES email events of client to their suppression list.
+ * Monthly reports do the same, this catches up before the next report
+ *
+ * @param {string} clientEmail
+ * @returns {Object}
+ */
+export function syncEmailBounces(clientEmail) {
+  let emailEvents;
+  try {
+    emailEvents = getEmailEventsBySender(clientEmail);
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to fetch email events",
+      error.message,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully synced email bounces and complaints",
+      addEmailEventSuppressions(clientEmail, emailEvents),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to sync email bounces and complaints",
+      error.message,
+    );
+  }
+}
+
+/**
+ * Unsubscribes recipient of signed unsubscribe link, see utils/suppressions.js
+ *
+ * @param {string} token - Token of unsubscribe link
+ * @returns {Object}
+ */
+export function unsubscribeRecipient(token) {
+  let unsubscribe;
+  try {
+    unsubscribe = verifyUnsubscribeToken(token);
+  } catch (error) {
+    return ResponseHandler.badRequest(
+      "Invalid unsubscribe link",
+      error.message,
+    );
+  }
+
+  try {
+    return ResponseHandler.success(
+      "Successfully unsubscribed",
+      addSuppression(
+        unsubscribe.client,
+        unsubscribe.channel,
+        unsubscribe.recipient,
+        { reason: "unsubscribe", source: "unsubscribe_link" },
+      ),
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to unsubscribe",
+      error.message,
+    );
+  }
+}
@@ -0,0 +1,161 @@
+import { existsSync, readFileSync, statSync } from "fs";
+import { basename, extname, resolve } from "path";
+
+/**
+ * Email attachments are file paths in the email sheet, relative to the directory of the sheet.
+ * Scheduled and resumed batches use a copy of the sheet, their paths are still resolved against the original directory:
+ *
+ * - "Email Attachments:" field: files attached to every email, i.e "invoice_terms.pdf; price_list.xlsx"
+ * - "Attachments" column: files attached to the email of that row only, i.e "invoices/INV-001.pdf"
+ * - "Inline Images:" field: images shown in the email body, referenced by file name, i.e `<img src="cid:logo.png">`
+ *
+ * Multiple paths in one cell are separated by semicolons or new lines
+ */
+
+// SES rejects raw messages larger than 10 MB, after base64 encoding of attachments
+export const maxEmailMessageSize = 10 * 1024 * 1024;
+
+// Space left for headers, HTML and plain text when checking attachment sizes before sending
+const messageSizeReserve = 512 * 1024;
+
+const mimeTypes = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".html": "text/html",
+  ".ics": "text/calendar",
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".zip": "application/zip",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".bmp": "image/bmp",
+  ".mp3": "audio/mpeg",
+  ".mp4": "video/mp4",
+};
+
+/**
+ * Returns MIME type of file by its extension
+ *
+ * @param {string} filename - i.e "invoice.pdf"
+ * @returns {string} - i.e "application/pdf", "application/octet-stream" if extension is unknown
+ */
+export function getMimeType(filename) {
+  return (
+    mimeTypes[extname(String(filename)).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+/**
+ * Splits sheet cell into attachment paths
+ *
+ * @param {*} cell - i.e "invoice.pdf; terms.pdf"
+ * @returns {string[]} - i.e ["invoice.pdf", "terms.pdf"]
+ */
+export function parseAttachmentPaths(cell) {
+  if (cell === null || cell === undefined) {
+    return [];
+  }
+  return String(cell)
+    .split(/[;\n]/)
+    .map((path) => path.trim())
+    .filter((path) => path !== "");
+}
+
+/**
+ * Resolves attachment paths relative to sheet directory and reads their size
+ *
+ * @param {string[]} paths - Paths from sheet
+ * @param {string} sheetDirectory - Directory of original sheet, relative paths are resolved against it
+ * @param {boolean} [isInline] - If true, attachments are inline images with their file name as content ID
+ * @returns {Array<{filename: string, path: string, contentType: string, size: number, contentId?: string}>}
+ * @throws {Error} - File does not exist or is not a file
+ * @throws {Error} - Inline attachment is not an image
+ */
+export function resolveAttachments(paths, sheetDirectory, isInline = false) {
+  return paths.map((path) => {
+    const filePath = resolve(sheetDirectory, path);
+    if (!existsSync(filePath) || !statSync(filePath).isFile()) {
+      throw new Error(`Attachment "${path}" not found`);
+    }
+
+    const filename = basename(filePath);
+    const contentType = getMimeType(filename);
+    if (isInline && !contentType.startsWith("image/")) {
+      throw new Error(`Inline image "${path}" is not an image`);
+    }
+
+    return {
+      filename,
+      path: filePath,
+      contentType,
+      size: statSync(filePath).size,
+      ...(isInline && { contentId: filename }),
+    };
+  });
+}
+
+/**
+ * Validates that attachments fit in a single email, base64 encoding grows files by a third
+ *
+ * @param {Array<{size: number}>} attachments
+ * @throws {Error} - Attachments are larger than the email message size limit
+ */
+export function validateAttachmentSize(attachments) {
+  const encodedSize = attachments.reduce(
+    (total, attachment) => total + Math.ceil(attachment.size / 3) * 4,
+    0,
+  );
+
+  if (encodedSize + messageSizeReserve > maxEmailMessageSize) {
+    throw new Error(
+      `Attachments are ${formatMegabytes(encodedSize)} encoded, larger than the ${formatMegabytes(maxEmailMessageSize)} email limit`,
+    );
+  }
+}
+
+/**
+ * Reads attachment files as base64. Attachments that already have data are returned as is,
+ * so files shared by all recipients can be read once before sending
+ *
+ * @param {Array<{filename: string, path?: string, data?: string, contentType: string, contentId?: string}>} attachments
+ * @returns {Array<{filename: string, data: string, contentType: string, contentId?: string}>}
+ * @throws {Error} - File cannot be read
+ */
+export function readAttachments(attachments) {
+  return attachments.map(({ path, ...attachment }) => {
+    if (attachment.data !== undefined) {
+      return attachment;
+    }
+    try {
+      return { ...attachment, data: readFileSync(path).toString("base64") };
+    } catch (error) {
+      throw new Error(
+        `Failed to read attachment "${attachment.filename}": ` + error.message,
+      );
+    }
+  });
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} - i.e "10 MB"
+ */
+export function formatMegabytes(bytes) {
+  return `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+}
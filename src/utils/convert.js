@@ -1,3 +1,5 @@
+import { renderTemplate } from "./templating.js";
+
 /**
  * Converts string into specified type
  *
@@ -61,17 +63,36 @@ export function convertString(value, type) {
 }
 
 /**
- * Replaces `{}` in message body with parameter values
+ * Replaces placeholders in message body with parameter values, see templating.js for the template language.
+ * `{}` is replaced by the next value in parameters, `{{first_name}}` by the variable named after its column header
  *
- * @param {string} messageBody - Message body containing `{}`
+ * @param {string} messageBody - Message body containing `{}` or `{{name}}` placeholders
  * @param {Array<string>} parameters - Ordered array of values to replace `{}`
+ * @param {Object<string, *>} [variables] - Values of named placeholders by variable name
+ * @param {boolean} [escapeHtml] - If true, escape values for HTML, i.e email paragraphs
  * @returns {string} - Message body with placeholders replaced by corresponding parameter values
+ * @throws {Error} - Message body is not a valid template
+ */
+export function replacePlaceholders(
+  messageBody,
+  parameters,
+  variables = {},
+  escapeHtml = false,
+) {
+  return renderTemplate(messageBody, variables, { parameters, escapeHtml });
+}
+
+/**
+ * Converts column header to variable name used in named placeholders
+ *
+ * @param {string} header - i.e "First Name:"
+ * @returns {string} - i.e "first_name"
  */
-export function replacePlaceholders(messageBody, parameters) {
-  let index = 0;
-  return messageBody.replace(/{}/g, () => {
-    const replacement = parameters[index];
-    index++;
-    return replacement !== undefined ? replacement : "{}";
-  });
+export function toVariableName(header) {
+  return String(header)
+    .replace(/\([^)]*\)/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
 }
@@ -0,0 +1,232 @@
+import { utcToZonedTime, zonedTimeToUtc } from "./date.js";
+
+const cronMacros = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const cronFields = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: [
+      "JAN",
+      "FEB",
+      "MAR",
+      "APR",
+      "MAY",
+      "JUN",
+      "JUL",
+      "AUG",
+      "SEP",
+      "OCT",
+      "NOV",
+      "DEC",
+    ].map((name, index) => [name, index + 1]),
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    max: 7,
+    names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"].map(
+      (name, index) => [name, index],
+    ),
+  },
+];
+
+// Upper bound of search, i.e "0 0 29 2 1" only matches every few years
+const maxSearchYears = 8;
+
+/**
+ * Parses standard 5 field cron expression, "minute hour day-of-month month day-of-week".
+ * Supports "*", lists, ranges, steps, month and weekday names and macros like "@monthly"
+ *
+ * @param {string} expression - i.e "0 8 * * MON" or "30 9 1,15 * *"
+ * @returns {{minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, isDayOfMonthRestricted: boolean, isDayOfWeekRestricted: boolean}}
+ * @throws {Error} - Expression is invalid
+ */
+export function parseCronExpression(expression) {
+  const normalizedExpression = String(expression || "").trim();
+  const fieldValues = (
+    cronMacros[normalizedExpression.toLowerCase()] || normalizedExpression
+  ).split(/\s+/);
+
+  if (fieldValues.length !== cronFields.length) {
+    throw new Error(
+      `Invalid cron expression "${expression}", expected 5 fields: minute hour day-of-month month day-of-week`,
+    );
+  }
+
+  const schedule = {};
+  cronFields.forEach((field, index) => {
+    schedule[field.name] = parseCronField(fieldValues[index], field);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.delete(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  schedule.isDayOfMonthRestricted = !fieldValues[2].startsWith("*");
+  schedule.isDayOfWeekRestricted = !fieldValues[4].startsWith("*");
+
+  return schedule;
+}
+
+/**
+ * Validates cron expression
+ *
+ * @param {string} expression
+ * @returns {boolean}
+ */
+export function isValidCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns next time cron expression matches, strictly after given time, evaluated in given time zone
+ *
+ * @param {string} expression - Cron expression
+ * @param {Date} after
+ * @param {string} timeZone - i.e "Africa/Johannesburg"
+ * @returns {Date} - UTC time
+ * @throws {Error} - Expression is invalid or never matches
+ */
+export function getNextCronTime(expression, after, timeZone) {
+  const schedule = parseCronExpression(expression);
+
+  // Search on wall clock time, kept in the UTC fields of a Date
+  const wallClock = utcToZonedTime(after, timeZone);
+  wallClock.setUTCSeconds(0, 0);
+  wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+  const searchLimit = new Date(wallClock);
+  searchLimit.setUTCFullYear(searchLimit.getUTCFullYear() + maxSearchYears);
+
+  while (wallClock < searchLimit) {
+    if (!schedule.month.has(wallClock.getUTCMonth() + 1)) {
+      wallClock.setUTCMonth(wallClock.getUTCMonth() + 1, 1);
+      wallClock.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, wallClock)) {
+      wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+      wallClock.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(wallClock.getUTCHours())) {
+      wallClock.setUTCHours(wallClock.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(wallClock.getUTCMinutes())) {
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+      continue;
+    }
+
+    const nextTime = zonedTimeToUtc(
+      wallClock.toISOString().slice(0, 16),
+      timeZone,
+    );
+    // Wall clock times skipped or repeated by daylight saving changes can map to the past
+    if (nextTime > after) {
+      return nextTime;
+    }
+    wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+  }
+
+  throw new Error(
+    `Cron expression "${expression}" does not match within ${maxSearchYears} years`,
+  );
+}
+
+/**
+ * Day matches if day of month or day of week matches when both are restricted, like standard cron
+ *
+ * @param {Object} schedule - Parsed cron expression
+ * @param {Date} wallClock
+ * @returns {boolean}
+ */
+function matchesDay(schedule, wallClock) {
+  const dayOfMonthMatches = schedule.dayOfMonth.has(wallClock.getUTCDate());
+  const dayOfWeekMatches = schedule.dayOfWeek.has(wallClock.getUTCDay());
+
+  if (schedule.isDayOfMonthRestricted && schedule.isDayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Parses single cron field, i.e "1-5", "*\/15" or "MON,WED,FRI"
+ *
+ * @param {string} value
+ * @param {{name: string, min: number, max: number, names?: Array<[string, number]>}} field
+ * @returns {Set<number>}
+ * @throws {Error} - Field is invalid
+ */
+function parseCronField(value, field) {
+  const values = new Set();
+  const names = new Map(field.names || []);
+  const toNumber = (part) => {
+    // Number("") is 0, so "1-" or "/5" would otherwise be read as 0
+    if (part.trim() === "") {
+      throw new Error(`Invalid cron ${field.name} value "${value}"`);
+    }
+    const number = names.has(part.toUpperCase())
+      ? names.get(part.toUpperCase())
+      : Number(part);
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+      throw new Error(`Invalid cron ${field.name} value "${value}"`);
+    }
+    return number;
+  };
+
+  value.split(",").forEach((part) => {
+    if (part === "") {
+      throw new Error(`Invalid cron ${field.name} list "${value}"`);
+    }
+    const [range, stepValue, ...extraSteps] = part.split("/");
+    const step = stepValue === undefined ? 1 : Number(stepValue);
+    if (!Number.isInteger(step) || step < 1 || extraSteps.length > 0) {
+      throw new Error(`Invalid cron ${field.name} step "${value}"`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const bounds = range.split("-");
+      if (bounds.length > 2) {
+        throw new Error(`Invalid cron ${field.name} range "${value}"`);
+      }
+      [start, end] = bounds.map(toNumber);
+    } else {
+      start = toNumber(range);
+      end = stepValue === undefined ? start : field.max;
+    }
+    if (start > end) {
+      throw new Error(`Invalid cron ${field.name} range "${value}"`);
+    }
+
+    for (let number = start; number <= end; number += step) {
+      values.add(number);
+    }
+  });
+
+  return values;
+}
@@ -1,3 +1,21 @@
+const monthNames = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// Days between 1899-12-30, day zero of Excel serial dates, and 1970-01-01
+const excelEpochOffsetDays = 25569;
+
 /**
  * Returns current date in following format, i.e "01_01_2000_13_01_59"
  *
@@ -41,20 +59,6 @@ export function getFormattedDate() {
  */
 export function getCurrentMonth() {
   const currentDate = new Date();
-  const monthNames = [
-    "January",
-    "February",
-    "March",
-    "April",
-    "May",
-    "June",
-    "July",
-    "August",
-    "September",
-    "October",
-    "November",
-    "December",
-  ];
   return monthNames[currentDate.getMonth()];
 }
 
@@ -67,3 +71,184 @@ export function getCurrentYear() {
   const currentDate = new Date();
   return currentDate.getFullYear();
 }
+
+/**
+ * Parses calendar date from sheet cell, the date is returned in the UTC fields of the date.
+ * Supports Excel serial dates, "2000-01-31", day first dates such as "31/01/2000" or "31-01-2000",
+ * and other formats understood by Date, i.e "31 January 2000"
+ *
+ * @param {string|number|Date} value
+ * @returns {Date|null} - Null if value is not a valid date
+ */
+export function parseDateValue(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? null
+      : new Date(
+          Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()),
+        );
+  }
+  if (typeof value === "number") {
+    return new Date(Math.round((value - excelEpochOffsetDays) * 86400000));
+  }
+
+  const text = String(value ?? "").trim();
+  const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  const dayFirstMatch = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+  if (isoMatch || dayFirstMatch) {
+    const [year, month, day] = isoMatch
+      ? isoMatch.slice(1).map(Number)
+      : dayFirstMatch.slice(1).map(Number).reverse();
+    const date = new Date(Date.UTC(year, month - 1, day));
+    // Rejects dates that roll over, i.e "30/02/2025"
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+      ? date
+      : null;
+  }
+
+  const parsedDate = text === "" ? new Date(NaN) : new Date(text);
+  return parseDateValue(parsedDate);
+}
+
+/**
+ * Formats date using its UTC fields. Supported tokens are YYYY, YY, MMMM, MMM, MM, M, DD and D,
+ * i.e "D MMMM YYYY" gives "31 January 2000"
+ *
+ * @param {Date} date
+ * @param {string} format
+ * @returns {string}
+ */
+export function formatDate(date, format) {
+  const tokens = {
+    YYYY: String(date.getUTCFullYear()),
+    YY: String(date.getUTCFullYear()).slice(-2),
+    MMMM: monthNames[date.getUTCMonth()],
+    MMM: monthNames[date.getUTCMonth()].slice(0, 3),
+    MM: String(date.getUTCMonth() + 1).padStart(2, "0"),
+    M: String(date.getUTCMonth() + 1),
+    DD: String(date.getUTCDate()).padStart(2, "0"),
+    D: String(date.getUTCDate()),
+  };
+
+  return format.replace(
+    /YYYY|YY|MMMM|MMM|MM|M|DD|D/g,
+    (token) => tokens[token],
+  );
+}
+
+/**
+ * Returns time zone of machine, i.e "Africa/Johannesburg"
+ *
+ * @returns {string}
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Validates if given time zone is a known IANA time zone
+ *
+ * @param {string} timeZone - i.e "Europe/London"
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Converts wall clock date and time in given time zone to UTC date, taking daylight saving time into account
+ *
+ * @param {string} dateTime - i.e "2000-01-31 08:00" or "2000-01-31T08:00:00"
+ * @param {string} timeZone - i.e "Africa/Johannesburg"
+ * @returns {Date}
+ * @throws {Error} - Date time format is invalid or out of range
+ * @throws {Error} - Time zone is invalid
+ */
+export function zonedTimeToUtc(dateTime, timeZone) {
+  const match = String(dateTime)
+    .trim()
+    .match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    throw new Error(
+      `Invalid date time "${dateTime}", expected format YYYY-MM-DD HH:mm`,
+    );
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid time zone "${timeZone}"`);
+  }
+
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(1)
+    .map((value) => Number(value || 0));
+  const wallClockTime = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const wallClockDate = new Date(wallClockTime);
+  // Rejects date times that roll over, i.e "2025-02-30 08:00" or "2025-01-31 24:00"
+  if (
+    wallClockDate.getUTCMonth() !== month - 1 ||
+    wallClockDate.getUTCDate() !== day ||
+    wallClockDate.getUTCHours() !== hours ||
+    wallClockDate.getUTCMinutes() !== minutes ||
+    wallClockDate.getUTCSeconds() !== seconds
+  ) {
+    throw new Error(
+      `Invalid date time "${dateTime}", date or time is out of range`,
+    );
+  }
+
+  // Offset can differ on either side of a daylight saving change, so correct once
+  let utcTime = wallClockTime - getTimeZoneOffset(wallClockTime, timeZone);
+  utcTime = wallClockTime - getTimeZoneOffset(utcTime, timeZone);
+
+  return new Date(utcTime);
+}
+
+/**
+ * Converts UTC date to wall clock time in given time zone. The wall clock time is
+ * returned in the UTC fields of the date, i.e read it with getUTCHours()
+ *
+ * @param {Date} date
+ * @param {string} timeZone - i.e "Africa/Johannesburg"
+ * @returns {Date}
+ */
+export function utcToZonedTime(date, timeZone) {
+  return new Date(date.getTime() + getTimeZoneOffset(date.getTime(), timeZone));
+}
+
+/**
+ * Returns offset of time zone from UTC in milliseconds at given instant
+ *
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, Number(part.value)]),
+  );
+
+  const zonedTime = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second,
+  );
+  return zonedTime - (timestamp - (timestamp % 1000));
+}
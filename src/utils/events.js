@@ -0,0 +1,139 @@
+import { existsSync, readdirSync } from "fs";
+import { appendJsonLine, readJsonLines, resolveDataPath } from "./store.js";
+import "dotenv/config";
+
+/**
+ * Message event store, stored as append-only JSONL file per channel and month in <data>/events/<channel>/<YYYY-MM>.jsonl.
+ * Delivery notifications and WhatsApp statuses received by `serve` and sent SMS messages append one record each:
+ *
+ * - { messageId, channel, eventType, client, recipients, at, notificationId, event }
+ *
+ * `event` is the original notification, i.e SES event with `mail` and `bounce` objects.
+ * `client` is unknown for SMS delivery notifications, they belong to the client of the Send event with the same message ID
+ */
+
+export const eventChannels = ["email", "sms", "whatsapp"];
+
+/**
+ * Appends event to event store. Notifications that were already recorded are skipped, SNS retries deliveries
+ *
+ * @param {Object} event
+ * @param {string} event.messageId - Provider message ID
+ * @param {string} event.channel - One of eventChannels
+ * @param {string} event.eventType - i.e "Send", "Delivery", "Bounce", "Complaint", "Read"
+ * @param {string} [event.client] - Email address of client that sent the message
+ * @param {string[]} [event.recipients]
+ * @param {string} [event.at] - When event happened, defaults to now
+ * @param {string} [event.notificationId] - ID of notification the event came from, i.e SNS message ID
+ * @param {Object} [event.event] - Original event
+ * @returns {Object|undefined} - Recorded event, undefined if notification was already recorded
+ * @throws {Error} - Channel or message ID is invalid
+ */
+export function recordMessageEvent(event) {
+  if (!eventChannels.includes(event.channel)) {
+    throw new Error(`Unknown event channel: ${event.channel}`);
+  }
+  if (!event.messageId) {
+    throw new Error("Message ID missing");
+  }
+
+  const at = new Date(event.at || Date.now());
+  const filePath = getEventFilePath(event.channel, at);
+
+  if (
+    event.notificationId &&
+    readJsonLines(filePath).some(
+      (record) => record.notificationId === event.notificationId,
+    )
+  ) {
+    return undefined;
+  }
+
+  const record = {
+    messageId: event.messageId,
+    channel: event.channel,
+    eventType: event.eventType,
+    client: event.client?.trim().toLowerCase(),
+    recipients: event.recipients || [],
+    at: at.toISOString(),
+    notificationId: event.notificationId,
+    event: event.event,
+  };
+  appendJsonLine(filePath, record);
+
+  return record;
+}
+
+/**
+ * Returns events of client since date, oldest first. Includes events without client whose message was sent by the client
+ *
+ * @param {string} channel - One of eventChannels
+ * @param {string} clientEmail
+ * @param {Date} since
+ * @returns {Object[]}
+ */
+export function getClientEvents(channel, clientEmail, since) {
+  const client = clientEmail.trim().toLowerCase();
+  const events = readEventsSince(channel, since);
+
+  const messageIds = new Set(
+    events
+      .filter((event) => event.client === client)
+      .map((event) => event.messageId),
+  );
+
+  return events.filter(
+    (event) => event.client === client || messageIds.has(event.messageId),
+  );
+}
+
+/**
+ * Returns all events of message, oldest first
+ *
+ * @param {string} channel - One of eventChannels
+ * @param {string} messageId
+ * @returns {Object[]}
+ */
+export function getMessageEvents(channel, messageId) {
+  return readEventsSince(channel, new Date(0)).filter(
+    (event) => event.messageId === messageId,
+  );
+}
+
+/**
+ * @param {string} channel
+ * @param {Date} since
+ * @returns {Object[]} - Events sorted by time
+ */
+function readEventsSince(channel, since) {
+  const directory = resolveDataPath("events", channel);
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  const sinceMonth = getMonth(since);
+  return readdirSync(directory)
+    .filter((file) => /^\d{4}-\d{2}\.jsonl$/.test(file))
+    .filter((file) => file.slice(0, 7) >= sinceMonth)
+    .sort()
+    .flatMap((file) => readJsonLines(resolveDataPath("events", channel, file)))
+    .filter((event) => new Date(event.at) >= since)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * @param {string} channel
+ * @param {Date} at
+ * @returns {string}
+ */
+function getEventFilePath(channel, at) {
+  return resolveDataPath("events", channel, `${getMonth(at)}.jsonl`);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - i.e "2025-03"
+ */
+function getMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
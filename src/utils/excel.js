@@ -1,5 +1,4 @@
-import XLSX from "xlsx";
-import { resolve } from "path";
+import { dirname, resolve } from "path";
 import {
   isValidEmail,
   isValidMobile,
@@ -7,45 +6,74 @@ import {
   validateEmailSheetFields,
   validateWhatsappSheetFields,
 } from "./validate.js";
+import { readWorkbook } from "./workbook.js";
+import { readSheetSchema, sheetSchemas } from "./schema.js";
+import { validateEmailLayout } from "./layouts.js";
+import { filterSuppressedRecipients } from "./suppressions.js";
+import {
+  defaultTemplateLanguage,
+  maxTemplateButtons,
+} from "./whatsappTemplates.js";
+import {
+  parseAttachmentPaths,
+  resolveAttachments,
+  validateAttachmentSize,
+} from "./attachments.js";
 import "dotenv/config";
 
 /**
- * Extracts email addresses and required fields from Excel spreadsheet and returns non-duplicate email address entries
+ * Extracts email addresses and required fields from spreadsheet (Excel, CSV, TSV or JSON) and returns non-duplicate email address entries
  *
+ * @param {string} [sheetLocation] - Path to sheet, defaults to NEXT_PUBLIC_EMAIL_SHEET_LOCATION
+ * @param {string} [sheetDirectory] - Directory attachment paths are relative to, defaults to directory of sheet
  * @returns {Object}
  * @throws {Error} - Email sheet file cannot be resolved or read
+ * @throws {Error} - Header of Email sheet field or column is missing
  * @throws {Error} - Required fields in email sheet are missing or invalid
+ * @throws {Error} - Email layout does not exist or is missing slots
+ * @throws {Error} - Attachment does not exist or attachments of an email are too large
  * @throws {Error} - Email validation fails
+ * @throws {Error} - Suppression list cannot be read or every recipient is suppressed
  */
-export function extractEmail() {
+export function extractEmail(
+  sheetLocation = process.env.NEXT_PUBLIC_EMAIL_SHEET_LOCATION,
+  sheetDirectory = dirname(resolve(sheetLocation)),
+) {
   let invalidEmailAddresses = [];
   const uniqueEmailParameterMap = new Map();
 
-  const filePath = resolve(process.env.NEXT_PUBLIC_EMAIL_SHEET_LOCATION);
-  const workbook = XLSX.readFile(filePath);
-
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const sheetData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-  const emailColumnData = sheetData.slice(1).map((row) => row[3]);
-  const paragraphColumnData = sheetData.slice(1).map((row) => row[2]);
-
-  const clientName = sheetData[1][1];
-  const clientEmail = sheetData[2][1];
-  const companyName = sheetData[3][1];
-  const companyAddress = sheetData[4][1];
-  const emailSubject = sheetData[5][1];
-  const emailParagraphs = paragraphColumnData
-    .filter((row) => row !== null && row !== undefined && row.trim() !== "")
-    .map((row) => row);
-
-  const emailParameterMaps = emailColumnData
-    .map((row, rowIndex) => {
+  const filePath = resolve(sheetLocation);
+  const workbook = readWorkbook(filePath);
+
+  let sheet;
+  try {
+    sheet = readSheetSchema(workbook, sheetSchemas.email);
+  } catch (error) {
+    throw new Error("Failed to read email sheet: " + error.message);
+  }
+
+  const {
+    clientName,
+    clientEmail,
+    companyName,
+    companyAddress,
+    emailSubject,
+    emailLayout,
+    emailAttachments,
+    inlineImages,
+  } = sheet.fields;
+  const emailParagraphs = sheet.paragraphs;
+  const emailTextParagraphs = sheet.textParagraphs;
+
+  const emailParameterMaps = sheet.recipientRows
+    .map(({ recipient: row, parameters, variables, attachments }) => {
       if (isValidEmail(row)) {
-        const parameters = sheetData[rowIndex + 1]
-          .slice(4)
-          .filter((param) => param !== undefined);
-        return { email: row, parameters: parameters };
+        return {
+          email: row,
+          parameters: parameters,
+          variables: variables,
+          attachments: attachments,
+        };
       } else if (row !== null && row !== undefined && row.trim() !== "") {
         invalidEmailAddresses.push(row);
         return null;
@@ -63,18 +91,60 @@ export function extractEmail() {
       emailSubject,
       emailParagraphs,
       emailParameterMaps,
+      emailTextParagraphs,
     );
+    if (emailLayout) {
+      validateEmailLayout(emailLayout);
+    }
   } catch (error) {
     throw new Error("Failed to validate email sheet: " + error.message);
   }
 
+  let sharedAttachments;
+  try {
+    sharedAttachments = [
+      ...resolveAttachments(
+        parseAttachmentPaths(emailAttachments),
+        sheetDirectory,
+      ),
+      ...resolveAttachments(
+        parseAttachmentPaths(inlineImages),
+        sheetDirectory,
+        true,
+      ),
+    ];
+    emailParameterMaps.forEach((emailParameterMap, index) => {
+      try {
+        emailParameterMap.attachments = resolveAttachments(
+          parseAttachmentPaths(emailParameterMap.attachments),
+          sheetDirectory,
+        );
+        validateAttachmentSize([
+          ...sharedAttachments,
+          ...emailParameterMap.attachments,
+        ]);
+      } catch (error) {
+        throw new Error(
+          `row[${index + 1}] (${emailParameterMap.email}): ` + error.message,
+        );
+      }
+    });
+  } catch (error) {
+    throw new Error("Failed to validate email attachments: " + error.message);
+  }
+
   emailParameterMaps.forEach((item) => {
     if (!uniqueEmailParameterMap.has(item.email)) {
       uniqueEmailParameterMap.set(item.email, item);
     }
   });
 
-  const uniqueEmailParameterMaps = Array.from(uniqueEmailParameterMap.values());
+  const { allowed: uniqueEmailParameterMaps, suppressed } = filterSuppressions(
+    clientEmail,
+    "email",
+    Array.from(uniqueEmailParameterMap.values()),
+    "email",
+  );
 
   return {
     clientName: clientName,
@@ -82,39 +152,47 @@ export function extractEmail() {
     companyName: companyName,
     companyAddress: companyAddress,
     emailSubject: emailSubject,
+    emailLayout: emailLayout,
     emailParagraphs: emailParagraphs,
+    emailTextParagraphs: emailTextParagraphs,
+    emailAttachments: sharedAttachments,
     emailParameterMaps: uniqueEmailParameterMaps,
     invalidEmailAddresses: invalidEmailAddresses,
+    suppressedEmailAddresses: suppressed,
   };
 }
 
 /**
- * Extracts mobile numbers and required fields from Excel spreadsheet and returns non-duplicate mobile number entries
+ * Extracts mobile numbers and required fields from spreadsheet (Excel, CSV, TSV or JSON) and returns non-duplicate mobile number entries
  *
+ * @param {string} [sheetLocation] - Path to sheet, defaults to NEXT_PUBLIC_SMS_SHEET_LOCATION
  * @returns {Object}
  * @throws {Error} - SMS sheet file cannot be resolved or read
+ * @throws {Error} - Header of SMS sheet field or column is missing
  * @throws {Error} - Required fields in SMS sheet are missing or invalid
  * @throws {Error} - Mobile number validation fails
+ * @throws {Error} - Suppression list cannot be read or every recipient is suppressed
  */
-export function extractMobile() {
+export function extractMobile(
+  sheetLocation = process.env.NEXT_PUBLIC_SMS_SHEET_LOCATION,
+) {
   let invalidMobileNumbers = [];
   const uniqueMobileParameterMap = new Map();
 
-  const filePath = resolve(process.env.NEXT_PUBLIC_SMS_SHEET_LOCATION);
-  const workbook = XLSX.readFile(filePath);
+  const filePath = resolve(sheetLocation);
+  const workbook = readWorkbook(filePath);
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const sheetData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-  const mobileColumnData = sheetData.slice(1).map((row) => row[2]);
+  let sheet;
+  try {
+    sheet = readSheetSchema(workbook, sheetSchemas.sms);
+  } catch (error) {
+    throw new Error("Failed to read SMS sheet: " + error.message);
+  }
 
-  const clientName = sheetData[1][1];
-  const clientEmail = sheetData[2][1];
-  const clientMobile = sheetData[3][1];
-  const smsBody = sheetData[4][1];
+  const { clientName, clientEmail, clientMobile, smsBody } = sheet.fields;
 
-  const mobileParameterMaps = mobileColumnData
-    .map((row, rowIndex) => {
+  const mobileParameterMaps = sheet.recipientRows
+    .map(({ recipient: row, parameters, variables }) => {
       let formattedMobileNumber;
       if (row !== undefined) {
         formattedMobileNumber = formatMobileNumbers([row]);
@@ -123,10 +201,7 @@ export function extractMobile() {
         formattedMobileNumber !== undefined &&
         isValidMobile(formattedMobileNumber[0])
       ) {
-        const parameters = sheetData[rowIndex + 1]
-          .slice(3)
-          .filter((param) => param !== undefined);
-        return { mobile: row, parameters: parameters };
+        return { mobile: row, parameters: parameters, variables: variables };
       } else if (row !== null && row !== undefined && row.trim() !== "") {
         invalidMobileNumbers.push(row);
         return null;
@@ -153,9 +228,12 @@ export function extractMobile() {
     }
   });
 
-  const formattedClientMobile = formatMobileNumbers([clientMobile]);
-  const uniqueMobileParameterMaps = Array.from(
-    uniqueMobileParameterMap.values(),
+  const formattedClientMobile = formatMobileNumbers([clientMobile])[0];
+  const { allowed: uniqueMobileParameterMaps, suppressed } = filterSuppressions(
+    clientEmail,
+    "sms",
+    Array.from(uniqueMobileParameterMap.values()),
+    "mobile",
   );
 
   return {
@@ -165,39 +243,51 @@ export function extractMobile() {
     smsBody: smsBody,
     mobileParameterMaps: uniqueMobileParameterMaps,
     invalidMobileNumbers: invalidMobileNumbers,
+    suppressedMobileNumbers: suppressed,
   };
 }
 
 /**
- * Extracts mobile numbers and required fields such as WhatsApp API credentials from Excel spreadsheet and returns non-duplicate mobile number entries
+ * Extracts mobile numbers and required fields such as WhatsApp API credentials from spreadsheet (Excel, CSV, TSV or JSON) and returns non-duplicate mobile number entries
  *
+ * @param {string} [sheetLocation] - Path to sheet, defaults to NEXT_PUBLIC_WHATSAPP_SHEET_LOCATION
  * @returns {Object}
  * @throws {Error} - WhatsApp sheet file cannot be resolved or read
+ * @throws {Error} - Header of WhatsApp sheet field or column is missing
  * @throws {Error} - Required fields in WhatsApp sheet are missing or invalid
  * @throws {Error} - Mobile number validation fails
+ * @throws {Error} - Suppression list cannot be read or every recipient is suppressed
  */
-export function extractWhatsapp() {
+export function extractWhatsapp(
+  sheetLocation = process.env.NEXT_PUBLIC_WHATSAPP_SHEET_LOCATION,
+) {
   let invalidMobileNumbers = [];
   const uniqueWhatsappParameterMap = new Map();
 
-  const filePath = resolve(process.env.NEXT_PUBLIC_WHATSAPP_SHEET_LOCATION);
-  const workbook = XLSX.readFile(filePath);
+  const filePath = resolve(sheetLocation);
+  const workbook = readWorkbook(filePath);
 
-  const sheetName = workbook.SheetNames[0];
-  const sheet = workbook.Sheets[sheetName];
-  const sheetData = XLSX.utils.sheet_to_json(sheet, { header: 1 });
-  const whatsappColumnData = sheetData.slice(1).map((row) => row[2]);
-
-  const clientName = sheetData[1][1];
-  const clientEmail = sheetData[2][1];
-  const clientMobile = sheetData[3][1];
+  let sheet;
+  try {
+    sheet = readSheetSchema(workbook, sheetSchemas.whatsapp);
+  } catch (error) {
+    throw new Error("Failed to read WhatsApp sheet: " + error.message);
+  }
 
-  const whatsappAccessToken = sheetData[4][1];
-  const whatsappPhoneNumberId = sheetData[5][1];
-  const whatsappTemplateName = sheetData[6][1];
+  const {
+    clientName,
+    clientEmail,
+    clientMobile,
+    whatsappAccessToken,
+    whatsappPhoneNumberId,
+    whatsappTemplateName,
+    whatsappTemplateLanguage,
+    whatsappHeader,
+    whatsappBusinessAccountId,
+  } = sheet.fields;
 
-  const whatsappParameterMaps = whatsappColumnData
-    .map((row, rowIndex) => {
+  const whatsappParameterMaps = sheet.recipientRows
+    .map(({ recipient: row, parameters, variables, columns }) => {
       let formattedMobileNumber;
       if (row !== undefined) {
         formattedMobileNumber = formatMobileNumbers([row]);
@@ -206,10 +296,18 @@ export function extractWhatsapp() {
         formattedMobileNumber !== undefined &&
         isValidMobile(formattedMobileNumber[0])
       ) {
-        const parameters = sheetData[rowIndex + 1]
-          .slice(3)
-          .filter((param) => param !== undefined);
-        return { mobile: row, parameters: parameters };
+        return {
+          mobile: row,
+          parameters: parameters,
+          variables: variables,
+          language: String(
+            columns.language ||
+              whatsappTemplateLanguage ||
+              defaultTemplateLanguage,
+          ).trim(),
+          header: columns.header ?? whatsappHeader,
+          buttons: getButtonParameters(columns),
+        };
       } else if (row !== null && row !== undefined && row.trim() !== "") {
         invalidMobileNumbers.push(row);
         return null;
@@ -237,10 +335,14 @@ export function extractWhatsapp() {
     }
   });
 
-  const formattedClientMobile = formatMobileNumbers([clientMobile]);
-  const uniqueWhatsappParameterMaps = Array.from(
-    uniqueWhatsappParameterMap.values(),
-  );
+  const formattedClientMobile = formatMobileNumbers([clientMobile])[0];
+  const { allowed: uniqueWhatsappParameterMaps, suppressed } =
+    filterSuppressions(
+      clientEmail,
+      "whatsapp",
+      Array.from(uniqueWhatsappParameterMap.values()),
+      "mobile",
+    );
 
   return {
     clientName: clientName,
@@ -249,11 +351,70 @@ export function extractWhatsapp() {
     whatsappAccessToken: whatsappAccessToken,
     whatsappPhoneNumberId: whatsappPhoneNumberId,
     whatsappTemplateName: whatsappTemplateName,
+    whatsappTemplateLanguage: String(
+      whatsappTemplateLanguage || defaultTemplateLanguage,
+    ).trim(),
+    whatsappBusinessAccountId:
+      whatsappBusinessAccountId ||
+      process.env.NEXT_PUBLIC_WA_BUSINESS_ACCOUNT_ID,
     whatsappParameterMaps: uniqueWhatsappParameterMaps,
     invalidMobileNumbers: invalidMobileNumbers,
+    suppressedMobileNumbers: suppressed,
   };
 }
 
+/**
+ * Returns template button parameters of row, by button index. Trailing buttons without a parameter are left out
+ *
+ * @param {Object<string, *>} columns - Optional column cells of row, i.e { button1: "ORDER-42" }
+ * @returns {Array<*>} - i.e ["ORDER-42", undefined, "yes"]
+ */
+function getButtonParameters(columns) {
+  const buttons = [];
+  for (let index = 0; index < maxTemplateButtons; index++) {
+    buttons.push(columns[`button${index + 1}`]);
+  }
+  while (
+    buttons.length > 0 &&
+    (buttons[buttons.length - 1] === undefined ||
+      String(buttons[buttons.length - 1]).trim() === "")
+  ) {
+    buttons.pop();
+  }
+  return buttons;
+}
+
+/**
+ * Removes recipients on suppression list of client
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - i.e "email"
+ * @param {Object[]} parameterMaps
+ * @param {string} recipientKey - "email" or "mobile"
+ * @returns {{allowed: Object[], suppressed: Array<{recipient: string, reason: string}>}}
+ * @throws {Error} - Suppression list cannot be read or every recipient is suppressed
+ */
+function filterSuppressions(clientEmail, channel, parameterMaps, recipientKey) {
+  let result;
+  try {
+    result = filterSuppressedRecipients(
+      clientEmail,
+      channel,
+      parameterMaps,
+      recipientKey,
+    );
+  } catch (error) {
+    throw new Error("Failed to read suppression list: " + error.message);
+  }
+
+  if (result.allowed.length === 0 && result.suppressed.length > 0) {
+    throw new Error(
+      `All ${result.suppressed.length} recipients are on the suppression list`,
+    );
+  }
+  return result;
+}
+
 /**
  * Formats list of mobile numbers by removing all whitespace characters, also removes special characters, excluding leading + symbol
  *
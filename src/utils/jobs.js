@@ -0,0 +1,253 @@
+import { randomBytes } from "crypto";
+import { copyFileSync, existsSync, readdirSync } from "fs";
+import { dirname, extname, resolve } from "path";
+import { appendJsonLine, readJsonLines, resolveDataPath } from "./store.js";
+
+/**
+ * Batch jobs are stored as append-only JSONL files in <data>/batches/<batchId>.jsonl.
+ * The first record describes the batch, every later record is a state change:
+ *
+ * - { type: "batch", batchId, channel, clientEmail, sheetLocation, sheetDirectory, createdAt }
+ * - { type: "recipient", recipient, status: "pending" | "sent" | "failed", attempts, messageId, error, at }
+ * - { type: "charge", recipients, amount, at }
+ * - { type: "completed", at }
+ *
+ * The latest record of a recipient is its current state.
+ */
+
+/**
+ * Creates batch job with every recipient pending. The sheet is copied next to the job,
+ * so resuming uses the exact same recipients and parameters even if the original sheet changed.
+ * The directory of the original sheet is kept, since attachment paths in the sheet are relative to it
+ *
+ * @param {string} channel - i.e "email"
+ * @param {string} clientEmail
+ * @param {string} sheetLocation - Path of sheet the batch was extracted from
+ * @param {string[]} recipients - Email addresses or mobile numbers
+ * @param {string} [sheetDirectory] - Directory of original sheet, defaults to directory of sheetLocation
+ * @returns {string} - Batch ID
+ */
+export function createBatchJob(
+  channel,
+  clientEmail,
+  sheetLocation,
+  recipients,
+  sheetDirectory = dirname(resolve(sheetLocation)),
+) {
+  const batchId = `${channel}-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+  const sheetCopy = resolveDataPath(
+    "batches",
+    batchId + extname(sheetLocation),
+  );
+  copyFileSync(resolve(sheetLocation), sheetCopy);
+
+  const filePath = getBatchFilePath(batchId);
+  const createdAt = new Date().toISOString();
+
+  appendJsonLine(filePath, {
+    type: "batch",
+    batchId,
+    channel,
+    clientEmail,
+    sheetLocation: sheetCopy,
+    sheetDirectory,
+    createdAt,
+  });
+  recipients.forEach((recipient) =>
+    appendJsonLine(filePath, {
+      type: "recipient",
+      recipient,
+      status: "pending",
+      at: createdAt,
+    }),
+  );
+
+  return batchId;
+}
+
+/**
+ * Records send result of single recipient
+ *
+ * @param {string} batchId
+ * @param {{recipient: string, attempts?: number, messageId?: string, error?: Error}} result - Provider send result
+ */
+export function recordRecipientResult(batchId, result) {
+  appendJsonLine(getBatchFilePath(batchId), {
+    type: "recipient",
+    recipient: result.recipient,
+    status: result.error ? "failed" : "sent",
+    attempts: result.attempts,
+    messageId: result.messageId,
+    error: result.error ? String(result.error) : undefined,
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Records that tokens were deducted for recipients, so a resumed batch never charges them again
+ *
+ * @param {string} batchId
+ * @param {string[]} recipients
+ * @param {number} amount - Tokens deducted
+ */
+export function recordBatchCharge(batchId, recipients, amount) {
+  appendJsonLine(getBatchFilePath(batchId), {
+    type: "charge",
+    recipients,
+    amount,
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Marks batch as completed
+ *
+ * @param {string} batchId
+ */
+export function completeBatchJob(batchId) {
+  appendJsonLine(getBatchFilePath(batchId), {
+    type: "completed",
+    at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Rebuilds current state of batch job from its records
+ *
+ * @param {string} batchId
+ * @returns {Object|null} - Batch details with `recipients` map and `chargedRecipients` map of tokens charged per recipient, null if batch does not exist
+ */
+export function getBatchJob(batchId) {
+  if (!/^[\w-]+$/.test(batchId)) {
+    return null;
+  }
+
+  const records = readJsonLines(getBatchFilePath(batchId));
+  if (records.length === 0 || records[0].type !== "batch") {
+    return null;
+  }
+
+  const job = {
+    ...records[0],
+    completedAt: null,
+    recipients: new Map(),
+    chargedRecipients: new Map(),
+  };
+  delete job.type;
+
+  records.slice(1).forEach((record) => {
+    if (record.type === "recipient") {
+      job.recipients.set(record.recipient, record);
+    } else if (record.type === "charge") {
+      record.recipients.forEach((recipient) =>
+        job.chargedRecipients.set(
+          recipient,
+          record.amount / record.recipients.length,
+        ),
+      );
+    } else if (record.type === "completed") {
+      job.completedAt = record.at;
+    }
+  });
+
+  return job;
+}
+
+/**
+ * Removes parameter maps of recipients that were already sent to in batch job
+ *
+ * @param {string} batchId
+ * @param {Object[]} parameterMaps - Extracted parameter maps
+ * @param {string} recipientKey - Key holding recipient in parameter map, i.e "email" or "mobile"
+ * @returns {Object[]}
+ * @throws {Error} - Batch job does not exist
+ */
+export function filterPendingParameterMaps(
+  batchId,
+  parameterMaps,
+  recipientKey,
+) {
+  const job = getBatchJob(batchId);
+  if (!job) {
+    throw new Error(`Batch ${batchId} not found`);
+  }
+
+  return parameterMaps.filter(
+    (parameterMap) =>
+      job.recipients.get(parameterMap[recipientKey])?.status !== "sent",
+  );
+}
+
+/**
+ * Returns recipients whose message was accepted by the provider but not charged for yet.
+ * Failed recipients are never charged
+ *
+ * @param {string} batchId
+ * @returns {string[]}
+ */
+export function getUnchargedRecipients(batchId) {
+  const job = getBatchJob(batchId);
+
+  return Array.from(job.recipients.values())
+    .filter(
+      (state) =>
+        state.status === "sent" && !job.chargedRecipients.has(state.recipient),
+    )
+    .map((state) => state.recipient);
+}
+
+/**
+ * Returns tokens charged for every recipient in batch job, 0 for failed and pending recipients
+ *
+ * @param {string} batchId
+ * @returns {Array<{recipient: string, status: string, attempts?: number, cost: number}>}
+ */
+export function getRecipientCosts(batchId) {
+  const job = getBatchJob(batchId);
+
+  return Array.from(job.recipients.values()).map((state) => ({
+    recipient: state.recipient,
+    status: state.status,
+    attempts: state.attempts,
+    cost: job.chargedRecipients.get(state.recipient) || 0,
+  }));
+}
+
+/**
+ * Lists all batch jobs, newest first
+ *
+ * @returns {Array<{batchId: string, channel: string, clientEmail: string, createdAt: string, completedAt: string|null, pending: number, sent: number, failed: number}>}
+ */
+export function listBatchJobs() {
+  const directory = resolveDataPath("batches");
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory)
+    .filter((fileName) => fileName.endsWith(".jsonl"))
+    .map((fileName) => getBatchJob(fileName.replace(/\.jsonl$/, "")))
+    .filter((job) => job !== null)
+    .map((job) => {
+      const states = Array.from(job.recipients.values());
+      return {
+        batchId: job.batchId,
+        channel: job.channel,
+        clientEmail: job.clientEmail,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        pending: states.filter((state) => state.status === "pending").length,
+        sent: states.filter((state) => state.status === "sent").length,
+        failed: states.filter((state) => state.status === "failed").length,
+      };
+    })
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * @param {string} batchId
+ * @returns {string}
+ */
+function getBatchFilePath(batchId) {
+  return resolveDataPath("batches", `${batchId}.jsonl`);
+}
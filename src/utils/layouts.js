@@ -0,0 +1,216 @@
+import { existsSync, readdirSync, readFileSync } from "fs";
+import { basename, extname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import "dotenv/config";
+
+/**
+ * Email layouts are HTML designs with slots that are filled in for every recipient:
+ *
+ * - {{#slot:paragraphs}}...{{/slot:paragraphs}}: repeated for every paragraph, {{slot:paragraph}} inside it is the paragraph
+ * - {{slot:footer}}: company name and address
+ * - {{slot:unsubscribe_url}}: unsubscribe link, for use in an href
+ * - {{slot:subject}}, {{slot:company_name}}: optional
+ *
+ * Bundled layouts live in misc/html_templates, layouts in NEXT_PUBLIC_EMAIL_LAYOUT_DIRECTORY
+ * take precedence over bundled layouts with the same name
+ */
+
+export const defaultLayoutName = "default";
+export const requiredLayoutSlots = ["paragraphs", "footer", "unsubscribe_url"];
+export const optionalLayoutSlots = ["subject", "company_name"];
+
+const bundledLayoutDirectory = fileURLToPath(
+  new URL("../../misc/html_templates/", import.meta.url),
+);
+const layoutExtension = ".html";
+const slotPattern = /{{\s*([#/]?)slot:([a-z_]+)\s*}}/g;
+const paragraphsBlockPattern =
+  /{{\s*#slot:paragraphs\s*}}([\s\S]*?){{\s*\/slot:paragraphs\s*}}/g;
+// Sample content left behind by the original designs, i.e "Lorem ipsum" or links to www.example.com
+const sampleContentPattern = /\blorem\s+ipsum\b|\bexample\.(?:com|net|org)\b/i;
+
+const htmlEscapes = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Lists names of available email layouts, including the default layout
+ *
+ * @returns {string[]} - i.e ["call_to_action", "default", "earth_day"]
+ */
+export function listEmailLayouts() {
+  const names = new Set([defaultLayoutName]);
+  getLayoutDirectories().forEach((directory) => {
+    readdirSync(directory)
+      .filter((fileName) => extname(fileName).toLowerCase() === layoutExtension)
+      .forEach((fileName) =>
+        names.add(toLayoutName(basename(fileName, extname(fileName)))),
+      );
+  });
+  return [...names].sort();
+}
+
+/**
+ * Converts layout name from sheet to file name without extension
+ *
+ * @param {string} name - i.e "Earth Day" or "earth_day.html"
+ * @returns {string} - i.e "earth_day"
+ */
+export function toLayoutName(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/\.html$/, "")
+    .replace(/[\s-]+/g, "_");
+}
+
+/**
+ * Reads HTML of email layout
+ *
+ * @param {string} name - Layout name, see toLayoutName
+ * @returns {string}
+ * @throws {Error} - Layout does not exist
+ */
+export function loadEmailLayout(name) {
+  const layoutName = toLayoutName(name);
+
+  if (/^\w+$/.test(layoutName)) {
+    for (const directory of getLayoutDirectories().reverse()) {
+      const filePath = join(directory, layoutName + layoutExtension);
+      if (existsSync(filePath)) {
+        return readFileSync(filePath, "utf8");
+      }
+    }
+  }
+
+  throw new Error(
+    `Unknown email layout "${name}", available layouts: ${listEmailLayouts().join(", ")}`,
+  );
+}
+
+/**
+ * Validates that email layout exists and has all required slots
+ *
+ * @param {string} name - Layout name, see toLayoutName
+ * @throws {Error} - Layout does not exist
+ * @throws {Error} - Layout is missing required slots or has unknown slots
+ * @throws {Error} - Layout contains sample content outside of slots
+ */
+export function validateEmailLayout(name) {
+  if (toLayoutName(name) === defaultLayoutName) {
+    return;
+  }
+
+  const layout = loadEmailLayout(name);
+
+  let missingSlots;
+  try {
+    missingSlots = getMissingLayoutSlots(layout);
+  } catch (error) {
+    throw new Error(`Invalid email layout "${name}": ` + error.message);
+  }
+  if (missingSlots.length > 0) {
+    throw new Error(
+      `Email layout "${name}" is missing slots: ${missingSlots.join(", ")}`,
+    );
+  }
+
+  const sampleContent = layout.match(sampleContentPattern);
+  if (sampleContent) {
+    throw new Error(
+      `Email layout "${name}" contains sample content "${sampleContent[0]}", remove it or replace it with a slot`,
+    );
+  }
+}
+
+/**
+ * @param {string} layout - Layout HTML
+ * @returns {string[]} - Required slots that are missing, i.e ["footer", "unsubscribe_url"]
+ * @throws {Error} - Layout has unknown slots
+ */
+export function getMissingLayoutSlots(layout) {
+  const slots = new Set();
+  const knownSlots = [
+    ...requiredLayoutSlots,
+    ...optionalLayoutSlots,
+    "paragraph",
+  ];
+
+  for (const [, type, slot] of layout.matchAll(slotPattern)) {
+    if (!knownSlots.includes(slot)) {
+      throw new Error(`Unknown slot "${slot}"`);
+    }
+    // The paragraphs slot is a block, it only counts if it is opened and closed
+    if (slot !== "paragraphs" || type === "#") {
+      slots.add(slot);
+    }
+  }
+
+  const hasParagraphsBlock = [...layout.matchAll(paragraphsBlockPattern)].some(
+    ([, block]) => /{{\s*slot:paragraph\s*}}/.test(block),
+  );
+  if (!hasParagraphsBlock) {
+    slots.delete("paragraphs");
+  }
+
+  return requiredLayoutSlots.filter((slot) => !slots.has(slot));
+}
+
+/**
+ * Fills slots of email layout, paragraphs are inserted as is, other values are escaped
+ *
+ * @param {string} layout - Layout HTML
+ * @param {Object} values
+ * @param {string[]} values.paragraphs - Rendered paragraphs, already escaped
+ * @param {string} values.footer - i.e "BatchBytes, 1 Main Road, Cape Town"
+ * @param {string} values.unsubscribeUrl
+ * @param {string} [values.subject]
+ * @param {string} [values.companyName]
+ * @returns {string}
+ */
+export function renderEmailLayout(layout, values) {
+  const slotValues = {
+    footer: values.footer,
+    unsubscribe_url: values.unsubscribeUrl,
+    subject: values.subject,
+    company_name: values.companyName,
+  };
+
+  return layout
+    .replace(paragraphsBlockPattern, (match, block) =>
+      values.paragraphs
+        .map((paragraph) =>
+          block.replace(/{{\s*slot:paragraph\s*}}/g, () => paragraph),
+        )
+        .join(""),
+    )
+    .replace(slotPattern, (match, type, slot) =>
+      escapeHtml(slotValues[slot] ?? ""),
+    );
+}
+
+/**
+ * @returns {string[]} - Bundled layout directory, followed by custom layout directory if configured
+ */
+function getLayoutDirectories() {
+  const directories = [bundledLayoutDirectory];
+  if (process.env.NEXT_PUBLIC_EMAIL_LAYOUT_DIRECTORY) {
+    directories.push(resolve(process.env.NEXT_PUBLIC_EMAIL_LAYOUT_DIRECTORY));
+  }
+  return directories.filter((directory) => existsSync(directory));
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (character) => htmlEscapes[character],
+  );
+}
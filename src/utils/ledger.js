@@ -0,0 +1,105 @@
+import { userInfo } from "os";
+import { appendJsonLine, readJsonLines, resolveDataPath } from "./store.js";
+import "dotenv/config";
+
+/**
+ * Token ledger, stored as append-only JSONL file per client in <data>/ledger/<client>.jsonl.
+ * Every change to `user_metadata.tokens` appends one entry:
+ *
+ * - { type: "credit" | "debit" | "override" | "refund", amount, balanceAfter, reason, batchId, operator, at }
+ *
+ * `amount` is the signed change of the balance, so an override records the difference to the previous balance
+ */
+
+export const ledgerEntryTypes = ["credit", "debit", "override", "refund"];
+
+/**
+ * Appends entry to ledger of client
+ *
+ * @param {string} clientEmail
+ * @param {Object} entry
+ * @param {string} entry.type - One of ledgerEntryTypes
+ * @param {number} entry.amount - Signed change of token balance
+ * @param {number} entry.balanceAfter - Token balance after change
+ * @param {string} [entry.reason]
+ * @param {string} [entry.batchId]
+ * @param {string} [entry.operator] - Defaults to getLedgerOperator()
+ * @returns {Object} - Recorded entry
+ */
+export function recordLedgerEntry(clientEmail, entry) {
+  if (!ledgerEntryTypes.includes(entry.type)) {
+    throw new Error(`Unknown ledger entry type: ${entry.type}`);
+  }
+
+  const record = {
+    type: entry.type,
+    amount: Number(entry.amount),
+    balanceAfter: Number(entry.balanceAfter),
+    reason: entry.reason || "",
+    batchId: entry.batchId,
+    operator: entry.operator || getLedgerOperator(),
+    at: new Date().toISOString(),
+  };
+  appendJsonLine(getLedgerFilePath(clientEmail), record);
+
+  return record;
+}
+
+/**
+ * Reads all ledger entries of client, oldest first
+ *
+ * @param {string} clientEmail
+ * @returns {Object[]}
+ */
+export function getLedgerEntries(clientEmail) {
+  return readJsonLines(getLedgerFilePath(clientEmail));
+}
+
+/**
+ * Returns who is changing token balances, NEXT_PUBLIC_LEDGER_OPERATOR or the OS user running the app
+ *
+ * @returns {string}
+ */
+export function getLedgerOperator() {
+  return process.env.NEXT_PUBLIC_LEDGER_OPERATOR || userInfo().username;
+}
+
+/**
+ * Converts ledger entries to CSV statement
+ *
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export function convertLedgerToCsv(entries) {
+  const columns = [
+    "at",
+    "type",
+    "amount",
+    "balanceAfter",
+    "reason",
+    "batchId",
+    "operator",
+  ];
+  const escapeValue = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return (
+    [columns, ...entries.map((entry) => columns.map((key) => entry[key]))]
+      .map((row) => row.map(escapeValue).join(","))
+      .join("\n") + "\n"
+  );
+}
+
+/**
+ * @param {string} clientEmail
+ * @returns {string}
+ */
+function getLedgerFilePath(clientEmail) {
+  const client = clientEmail
+    .trim()
+    .toLowerCase()
+    .replace(/[^\w.@-]/g, "_");
+  return resolveDataPath("ledger", `${client}.jsonl`);
+}
@@ -1,5 +1,7 @@
 import { uploadLogFileToS3 } from "./storage.js";
 import { getFileNameDate, getFormattedDate } from "./date.js";
+import { formatSuppression } from "./suppressions.js";
+import { getBatchMessages } from "./messages.js";
 
 /**
  * Writes logs related to sending batch emails to text file and stores to S3
@@ -10,9 +12,12 @@ import { getFileNameDate, getFormattedDate } from "./date.js";
  * @param {string[]} emailParagraphs - Raw HTML email body
  * @param {Array<{email: string, parameters: Array<string>}>} emailParameterMaps - Array of objects, each containing an email address and an array of parameters
  * @param {string[]} invalidEmailAddresses - Array of invalid email addresses
+ * @param {Array<{recipient: string, reason: string}>} suppressedEmailAddresses - Email addresses skipped because they are on the suppression list
  * @param {string[]} batchEmailResponses
  * @param {string[]} errorResponse
  * @param {number} updatedUserTokens - Amount of tokens after batch deduction
+ * @param {string} [batchId] - Batch job ID, undefined for drafts
+ * @param {Array<{recipient: string, status: string, cost: number}>} [recipientCosts] - Tokens charged per recipient, undefined for drafts
  * @returns {Object}
  * @throws {Error} - Log file fails to upload to S3
  */
@@ -23,9 +28,12 @@ export async function logEmailToFile(
   emailParagraphs,
   emailParameterMaps,
   invalidEmailAddresses,
+  suppressedEmailAddresses,
   batchEmailResponses,
   errorResponse,
   updatedUserTokens,
+  batchId,
+  recipientCosts,
 ) {
   const fileNameDate = getFileNameDate();
   const formattedDate = getFormattedDate();
@@ -44,6 +52,9 @@ export async function logEmailToFile(
   const concatFileName = `${client}_${subject}_${fileNameDate}.txt`;
 
   let logContent = "";
+  if (batchId) {
+    logContent += `Batch ID: ${batchId}\n`;
+  }
   logContent += `Client name: ${clientName}\n`;
   logContent += `Client email: ${clientEmail}\n`;
   logContent += `Date: ${formattedDate}\n`;
@@ -56,6 +67,9 @@ export async function logEmailToFile(
   logContent += emailAddresses.join("\n") + "\n\n";
   logContent += `Invalid email addresses:\n`;
   logContent += invalidEmailAddresses.join("\n") + "\n\n";
+  logContent += `Suppressed email addresses (${suppressedEmailAddresses.length}):\n`;
+  logContent +=
+    suppressedEmailAddresses.map(formatSuppression).join("\n") + "\n\n";
   logContent += `Batch email responses:\n`;
   if (batchEmailResponses && batchEmailResponses.length > 0) {
     logContent +=
@@ -65,6 +79,8 @@ export async function logEmailToFile(
         )
         .join("\n") + "\n\n";
   }
+  logContent += formatBatchMessages(batchId);
+  logContent += formatRecipientCosts(recipientCosts);
   if (errorResponse != null) {
     logContent += `Batch email error response:\n${JSON.stringify(errorResponse)}\n`;
   }
@@ -91,9 +107,12 @@ export async function logEmailToFile(
  * @param {string} smsBody
  * @param {Array<{mobile: string, parameters: Array<string>}>} mobileParameterMaps - Array of objects, each containing a mobile number and an array of parameters
  * @param {string[]} invalidMobileNumbers - Array of invalid mobile numbers
+ * @param {Array<{recipient: string, reason: string}>} suppressedMobileNumbers - Mobile numbers skipped because they are on the suppression list
  * @param {string[]} batchSmsResponses
  * @param {string} errorResponse
  * @param {number} updatedUserTokens - Amount of tokens after batch deduction
+ * @param {string} [batchId] - Batch job ID, undefined for drafts
+ * @param {Array<{recipient: string, status: string, cost: number}>} [recipientCosts] - Tokens charged per recipient, undefined for drafts
  * @returns {Object}
  * @throws {Error} - Log file fails to upload to S3
  */
@@ -104,9 +123,12 @@ export async function logSmsToFile(
   smsBody,
   mobileParameterMaps,
   invalidMobileNumbers,
+  suppressedMobileNumbers,
   batchSmsResponses,
   errorResponse,
   updatedUserTokens,
+  batchId,
+  recipientCosts,
 ) {
   const fileNameDate = getFileNameDate();
   const formattedDate = getFormattedDate();
@@ -122,6 +144,9 @@ export async function logSmsToFile(
   const concatFileName = `${client}_sms_${fileNameDate}.txt`;
 
   let logContent = "";
+  if (batchId) {
+    logContent += `Batch ID: ${batchId}\n`;
+  }
   logContent += `Client name: ${clientName}\n`;
   logContent += `Client email: ${clientEmail}\n`;
   logContent += `Client mobile: ${clientMobile}\n`;
@@ -132,6 +157,9 @@ export async function logSmsToFile(
   logContent += mobileNumbers.join("\n") + "\n\n";
   logContent += `Invalid mobile numbers:\n`;
   logContent += invalidMobileNumbers.join("\n") + "\n\n";
+  logContent += `Suppressed mobile numbers (${suppressedMobileNumbers.length}):\n`;
+  logContent +=
+    suppressedMobileNumbers.map(formatSuppression).join("\n") + "\n\n";
   logContent += `Batch SMS responses:\n`;
   if (batchSmsResponses && batchSmsResponses.length > 0) {
     logContent +=
@@ -141,6 +169,8 @@ export async function logSmsToFile(
         )
         .join("\n") + "\n\n";
   }
+  logContent += formatBatchMessages(batchId);
+  logContent += formatRecipientCosts(recipientCosts);
   if (errorResponse != null) {
     logContent += `Batch SMS error response:\n${JSON.stringify(errorResponse)}\n`;
   }
@@ -167,9 +197,12 @@ export async function logSmsToFile(
  * @param {string} templateName
  * @param {Array<{mobile: string, parameters: Array<string>}>} whatsappParameterMaps - Array of objects, each containing a mobile number and an array of parameters
  * @param {string[]} invalidMobileNumbers - Array of invalid mobile numbers
+ * @param {Array<{recipient: string, reason: string}>} suppressedMobileNumbers - Mobile numbers skipped because they are on the suppression list
  * @param {string[]} batchWhatsappResponse
  * @param {string} errorResponse
  * @param {number} updatedUserTokens - Amount of tokens after batch deduction
+ * @param {string} [batchId] - Batch job ID, undefined for drafts
+ * @param {Array<{recipient: string, status: string, cost: number}>} [recipientCosts] - Tokens charged per recipient, undefined for drafts
  * @returns {Object}
  * @throws {Error} - Log file fails to upload to S3
  */
@@ -180,9 +213,12 @@ export async function logWhatsappToFile(
   templateName,
   whatsappParameterMaps,
   invalidMobileNumbers,
+  suppressedMobileNumbers,
   batchWhatsappResponse,
   errorResponse,
   updatedUserTokens,
+  batchId,
+  recipientCosts,
 ) {
   const fileNameDate = getFileNameDate();
   const formattedDate = getFormattedDate();
@@ -198,6 +234,9 @@ export async function logWhatsappToFile(
   const concatFileName = `${client}_whatsapp_${fileNameDate}.txt`;
 
   let logContent = "";
+  if (batchId) {
+    logContent += `Batch ID: ${batchId}\n`;
+  }
   logContent += `Client name: ${clientName}\n`;
   logContent += `Client email: ${clientEmail}\n`;
   logContent += `Client mobile: ${clientMobile}\n`;
@@ -208,11 +247,16 @@ export async function logWhatsappToFile(
   logContent += mobileNumbers.join("\n") + "\n\n";
   logContent += `Invalid mobile numbers:\n`;
   logContent += invalidMobileNumbers.join("\n") + "\n\n";
+  logContent += `Suppressed mobile numbers (${suppressedMobileNumbers.length}):\n`;
+  logContent +=
+    suppressedMobileNumbers.map(formatSuppression).join("\n") + "\n\n";
   logContent += `Batch WhatsApp responses:\n`;
   logContent +=
     batchWhatsappResponse
       .map((response) => JSON.stringify(response))
       .join("\n") + "\n\n";
+  logContent += formatBatchMessages(batchId);
+  logContent += formatRecipientCosts(recipientCosts);
   if (errorResponse != null) {
     logContent += `Error response:\n${JSON.stringify(errorResponse)}\n`;
   }
@@ -231,20 +275,39 @@ export async function logWhatsappToFile(
 }
 
 /**
- * Generates log report file containing email and SMS delivery details for a given client
+ * Generates log report file containing email, SMS and WhatsApp delivery details for a given client
  *
  * @param {string} clientEmail
  * @param {Object} emailReport
  * @param {Array<Object>} smsReport
+ * @param {Array<Object>} whatsappReport
+ * @param {Object} messageReport - Number of tracked messages per channel and status, i.e { email: { delivered: 40 } }
  * @returns {{fileName: string, file: string}} - Object containing file name and log content
  */
-export function logReportToFile(clientEmail, emailReport, smsReport) {
+export function logReportToFile(
+  clientEmail,
+  emailReport,
+  smsReport,
+  whatsappReport,
+  messageReport,
+) {
   const fileNameDate = getFileNameDate();
   const client = clientEmail.split("@")[0].replace(/\./g, "");
   const concatFileName = `${client}_report_${fileNameDate}.txt`;
 
   let logContent = "";
 
+  // Messages
+  logContent += `Messages:\n\n`;
+  Object.entries(messageReport).forEach(([channel, statusCounts]) => {
+    logContent += `${channel}: `;
+    logContent += Object.entries(statusCounts)
+      .map(([status, count]) => `${status} ${count}`)
+      .join(", ");
+    logContent += "\n";
+  });
+  logContent += "\n";
+
   // Email
   logContent += `Email:\n\n`;
   logContent += `Send recipients (${emailReport.sendCount}):\n`;
@@ -306,6 +369,19 @@ export function logReportToFile(clientEmail, emailReport, smsReport) {
         `Mobile: ${mobileNumber} | Carrier: ${phoneCarrier} | Response: ${providerResponse} | Status: ${status}`,
     )
     .join("\n");
+  logContent += "\n\n";
+
+  // WhatsApp
+  logContent += `WhatsApp:\n\n`;
+  logContent += `WhatsApp Messages (${whatsappReport.length}):\n`;
+  logContent += whatsappReport
+    .map(
+      ({ mobileNumber, messageId, status, sendError, deliveryError }) =>
+        `Mobile: ${mobileNumber} | MessageId: ${messageId || "none"} | Status: ${status}` +
+        (sendError ? ` | Send error: ${sendError}` : "") +
+        (deliveryError ? ` | Delivery error: ${deliveryError}` : ""),
+    )
+    .join("\n");
 
   console.log(logContent);
 
@@ -314,3 +390,55 @@ export function logReportToFile(clientEmail, emailReport, smsReport) {
     file: logContent,
   };
 }
+
+/**
+ * Formats tracked messages of batch log file, see utils/messages.js
+ *
+ * @param {string} [batchId] - Undefined for drafts
+ * @returns {string} - Empty string if batch has no tracked messages
+ */
+function formatBatchMessages(batchId) {
+  const messages = batchId ? getBatchMessages(batchId) : [];
+  if (messages.length === 0) {
+    return "";
+  }
+
+  let logContent = `Messages (${messages.length}):\n`;
+  logContent +=
+    messages
+      .map(
+        ({ recipient, messageId, status }) =>
+          `${recipient} | ${messageId || "no message ID"} | ${status}`,
+      )
+      .join("\n") + "\n\n";
+
+  return logContent;
+}
+
+/**
+ * Formats per recipient cost breakdown of batch log file
+ *
+ * @param {Array<{recipient: string, status: string, cost: number}>} [recipientCosts]
+ * @returns {string} - Empty string if no breakdown is given
+ */
+function formatRecipientCosts(recipientCosts) {
+  if (!recipientCosts || recipientCosts.length === 0) {
+    return "";
+  }
+
+  const totalCost = recipientCosts.reduce(
+    (total, recipientCost) => total + recipientCost.cost,
+    0,
+  );
+
+  let logContent = `Cost breakdown (${totalCost} tokens charged):\n`;
+  logContent +=
+    recipientCosts
+      .map(
+        ({ recipient, status, cost }) =>
+          `${recipient} | ${status} | ${cost} tokens`,
+      )
+      .join("\n") + "\n\n";
+
+  return logContent;
+}
@@ -0,0 +1,232 @@
+import { createHash } from "crypto";
+import { existsSync, readdirSync } from "fs";
+import { appendJsonLine, readJsonLines, resolveDataPath } from "./store.js";
+import "dotenv/config";
+
+/**
+ * Message tracking store, stored as append-only JSONL file per month in <data>/messages/<YYYY-MM>.jsonl.
+ * Every message sent in a batch appends one record, delivery events append status changes of that message ID:
+ *
+ * - { type: "message", messageId, batchId, client, channel, recipient, bodyHash, status, error, sentAt }
+ * - { type: "status", messageId, status, details, at }
+ *
+ * Messages that failed to send have no message ID, they are only found by batch or client
+ */
+
+export const messageStatuses = [
+  "sent",
+  "delivered",
+  "read",
+  "bounced",
+  "failed",
+];
+
+// Events may arrive out of order, a status never goes back to an earlier one, i.e "read" stays "read" after a late "delivered"
+const statusRanks = { sent: 0, delivered: 1, read: 2, bounced: 3, failed: 3 };
+
+/**
+ * Records message sent to recipient
+ *
+ * @param {Object} message
+ * @param {string} message.batchId
+ * @param {string} message.client - Email address of client
+ * @param {string} message.channel - i.e "email"
+ * @param {string} message.recipient - Email address or mobile number
+ * @param {string} [message.messageId] - Provider message ID, undefined if sending failed
+ * @param {string} message.body - Rendered message body, only its hash is stored
+ * @param {Error} [message.error] - Send error
+ * @returns {Object} - Recorded message
+ */
+export function recordMessage(message) {
+  const sentAt = new Date();
+  const record = {
+    type: "message",
+    messageId: message.messageId,
+    batchId: message.batchId,
+    client: message.client.trim().toLowerCase(),
+    channel: message.channel,
+    recipient: message.recipient,
+    bodyHash: createHash("sha256").update(message.body).digest("hex"),
+    status: message.error ? "failed" : "sent",
+    error: message.error ? String(message.error) : undefined,
+    sentAt: sentAt.toISOString(),
+  };
+  appendJsonLine(getMessageFilePath(sentAt), record);
+
+  return record;
+}
+
+/**
+ * Records status change of message, i.e from a delivery event
+ *
+ * @param {string} messageId - Provider message ID
+ * @param {string} status - One of messageStatuses
+ * @param {Object} [options]
+ * @param {string} [options.at] - When status changed, defaults to now
+ * @param {Object} [options.details] - i.e { phoneCarrier, providerResponse }
+ * @returns {Object} - Recorded change
+ * @throws {Error} - Status is invalid or message ID is missing
+ */
+export function updateMessageStatus(messageId, status, options = {}) {
+  if (!messageStatuses.includes(status)) {
+    throw new Error(`Unknown message status: ${status}`);
+  }
+  if (!messageId) {
+    throw new Error("Message ID missing");
+  }
+
+  const record = {
+    type: "status",
+    messageId,
+    status,
+    details: options.details,
+    at: new Date(options.at || Date.now()).toISOString(),
+  };
+  appendJsonLine(getMessageFilePath(new Date()), record);
+
+  return record;
+}
+
+/**
+ * Returns message with its current status and status history
+ *
+ * @param {string} messageId
+ * @returns {Object|null} - null if message does not exist
+ */
+export function getMessage(messageId) {
+  return (
+    readMessagesSince(new Date(0)).find(
+      (message) => message.messageId === messageId,
+    ) || null
+  );
+}
+
+/**
+ * Returns messages with given IDs, reading the store once, i.e for all statuses of one webhook request
+ *
+ * @param {string[]} messageIds
+ * @returns {Map<string, Object>} - Message by message ID, messages that do not exist are left out
+ */
+export function getMessages(messageIds) {
+  const ids = new Set(messageIds);
+  return new Map(
+    readMessagesSince(new Date(0))
+      .filter((message) => ids.has(message.messageId))
+      .map((message) => [message.messageId, message]),
+  );
+}
+
+/**
+ * Returns last message sent to each recipient on channel, reading the store once
+ *
+ * @param {string} channel - i.e "whatsapp"
+ * @param {string[]} recipients - Email addresses or mobile numbers, i.e "+27821234567"
+ * @returns {Map<string, Object>} - Message by recipient, recipients without messages are left out
+ */
+export function getLastMessagesTo(channel, recipients) {
+  const wanted = new Set(recipients);
+  const lastMessages = new Map();
+  readMessagesSince(new Date(0))
+    .filter(
+      (message) => message.channel === channel && wanted.has(message.recipient),
+    )
+    .forEach((message) => lastMessages.set(message.recipient, message));
+  return lastMessages;
+}
+
+/**
+ * Returns messages of batch, in send order
+ *
+ * @param {string} batchId
+ * @returns {Object[]}
+ */
+export function getBatchMessages(batchId) {
+  return readMessagesSince(new Date(0)).filter(
+    (message) => message.batchId === batchId,
+  );
+}
+
+/**
+ * Returns messages client sent since date, in send order
+ *
+ * @param {string} clientEmail
+ * @param {string} [channel] - Only return messages of this channel
+ * @param {Date} since
+ * @returns {Object[]}
+ */
+export function getClientMessages(clientEmail, channel, since) {
+  const client = clientEmail.trim().toLowerCase();
+  return readMessagesSince(since).filter(
+    (message) =>
+      message.client === client && (!channel || message.channel === channel),
+  );
+}
+
+/**
+ * Rebuilds messages sent since date with their current status, from the month files of that date onwards
+ *
+ * @param {Date} since
+ * @returns {Object[]}
+ */
+function readMessagesSince(since) {
+  const directory = resolveDataPath("messages");
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  const messages = [];
+  const messagesById = new Map();
+  const sinceMonth = getMonth(since);
+
+  readdirSync(directory)
+    .filter((file) => /^\d{4}-\d{2}\.jsonl$/.test(file))
+    .filter((file) => file.slice(0, 7) >= sinceMonth)
+    .sort()
+    .flatMap((file) => readJsonLines(resolveDataPath("messages", file)))
+    .forEach((record) => {
+      if (record.type === "message") {
+        if (new Date(record.sentAt) < since) {
+          return;
+        }
+        const message = { ...record, updatedAt: record.sentAt, history: [] };
+        delete message.type;
+        messages.push(message);
+        if (record.messageId) {
+          messagesById.set(record.messageId, message);
+        }
+      } else if (record.type === "status") {
+        const message = messagesById.get(record.messageId);
+        if (!message) {
+          return;
+        }
+        message.history.push({
+          status: record.status,
+          details: record.details,
+          at: record.at,
+        });
+        if (statusRanks[record.status] >= statusRanks[message.status]) {
+          message.status = record.status;
+          message.details = record.details;
+          message.updatedAt = record.at;
+        }
+      }
+    });
+
+  return messages;
+}
+
+/**
+ * @param {Date} at
+ * @returns {string}
+ */
+function getMessageFilePath(at) {
+  return resolveDataPath("messages", `${getMonth(at)}.jsonl`);
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - i.e "2025-03"
+ */
+function getMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
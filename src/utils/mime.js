@@ -0,0 +1,250 @@
+import { randomUUID } from "crypto";
+import { htmlToText } from "./text.js";
+import {
+  formatMegabytes,
+  getMimeType,
+  maxEmailMessageSize,
+  readAttachments,
+} from "./attachments.js";
+
+/**
+ * Helper function for constructing raw message with optional attachments.
+ * Shared by all email providers, so SES and SMTP send identical MIME.
+ * The body is sent as multipart/alternative with a plain text part, generated from the HTML unless `text` is provided.
+ * Attachments with a `contentId` are inline images, referenced in the HTML as `cid:<contentId>`.
+ * Text parts are quoted-printable UTF-8, so sheet text of any language and any line length survives transport,
+ * and a non-ASCII subject is RFC 2047 encoded
+ *
+ * @param {*} param0 - JSON object containing to and from email address, subject, HTML body, optional plain text, attachments and extra headers, i.e { "List-Unsubscribe": "<mailto:...>" }
+ * @returns {string}
+ * @throws {Error} - Message is larger than the email message size limit
+ * @throws {Error} - Sender, recipient, subject or extra header contains a line break
+ */
+export function buildRawMessage({
+  from,
+  to,
+  subject,
+  body,
+  text,
+  attachments = [],
+  headers = {},
+}) {
+  const boundaryId = new Date().getTime();
+  const mixedBoundary = "----=_Part_0_" + boundaryId;
+  const alternativeBoundary = "----=_Part_1_" + boundaryId;
+  const relatedBoundary = "----=_Part_2_" + boundaryId;
+  const domain = String(from).match(/@([^>\s]+)/)?.[1] || "localhost";
+  const inlineAttachments = attachments.filter(
+    (attachment) => attachment.contentId,
+  );
+  const fileAttachments = attachments.filter(
+    (attachment) => !attachment.contentId,
+  );
+
+  let content = [
+    `Content-Type: multipart/alternative; boundary="${alternativeBoundary}"`,
+    ``,
+    `--${alternativeBoundary}`,
+    `Content-Type: text/plain; charset=UTF-8`,
+    `Content-Transfer-Encoding: quoted-printable`,
+    ``,
+    encodeQuotedPrintable(text ?? htmlToText(body)),
+    ``,
+    `--${alternativeBoundary}`,
+    `Content-Type: text/html; charset=UTF-8`,
+    `Content-Transfer-Encoding: quoted-printable`,
+    ``,
+    encodeQuotedPrintable(body),
+    ``,
+    `--${alternativeBoundary}--`,
+  ];
+
+  if (inlineAttachments.length > 0) {
+    content = [
+      `Content-Type: multipart/related; boundary="${relatedBoundary}"`,
+      ``,
+      `--${relatedBoundary}`,
+      ...content,
+      ``,
+      ...inlineAttachments.flatMap((attachment) => [
+        `--${relatedBoundary}`,
+        ...buildAttachmentPart(attachment, "inline"),
+      ]),
+      `--${relatedBoundary}--`,
+    ];
+  }
+
+  if (fileAttachments.length > 0) {
+    content = [
+      `Content-Type: multipart/mixed; boundary="${mixedBoundary}"`,
+      ``,
+      `--${mixedBoundary}`,
+      ...content,
+      ``,
+      ...fileAttachments.flatMap((attachment) => [
+        `--${mixedBoundary}`,
+        ...buildAttachmentPart(attachment, "attachment"),
+      ]),
+      `--${mixedBoundary}--`,
+    ];
+  }
+
+  const rawMessage = [
+    `From: ${encodeAddressHeader(from)}`,
+    `To: ${encodeAddressHeader(to)}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${domain}>`,
+    ...Object.entries(headers).map(
+      ([name, value]) => `${name}: ${encodeHeaderValue(value)}`,
+    ),
+    `MIME-Version: 1.0`,
+    ...content,
+  ].join("\r\n");
+
+  const messageSize = Buffer.byteLength(rawMessage);
+  if (messageSize > maxEmailMessageSize) {
+    throw new Error(
+      `Email is ${formatMegabytes(messageSize)}, larger than the ${formatMegabytes(maxEmailMessageSize)} email limit`,
+    );
+  }
+
+  return rawMessage;
+}
+
+/**
+ * Returns raw MIME of provider message, built from its HTML, plain text, attachments and headers if it has no `raw`
+ *
+ * @param {{from: string, to: string, subject?: string, html?: string, text?: string, attachments?: Object[], headers?: Object, raw?: string}} message
+ * @returns {string}
+ * @throws {Error} - Attachment cannot be read or message is too large
+ */
+export function toRawMessage(message) {
+  if (message.raw) {
+    return message.raw;
+  }
+  return buildRawMessage({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    body: message.html,
+    text: message.text,
+    attachments: readAttachments(message.attachments || []),
+    headers: message.headers,
+  });
+}
+
+/**
+ * @param {{filename: string, data: string|Buffer, contentType?: string, contentId?: string}} attachment - Data is base64 or a Buffer
+ * @param {string} disposition - "attachment" or "inline"
+ * @returns {string[]} - Header and base64 lines of MIME part
+ */
+function buildAttachmentPart(attachment, disposition) {
+  const contentType =
+    attachment.contentType || getMimeType(attachment.filename);
+  const data = Buffer.isBuffer(attachment.data)
+    ? attachment.data.toString("base64")
+    : attachment.data;
+
+  return [
+    `Content-Type: ${contentType}; name="${attachment.filename}"`,
+    `Content-Transfer-Encoding: base64`,
+    `Content-Disposition: ${disposition}; filename="${attachment.filename}"`,
+    ...(attachment.contentId ? [`Content-ID: <${attachment.contentId}>`] : []),
+    ``,
+    ...(data.match(/.{1,76}/g) || []),
+    ``,
+  ];
+}
+
+/**
+ * Encodes header value as RFC 2047 encoded words if it is not plain ASCII, i.e "Café" as "=?UTF-8?B?Q2Fmw6k=?="
+ *
+ * @param {string} value
+ * @returns {string}
+ * @throws {Error} - Value contains a line break, which would start a new header
+ */
+export function encodeHeaderValue(value) {
+  const headerValue = String(value ?? "");
+  if (/[\r\n]/.test(headerValue)) {
+    throw new Error(`Header value contains a line break: ${headerValue}`);
+  }
+  if (/^[\x20-\x7e]*$/.test(headerValue)) {
+    return headerValue;
+  }
+
+  // An encoded word is at most 75 characters, 45 bytes of UTF-8 fit in its base64. Characters are never split
+  const words = [];
+  let word = "";
+  for (const character of headerValue) {
+    if (Buffer.byteLength(word + character) > 45) {
+      words.push(word);
+      word = "";
+    }
+    word += character;
+  }
+  words.push(word);
+
+  return words
+    .map((chunk) => `=?UTF-8?B?${Buffer.from(chunk).toString("base64")}?=`)
+    .join("\r\n ");
+}
+
+/**
+ * Encodes display name of address header, i.e "José <jose@example.com>". The address itself is left as is
+ *
+ * @param {string} value - Email address, optionally with display name
+ * @returns {string}
+ * @throws {Error} - Value contains a line break
+ */
+function encodeAddressHeader(value) {
+  const address = String(value ?? "");
+  const namedAddress = address.match(/^(.*?)\s*<([^<>]+)>$/);
+  if (!namedAddress || !namedAddress[1]) {
+    return encodeHeaderValue(address);
+  }
+  return `${encodeHeaderValue(namedAddress[1].replace(/^"|"$/g, ""))} <${encodeHeaderValue(namedAddress[2])}>`;
+}
+
+/**
+ * Encodes text as quoted-printable UTF-8 with lines of at most 76 characters, see RFC 2045
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeQuotedPrintable(text) {
+  return String(text ?? "")
+    .split(/\r?\n/)
+    .map((line) => {
+      const encodedCharacters = Array.from(line).map(
+        (character, index, characters) => {
+          const isLast = index === characters.length - 1;
+          if (
+            (character !== "=" && /^[\x21-\x7e]$/.test(character)) ||
+            (/^[ \t]$/.test(character) && !isLast)
+          ) {
+            return character;
+          }
+          return Array.from(Buffer.from(character))
+            .map(
+              (byte) => "=" + byte.toString(16).toUpperCase().padStart(2, "0"),
+            )
+            .join("");
+        },
+      );
+
+      // Soft line breaks ("=" at line end) keep every line within 76 characters, without splitting an escape
+      const lines = [];
+      let current = "";
+      encodedCharacters.forEach((encoded) => {
+        if (current.length + encoded.length > 75) {
+          lines.push(current + "=");
+          current = "";
+        }
+        current += encoded;
+      });
+      lines.push(current);
+      return lines.join("\r\n");
+    })
+    .join("\r\n");
+}
@@ -0,0 +1,267 @@
+import { createVerify } from "crypto";
+import { gunzipSync } from "zlib";
+import axios from "axios";
+import "dotenv/config";
+
+/**
+ * Amazon SNS HTTP(S) notifications, i.e SES events published to an SNS topic by the "EmailEventTracking" configuration set.
+ * Every message is signed by SNS, the signing certificate is downloaded from SNS and cached per URL
+ */
+
+// SNS only signs with certificates hosted on its own regional endpoints
+const snsHostPattern = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+const signedKeys = {
+  Notification: [
+    "Message",
+    "MessageId",
+    "Subject",
+    "Timestamp",
+    "TopicArn",
+    "Type",
+  ],
+  SubscriptionConfirmation: [
+    "Message",
+    "MessageId",
+    "SubscribeURL",
+    "Timestamp",
+    "Token",
+    "TopicArn",
+    "Type",
+  ],
+  UnsubscribeConfirmation: [
+    "Message",
+    "MessageId",
+    "SubscribeURL",
+    "Timestamp",
+    "Token",
+    "TopicArn",
+    "Type",
+  ],
+};
+
+const certificates = new Map();
+
+/**
+ * Parses SNS message and verifies its signature and topic
+ *
+ * @param {string} body - Request body posted by SNS
+ * @returns {Promise<Object>} - SNS message, i.e { Type: "Notification", MessageId, TopicArn, Message, ... }
+ * @throws {Error} - Body is not an SNS message, NEXT_PUBLIC_SNS_TOPIC_ARNS is not set, topic is not listed in it or signature is invalid
+ */
+export async function verifySnsMessage(body) {
+  let message;
+  try {
+    message = JSON.parse(body);
+  } catch {
+    throw new Error("Malformed SNS message");
+  }
+
+  const keys = signedKeys[message?.Type];
+  if (!keys) {
+    throw new Error(`Unknown SNS message type: ${message?.Type}`);
+  }
+
+  // Any AWS account can sign messages of its own topics, so only listed topics are trusted
+  const allowedTopics = (process.env.NEXT_PUBLIC_SNS_TOPIC_ARNS || "")
+    .split(",")
+    .map((topicArn) => topicArn.trim())
+    .filter(Boolean);
+  if (allowedTopics.length === 0) {
+    throw new Error("SNS topic ARNs missing");
+  }
+  if (!allowedTopics.includes(message.TopicArn)) {
+    throw new Error(`SNS topic not allowed: ${message.TopicArn}`);
+  }
+
+  const stringToSign = keys
+    .filter((key) => message[key] !== undefined)
+    .map((key) => `${key}\n${message[key]}\n`)
+    .join("");
+  const certificate = await getSigningCertificate(message.SigningCertURL);
+  const verifier = createVerify(
+    message.SignatureVersion === "2" ? "RSA-SHA256" : "RSA-SHA1",
+  );
+  verifier.update(stringToSign, "utf8");
+
+  if (
+    !message.Signature ||
+    !verifier.verify(certificate, message.Signature, "base64")
+  ) {
+    throw new Error("Invalid SNS message signature");
+  }
+
+  return message;
+}
+
+/**
+ * Confirms subscription of HTTP(S) endpoint to SNS topic by visiting the subscribe URL
+ *
+ * @param {Object} message - Verified SubscriptionConfirmation message
+ * @returns {Promise<string>} - Subscription ARN
+ * @throws {Error} - Subscribe URL is not an SNS URL or request fails
+ */
+export async function confirmSnsSubscription(message) {
+  const url = validateSnsUrl(message.SubscribeURL);
+  const response = await axios.get(url.toString(), { responseType: "text" });
+  const subscriptionArn = String(response.data).match(
+    /<SubscriptionArn>([^<]+)<\/SubscriptionArn>/,
+  );
+  return subscriptionArn ? subscriptionArn[1] : undefined;
+}
+
+/**
+ * Converts SES event or SNS SMS delivery logs of notification to event store records, see utils/events.js.
+ * SMS delivery logs are either the log itself or a CloudWatch Logs subscription payload relayed to the topic,
+ * i.e { awslogs: { data } } with data being the gzipped and base64 encoded log events
+ *
+ * @param {Object} message - Verified Notification message
+ * @returns {Object[]} - i.e [{ messageId, channel: "email", eventType: "Bounce", client, recipients, at, notificationId, event }]
+ * @throws {Error} - Notification is not an SES event or SMS delivery log
+ */
+export function parseDeliveryNotifications(message) {
+  let event;
+  try {
+    event = JSON.parse(message.Message);
+  } catch {
+    throw new Error("Notification is not JSON");
+  }
+
+  const eventType = event.eventType || event.notificationType;
+  if (eventType && event.mail) {
+    const details =
+      event[eventType.charAt(0).toLowerCase() + eventType.slice(1)];
+    const recipients =
+      details?.bouncedRecipients?.map((recipient) => recipient.emailAddress) ||
+      details?.complainedRecipients?.map(
+        (recipient) => recipient.emailAddress,
+      ) ||
+      details?.recipients ||
+      event.mail.destination;
+
+    return [
+      {
+        messageId: event.mail.messageId,
+        channel: "email",
+        eventType,
+        client: getEmailAddress(event.mail.source),
+        recipients,
+        at: details?.timestamp || event.mail.timestamp,
+        notificationId: message.MessageId,
+        event,
+      },
+    ];
+  }
+
+  if (isSmsDeliveryLog(event)) {
+    return [toSmsDeliveryEvent(event, message.MessageId)];
+  }
+
+  if (event.awslogs?.data) {
+    // Control messages only check that the destination is reachable and have no log events
+    return decodeLogSubscriptionData(event.awslogs.data)
+      .logEvents.map((logEvent) => {
+        try {
+          return { id: logEvent.id, log: JSON.parse(logEvent.message) };
+        } catch {
+          return { id: logEvent.id };
+        }
+      })
+      .filter(({ log }) => isSmsDeliveryLog(log))
+      .map(({ id, log }) => toSmsDeliveryEvent(log, id));
+  }
+
+  throw new Error("Notification is not an SES event or SMS delivery log");
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<string>} - PEM certificate
+ * @throws {Error} - URL is not an SNS URL or certificate cannot be downloaded
+ */
+async function getSigningCertificate(url) {
+  const certificateUrl = validateSnsUrl(url);
+  if (!certificateUrl.pathname.endsWith(".pem")) {
+    throw new Error("Invalid SNS signing certificate URL");
+  }
+
+  if (!certificates.has(certificateUrl.href)) {
+    const response = await axios.get(certificateUrl.href, {
+      responseType: "text",
+    });
+    certificates.set(certificateUrl.href, response.data);
+  }
+  return certificates.get(certificateUrl.href);
+}
+
+/**
+ * Only HTTPS URLs of SNS are followed, so forged messages cannot make the server request other hosts
+ *
+ * @param {string} url
+ * @returns {URL}
+ * @throws {Error} - URL is not an HTTPS SNS URL
+ */
+function validateSnsUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new Error(`Invalid SNS URL: ${url}`);
+  }
+  if (
+    parsedUrl.protocol !== "https:" ||
+    !snsHostPattern.test(parsedUrl.hostname)
+  ) {
+    throw new Error(`Invalid SNS URL: ${url}`);
+  }
+  return parsedUrl;
+}
+
+/**
+ * @param {Object} log
+ * @returns {boolean}
+ */
+function isSmsDeliveryLog(log) {
+  return Boolean(log?.notification?.messageId && log.delivery);
+}
+
+/**
+ * @param {Object} log - SNS SMS delivery log
+ * @param {string} notificationId - SNS message ID, or CloudWatch log event ID when relayed from CloudWatch Logs
+ * @returns {Object}
+ */
+function toSmsDeliveryEvent(log, notificationId) {
+  return {
+    messageId: log.notification.messageId,
+    channel: "sms",
+    eventType: log.status === "SUCCESS" ? "Delivery" : "Failure",
+    recipients: [log.delivery.destination],
+    at: log.notification.timestamp,
+    notificationId,
+    event: log,
+  };
+}
+
+/**
+ * @param {string} data - awslogs.data of CloudWatch Logs subscription payload
+ * @returns {Object} - i.e { messageType: "DATA_MESSAGE", logGroup, logStream, logEvents: [{ id, timestamp, message }] }
+ * @throws {Error} - Data is not gzipped and base64 encoded JSON
+ */
+function decodeLogSubscriptionData(data) {
+  let payload;
+  try {
+    payload = JSON.parse(gunzipSync(Buffer.from(data, "base64")).toString());
+  } catch {
+    throw new Error("Malformed CloudWatch Logs subscription data");
+  }
+  return { ...payload, logEvents: payload.logEvents || [] };
+}
+
+/**
+ * @param {string} source - i.e "Jane Doe <jane@example.com>"
+ * @returns {string} - i.e "jane@example.com"
+ */
+function getEmailAddress(source) {
+  const address = String(source || "").match(/<([^>]+)>/);
+  return (address ? address[1] : String(source || "")).trim().toLowerCase();
+}
@@ -42,6 +42,9 @@ export async function selectBatchType() {
       { title: "Draft Email", value: "draft_email" },
       { title: "Draft WhatsApp", value: "draft_whatsapp" },
       { title: "Monthly Reports", value: "monthly_report" },
+      { title: "Resume Batch", value: "resume_batch" },
+      { title: "Schedule Batch", value: "schedule_batch" },
+      { title: "Create Recurring Batch", value: "recurring_batch" },
       { title: "<-Back", value: "back" },
     ],
   });
@@ -76,6 +79,21 @@ export async function selectAdminOption() {
       { title: "Test User Login", value: "login" },
       { title: "Verify Client SES Email", value: "verify" },
       { title: "Reset User Password", value: "reset_password" },
+      { title: "List Batches", value: "list_batches" },
+      { title: "Token Statement", value: "token_statement" },
+      { title: "List Scheduled Batches", value: "list_schedules" },
+      { title: "Cancel Scheduled Batch", value: "cancel_schedule" },
+      { title: "List Recurring Batches", value: "list_recurring" },
+      { title: "Cancel Recurring Batch", value: "cancel_recurring" },
+      { title: "Recurring Batch History", value: "recurring_history" },
+      { title: "List Email Layouts", value: "list_layouts" },
+      { title: "Suppress Recipient", value: "suppress" },
+      { title: "Remove Suppression", value: "unsuppress" },
+      { title: "List Suppressions", value: "list_suppressions" },
+      { title: "Sync SMS Opt-Outs", value: "sync_opt_outs" },
+      { title: "Sync Email Bounces", value: "sync_bounces" },
+      { title: "Lookup Message", value: "lookup_message" },
+      { title: "Sync WhatsApp Templates", value: "sync_templates" },
       { title: "<-Back", value: "back" },
     ],
   });
@@ -108,6 +126,248 @@ export async function enterEmailAddress() {
   return response.email;
 }
 
+/**
+ * Prompts user to enter batch ID
+ *
+ * @returns {string}
+ */
+export async function enterBatchId() {
+  const response = await prompts({
+    type: "text",
+    name: "batchId",
+    message: "Please enter batch ID:",
+  });
+
+  if (!response.batchId) {
+    console.log("No batch ID was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.batchId;
+}
+
+/**
+ * Prompts user to enter optional CSV export path
+ *
+ * @returns {string|undefined} - Undefined if nothing was entered
+ */
+export async function enterExportPath() {
+  const response = await prompts({
+    type: "text",
+    name: "exportPath",
+    message: "Please enter CSV export path (leave empty to skip export):",
+  });
+
+  return response.exportPath || undefined;
+}
+
+/**
+ * Prompts user to select channel of batch to schedule
+ *
+ * @param {boolean} [includeMonthlyReport] - If true, monthly report can be selected too
+ * @returns {string}
+ */
+export async function selectScheduleChannel(includeMonthlyReport = false) {
+  const choices = [
+    { title: "SMS", value: "sms" },
+    { title: "Email", value: "email" },
+    { title: "WhatsApp", value: "whatsapp" },
+  ];
+  if (includeMonthlyReport) {
+    choices.push({ title: "Monthly Reports", value: "monthly_report" });
+  }
+
+  const response = await prompts({
+    type: "select",
+    name: "option",
+    message: "Please select batch type",
+    choices,
+  });
+
+  if (!response.option) {
+    console.log("No option was selected or prompt was canceled...");
+    return null;
+  }
+
+  return response.option;
+}
+
+/**
+ * Prompts user to enter optional sheet location
+ *
+ * @returns {string|undefined} - Undefined if nothing was entered
+ */
+export async function enterSheetLocation() {
+  const response = await prompts({
+    type: "text",
+    name: "sheetLocation",
+    message: "Please enter sheet location (leave empty to use default):",
+  });
+
+  return response.sheetLocation || undefined;
+}
+
+/**
+ * Prompts user to enter send time
+ *
+ * @returns {string}
+ */
+export async function enterSendTime() {
+  const response = await prompts({
+    type: "text",
+    name: "sendTime",
+    message: "Please enter send time (YYYY-MM-DD HH:mm):",
+  });
+
+  if (!response.sendTime) {
+    console.log("No send time was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.sendTime;
+}
+
+/**
+ * Prompts user to enter optional time zone
+ *
+ * @returns {string|undefined} - Undefined if nothing was entered
+ */
+export async function enterTimeZone() {
+  const response = await prompts({
+    type: "text",
+    name: "timeZone",
+    message:
+      "Please enter time zone, i.e Africa/Johannesburg (leave empty to use default):",
+  });
+
+  return response.timeZone || undefined;
+}
+
+/**
+ * Prompts user to enter cron expression
+ *
+ * @returns {string}
+ */
+export async function enterCronExpression() {
+  const response = await prompts({
+    type: "text",
+    name: "cronExpression",
+    message:
+      "Please enter cron expression, i.e 0 8 * * MON for every Monday at 08:00:",
+  });
+
+  if (!response.cronExpression) {
+    console.log("No cron expression was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.cronExpression;
+}
+
+/**
+ * Prompts user to select whether recurring batch reads sheet on every run or stores a copy now
+ *
+ * @returns {boolean|null} - True to store a copy
+ */
+export async function selectSheetSnapshot() {
+  const response = await prompts({
+    type: "select",
+    name: "option",
+    message: "Please select recipient list",
+    choices: [
+      { title: "Read sheet file on every run", value: false },
+      { title: "Store copy of sheet now", value: true },
+    ],
+  });
+
+  if (response.option === undefined) {
+    console.log("No option was selected or prompt was canceled...");
+    return null;
+  }
+
+  return response.option;
+}
+
+/**
+ * Prompts user to enter recurring batch ID
+ *
+ * @returns {string}
+ */
+export async function enterRecurringId() {
+  const response = await prompts({
+    type: "text",
+    name: "recurringId",
+    message: "Please enter recurring batch ID:",
+  });
+
+  if (!response.recurringId) {
+    console.log("No recurring batch ID was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.recurringId;
+}
+
+/**
+ * Prompts user to enter recipient email address or mobile number
+ *
+ * @returns {string}
+ */
+export async function enterRecipient() {
+  const response = await prompts({
+    type: "text",
+    name: "recipient",
+    message: "Please enter recipient email address or mobile number:",
+  });
+
+  if (!response.recipient) {
+    console.log("No recipient was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.recipient;
+}
+
+/**
+ * Prompts user to enter provider message ID
+ *
+ * @returns {string}
+ */
+export async function enterMessageId() {
+  const response = await prompts({
+    type: "text",
+    name: "messageId",
+    message: "Please enter message ID:",
+  });
+
+  if (!response.messageId) {
+    console.log("No message ID was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.messageId;
+}
+
+/**
+ * Prompts user to enter schedule ID
+ *
+ * @returns {string}
+ */
+export async function enterScheduleId() {
+  const response = await prompts({
+    type: "text",
+    name: "scheduleId",
+    message: "Please enter schedule ID:",
+  });
+
+  if (!response.scheduleId) {
+    console.log("No schedule ID was entered or prompt was canceled...");
+    return null;
+  }
+
+  return response.scheduleId;
+}
+
 /**
  * Prompts user to enter password
  *
@@ -0,0 +1,218 @@
+import { randomBytes } from "crypto";
+import { closeSync, copyFileSync, existsSync, openSync, readdirSync } from "fs";
+import { dirname, extname, resolve } from "path";
+import { getNextCronTime } from "./cron.js";
+import {
+  appendJsonLine,
+  readJsonFile,
+  readJsonLines,
+  resolveDataPath,
+  writeJsonFile,
+} from "./store.js";
+
+/**
+ * Recurring batches are stored as one JSON file each in <data>/recurring/<recurringId>.json:
+ *
+ * - { recurringId, name, channel, cronExpression, timeZone, source: "sheet" | "snapshot" | null,
+ *     sheetLocation, sheetDirectory, clientEmail, status: "active" | "cancelled", nextRunAt, lastRunAt, createdAt }
+ *
+ * A "sheet" source is read again on every run, so the client can keep editing it,
+ * a "snapshot" source is a copy of the recipient list taken when the batch was created.
+ * The monthly report has no sheet. Every run is appended to <recurringId>.history.jsonl
+ */
+
+/**
+ * Creates recurring batch
+ *
+ * @param {string} name - i.e "Monday reminder"
+ * @param {string} channel - "email", "sms", "whatsapp" or "monthly_report"
+ * @param {string} cronExpression - i.e "0 8 * * MON"
+ * @param {string} timeZone - Time zone cron expression is evaluated in
+ * @param {string|null} sheetLocation - Null for monthly report
+ * @param {boolean} isSnapshot - If true, store copy of sheet instead of reading it on every run
+ * @param {string|null} clientEmail
+ * @returns {Object} - Recurring batch
+ * @throws {Error} - Cron expression is invalid
+ */
+export function createRecurringJob(
+  name,
+  channel,
+  cronExpression,
+  timeZone,
+  sheetLocation,
+  isSnapshot,
+  clientEmail,
+) {
+  const recurringId = `recurring-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+  const nextRunAt = getNextCronTime(cronExpression, new Date(), timeZone);
+
+  let source = null;
+  let storedSheetLocation = null;
+  if (sheetLocation && isSnapshot) {
+    source = "snapshot";
+    storedSheetLocation = resolveDataPath(
+      "recurring",
+      recurringId + extname(sheetLocation),
+    );
+    copyFileSync(resolve(sheetLocation), storedSheetLocation);
+  } else if (sheetLocation) {
+    source = "sheet";
+    storedSheetLocation = resolve(sheetLocation);
+  }
+
+  const recurringJob = {
+    recurringId,
+    name: name || `${channel} ${cronExpression}`,
+    channel,
+    cronExpression,
+    timeZone,
+    source,
+    sheetLocation: storedSheetLocation,
+    sheetDirectory: sheetLocation ? dirname(resolve(sheetLocation)) : null,
+    clientEmail,
+    status: "active",
+    nextRunAt: nextRunAt.toISOString(),
+    lastRunAt: null,
+    createdAt: new Date().toISOString(),
+  };
+  writeJsonFile(getRecurringFilePath(recurringId), recurringJob);
+
+  return recurringJob;
+}
+
+/**
+ * @param {string} recurringId
+ * @returns {Object|null} - Null if recurring batch does not exist
+ */
+export function getRecurringJob(recurringId) {
+  if (!/^[\w-]+$/.test(recurringId)) {
+    return null;
+  }
+  return readJsonFile(getRecurringFilePath(recurringId), null);
+}
+
+/**
+ * Merges changes into stored recurring batch
+ *
+ * @param {string} recurringId
+ * @param {Object} changes - i.e { status: "cancelled" }
+ * @returns {Object} - Updated recurring batch
+ * @throws {Error} - Recurring batch does not exist
+ */
+export function updateRecurringJob(recurringId, changes) {
+  const recurringJob = getRecurringJob(recurringId);
+  if (!recurringJob) {
+    throw new Error(`Recurring batch ${recurringId} not found`);
+  }
+
+  const updatedRecurringJob = { ...recurringJob, ...changes };
+  writeJsonFile(getRecurringFilePath(recurringId), updatedRecurringJob);
+
+  return updatedRecurringJob;
+}
+
+/**
+ * Claims single run of recurring batch by creating a lock file for its run time exclusively,
+ * then moves the batch on to its next run time. Missed runs are not caught up on,
+ * the next run time is always in the future
+ *
+ * @param {Object} recurringJob
+ * @returns {Object|null} - Updated recurring batch, null if run was already claimed
+ */
+export function claimRecurringRun(recurringJob) {
+  const runTime = new Date(recurringJob.nextRunAt).getTime();
+  try {
+    closeSync(
+      openSync(
+        resolveDataPath(
+          "recurring",
+          `${recurringJob.recurringId}-${runTime}.lock`,
+        ),
+        "wx",
+      ),
+    );
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      return null;
+    }
+    throw error;
+  }
+
+  const now = new Date();
+  return updateRecurringJob(recurringJob.recurringId, {
+    lastRunAt: now.toISOString(),
+    nextRunAt: getNextCronTime(
+      recurringJob.cronExpression,
+      now,
+      recurringJob.timeZone,
+    ).toISOString(),
+  });
+}
+
+/**
+ * Appends run to history of recurring batch
+ *
+ * @param {string} recurringId
+ * @param {Object} run - i.e { scheduledFor, startedAt, finishedAt, statusCode, message }
+ */
+export function recordRecurringRun(recurringId, run) {
+  appendJsonLine(getRecurringHistoryFilePath(recurringId), run);
+}
+
+/**
+ * Returns run history of recurring batch, oldest first
+ *
+ * @param {string} recurringId
+ * @returns {Object[]}
+ */
+export function getRecurringRunHistory(recurringId) {
+  return readJsonLines(getRecurringHistoryFilePath(recurringId));
+}
+
+/**
+ * Lists all recurring batches, soonest next run first
+ *
+ * @returns {Object[]}
+ */
+export function listRecurringJobs() {
+  const directory = resolveDataPath("recurring");
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory)
+    .filter((fileName) => /^recurring-[\w-]+\.json$/.test(fileName))
+    .map((fileName) => getRecurringJob(fileName.replace(/\.json$/, "")))
+    .filter((recurringJob) => recurringJob !== null)
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+}
+
+/**
+ * Returns active recurring batches whose next run time has passed
+ *
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function getDueRecurringJobs(now = new Date()) {
+  return listRecurringJobs().filter(
+    (recurringJob) =>
+      recurringJob.status === "active" &&
+      new Date(recurringJob.nextRunAt) <= now,
+  );
+}
+
+/**
+ * @param {string} recurringId
+ * @returns {string}
+ */
+function getRecurringFilePath(recurringId) {
+  return resolveDataPath("recurring", `${recurringId}.json`);
+}
+
+/**
+ * @param {string} recurringId
+ * @returns {string}
+ */
+function getRecurringHistoryFilePath(recurringId) {
+  return resolveDataPath("recurring", `${recurringId}.history.jsonl`);
+}
@@ -0,0 +1,115 @@
+import { sleep } from "./throttle.js";
+import "dotenv/config";
+
+const retryableErrorNames = [
+  "Throttling",
+  "ThrottlingException",
+  "Throttled",
+  "ThrottledException",
+  "TooManyRequestsException",
+  "ServiceUnavailable",
+  "ServiceUnavailableException",
+  "InternalFailure",
+  "InternalErrorException",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "TimeoutError",
+];
+
+const retryableNetworkCodes = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ECONNECTION",
+  "ETIMEDOUT",
+  "ESOCKET",
+  "EPIPE",
+  "EAI_AGAIN",
+];
+
+// WhatsApp Cloud API rate limit and temporary error codes
+const retryableWhatsappCodes = [1, 2, 4, 80007, 130429, 131000, 131016, 131056];
+
+/**
+ * Classifies send error as retryable (throttling, 5xx, network) or permanent (4xx, validation)
+ *
+ * @param {Error} error - AWS SDK, axios or SMTP error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  // AWS SDK
+  if (error.$retryable || retryableErrorNames.includes(error.name)) {
+    return true;
+  }
+  const awsStatusCode = error.$metadata?.httpStatusCode;
+  if (awsStatusCode) {
+    return awsStatusCode === 429 || awsStatusCode >= 500;
+  }
+
+  // Axios, i.e WhatsApp Cloud API
+  if (error.response) {
+    const whatsappCode = error.response.data?.error?.code;
+    if (retryableWhatsappCodes.includes(whatsappCode)) {
+      return true;
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  // SMTP, where 4xx replies are transient and 5xx replies are permanent
+  if (error.responseCode) {
+    return error.responseCode >= 400 && error.responseCode < 500;
+  }
+
+  return retryableNetworkCodes.includes(error.code);
+}
+
+/**
+ * Returns exponential backoff delay with full jitter
+ *
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {number} baseDelay - Delay in milliseconds before jitter after first attempt
+ * @param {number} maxDelay - Upper bound of delay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, baseDelay, maxDelay) {
+  const exponentialDelay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * exponentialDelay);
+}
+
+/**
+ * Runs operation and retries retryable errors with exponential backoff and jitter.
+ * Defaults are read from NEXT_PUBLIC_MAX_RETRIES, NEXT_PUBLIC_RETRY_BASE_DELAY_MS and NEXT_PUBLIC_RETRY_MAX_DELAY_MS
+ *
+ * @param {(attempt: number) => Promise<*>} operation - Receives current attempt number, starting at 1
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries after first attempt
+ * @param {number} [options.baseDelay] - Milliseconds
+ * @param {number} [options.maxDelay] - Milliseconds
+ * @returns {Promise<*>} - Result of operation
+ * @throws {Error} - Last error once error is permanent or retries are exhausted
+ */
+export async function withRetry(operation, options = {}) {
+  const maxRetries =
+    options.maxRetries ?? Number(process.env.NEXT_PUBLIC_MAX_RETRIES || 2);
+  const baseDelay =
+    options.baseDelay ??
+    Number(process.env.NEXT_PUBLIC_RETRY_BASE_DELAY_MS || 500);
+  const maxDelay =
+    options.maxDelay ??
+    Number(process.env.NEXT_PUBLIC_RETRY_MAX_DELAY_MS || 10000);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      await sleep(getBackoffDelay(attempt, baseDelay, maxDelay));
+    }
+  }
+}
@@ -0,0 +1,151 @@
+import { randomBytes } from "crypto";
+import { closeSync, copyFileSync, existsSync, openSync, readdirSync } from "fs";
+import { dirname, extname, resolve } from "path";
+import { readJsonFile, resolveDataPath, writeJsonFile } from "./store.js";
+
+/**
+ * Scheduled batches are stored as one JSON file each in <data>/schedules/<scheduleId>.json,
+ * next to a copy of the sheet taken when the batch was scheduled:
+ *
+ * - { scheduleId, channel, clientEmail, sheetLocation, sheetDirectory, sendAt, timeZone, localSendTime,
+ *     status: "scheduled" | "running" | "completed" | "failed" | "cancelled", createdAt, startedAt, finishedAt, result }
+ *
+ * `sendAt` is in UTC, `localSendTime` and `timeZone` are kept as entered for display.
+ */
+
+/**
+ * Creates scheduled batch
+ *
+ * @param {string} channel - i.e "email"
+ * @param {string} clientEmail
+ * @param {string} sheetLocation - Path of sheet to send, copied so later edits do not affect the batch
+ * @param {Date} sendAt - UTC send time
+ * @param {string} timeZone - i.e "Africa/Johannesburg"
+ * @param {string} localSendTime - Send time as entered, i.e "2000-01-31 08:00"
+ * @returns {Object} - Schedule
+ */
+export function createSchedule(
+  channel,
+  clientEmail,
+  sheetLocation,
+  sendAt,
+  timeZone,
+  localSendTime,
+) {
+  const scheduleId = `schedule-${Date.now().toString(36)}-${randomBytes(3).toString("hex")}`;
+  const sheetCopy = resolveDataPath(
+    "schedules",
+    scheduleId + extname(sheetLocation),
+  );
+  copyFileSync(resolve(sheetLocation), sheetCopy);
+
+  const schedule = {
+    scheduleId,
+    channel,
+    clientEmail,
+    sheetLocation: sheetCopy,
+    sheetDirectory: dirname(resolve(sheetLocation)),
+    sendAt: sendAt.toISOString(),
+    timeZone,
+    localSendTime,
+    status: "scheduled",
+    createdAt: new Date().toISOString(),
+  };
+  writeJsonFile(getScheduleFilePath(scheduleId), schedule);
+
+  return schedule;
+}
+
+/**
+ * @param {string} scheduleId
+ * @returns {Object|null} - Null if schedule does not exist
+ */
+export function getSchedule(scheduleId) {
+  if (!/^[\w-]+$/.test(scheduleId)) {
+    return null;
+  }
+  return readJsonFile(getScheduleFilePath(scheduleId), null);
+}
+
+/**
+ * Merges changes into stored schedule
+ *
+ * @param {string} scheduleId
+ * @param {Object} changes - i.e { status: "completed" }
+ * @returns {Object} - Updated schedule
+ * @throws {Error} - Schedule does not exist
+ */
+export function updateSchedule(scheduleId, changes) {
+  const schedule = getSchedule(scheduleId);
+  if (!schedule) {
+    throw new Error(`Schedule ${scheduleId} not found`);
+  }
+
+  const updatedSchedule = { ...schedule, ...changes };
+  writeJsonFile(getScheduleFilePath(scheduleId), updatedSchedule);
+
+  return updatedSchedule;
+}
+
+/**
+ * Claims scheduled batch by creating its lock file exclusively, then applies changes.
+ * Running and cancelling both claim the schedule, so a schedule is never run twice,
+ * even by two scheduler processes, and never run after it was cancelled
+ *
+ * @param {string} scheduleId
+ * @param {Object} changes - i.e { status: "running" }
+ * @returns {Object|null} - Updated schedule, null if schedule was already claimed
+ */
+export function claimSchedule(scheduleId, changes) {
+  try {
+    closeSync(
+      openSync(resolveDataPath("schedules", `${scheduleId}.lock`), "wx"),
+    );
+  } catch (error) {
+    if (error.code === "EEXIST") {
+      return null;
+    }
+    throw error;
+  }
+
+  return updateSchedule(scheduleId, changes);
+}
+
+/**
+ * Lists all schedules, soonest send time first
+ *
+ * @returns {Object[]}
+ */
+export function listSchedules() {
+  const directory = resolveDataPath("schedules");
+  if (!existsSync(directory)) {
+    return [];
+  }
+
+  return readdirSync(directory)
+    .filter((fileName) => fileName.endsWith(".json"))
+    .map((fileName) => getSchedule(fileName.replace(/\.json$/, "")))
+    .filter((schedule) => schedule !== null)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+}
+
+/**
+ * Returns schedules that are still scheduled and whose send time has passed
+ *
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function getDueSchedules(now = new Date()) {
+  return listSchedules().filter(
+    (schedule) =>
+      schedule.status === "scheduled" && new Date(schedule.sendAt) <= now,
+  );
+}
+
+/**
+ * @param {string} scheduleId
+ * @returns {string}
+ */
+function getScheduleFilePath(scheduleId) {
+  return resolveDataPath("schedules", `${scheduleId}.json`);
+}
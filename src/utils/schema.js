@@ -0,0 +1,375 @@
+import XLSX from "xlsx";
+import { toVariableName } from "./convert.js";
+import { maxTemplateButtons } from "./whatsappTemplates.js";
+
+/**
+ * Sheet fields are found by header name instead of cell coordinates, so columns and rows
+ * can be inserted or reordered without breaking a batch:
+ *
+ * - Batch fields, i.e "Your Name:", are labels with the value in the cell to their right.
+ *   They are read from a worksheet named "Settings" if the workbook has one, else from the recipient sheet.
+ *   Optional fields, i.e "Email Layout:", may be left out of the sheet
+ * - Paragraphs are read from the "Paragraphs" column, email sheets may have an optional "Text Paragraphs" column
+ *   and an optional "Attachments" column with file paths per recipient
+ * - Optional columns, i.e "Language", "Header" and "Button 1" of WhatsApp sheets, are read per recipient and are not parameters
+ * - The recipient sheet is the first worksheet that is not "Settings", its first row holds the column headers
+ * - Parameter columns are all other columns with a header, and every column after the first of them,
+ *   so the headerless columns following "Optional Parameters ->" in the templates are parameters too.
+ *   Parameter columns with a header are also available as named variables, i.e "First Name" as "first_name"
+ *
+ * Headers are compared case insensitively, ignoring text in brackets and trailing ":" or "->",
+ * i.e "Recipients Mobile (incl. country code, i.e +27):" matches "Recipients Mobile"
+ */
+
+const settingsSheetName = "settings";
+
+const clientFields = {
+  clientName: ["Your Name", "Client Name"],
+  clientEmail: ["Your Email", "Client Email"],
+};
+
+export const sheetSchemas = {
+  email: {
+    fields: {
+      ...clientFields,
+      companyName: ["Business Name", "Company Name"],
+      companyAddress: ["Business Address", "Company Address"],
+      emailSubject: ["Email Subject", "Subject"],
+    },
+    optionalFields: {
+      emailLayout: ["Email Layout"],
+      emailAttachments: ["Email Attachments"],
+      inlineImages: ["Inline Images"],
+    },
+    recipientColumn: ["Recipient Emails", "Recipient Email", "Email"],
+    paragraphColumn: ["Paragraphs"],
+    textParagraphColumn: ["Text Paragraphs", "Plain Text"],
+    attachmentColumn: ["Attachments", "Attachment"],
+  },
+  sms: {
+    fields: {
+      ...clientFields,
+      clientMobile: ["Your Mobile", "Client Mobile"],
+      smsBody: ["SMS Body"],
+    },
+    recipientColumn: ["Recipients Mobile", "Recipient Mobile", "Mobile"],
+  },
+  whatsapp: {
+    fields: {
+      ...clientFields,
+      clientMobile: ["Your Mobile", "Client Mobile"],
+      whatsappAccessToken: ["WhatsApp Access Token"],
+      whatsappPhoneNumberId: ["WhatsApp Phone Number ID"],
+      whatsappTemplateName: ["WhatsApp Template Name"],
+    },
+    optionalFields: {
+      whatsappTemplateLanguage: ["WhatsApp Template Language"],
+      whatsappHeader: ["WhatsApp Header"],
+      whatsappBusinessAccountId: ["WhatsApp Business Account ID"],
+    },
+    recipientColumn: ["Recipients Mobile", "Recipient Mobile", "Mobile"],
+    optionalColumns: {
+      language: ["Language", "Template Language"],
+      header: ["Header", "Header Parameter"],
+      ...Object.fromEntries(
+        Array.from({ length: maxTemplateButtons }, (_, index) => [
+          `button${index + 1}`,
+          [`Button ${index + 1}`, `Button ${index + 1} Parameter`],
+        ]),
+      ),
+    },
+  },
+};
+
+/**
+ * Reads batch fields, paragraphs and recipient rows from workbook using given schema
+ *
+ * @param {Object} workbook - XLSX workbook
+ * @param {Object} schema - One of sheetSchemas
+ * @returns {{fields: Object, paragraphs: string[], textParagraphs: string[], parameterHeaders: string[], recipientRows: Array<{recipient: *, parameters: Array<*>, variables: Object<string, *>, attachments?: *, columns?: Object<string, *>}>}}
+ * @throws {Error} - Header of field or column is missing
+ */
+export function readSheetSchema(workbook, schema) {
+  const settingsSheetNameInWorkbook = workbook.SheetNames.find(
+    (sheetName) => sheetName.trim().toLowerCase() === settingsSheetName,
+  );
+  const recipientSheetName = workbook.SheetNames.find(
+    (sheetName) => sheetName !== settingsSheetNameInWorkbook,
+  );
+  if (!recipientSheetName) {
+    throw new Error("Missing recipient worksheet");
+  }
+
+  const recipientRows = getSheetRows(workbook, recipientSheetName);
+  const headers = recipientRows[0] || [];
+
+  const recipientColumn = findColumn(
+    headers,
+    schema.recipientColumn,
+    recipientSheetName,
+  );
+  const knownColumns = [recipientColumn];
+
+  let paragraphs = [];
+  if (schema.paragraphColumn) {
+    const paragraphColumn = findColumn(
+      headers,
+      schema.paragraphColumn,
+      recipientSheetName,
+    );
+    knownColumns.push(paragraphColumn);
+    paragraphs = getColumnCells(recipientRows, paragraphColumn);
+  }
+
+  let textParagraphs = [];
+  if (schema.textParagraphColumn) {
+    const textParagraphColumn = findColumn(
+      headers,
+      schema.textParagraphColumn,
+      recipientSheetName,
+      true,
+    );
+    if (textParagraphColumn !== -1) {
+      knownColumns.push(textParagraphColumn);
+      textParagraphs = getColumnCells(recipientRows, textParagraphColumn);
+    }
+  }
+
+  let attachmentColumn = -1;
+  if (schema.attachmentColumn) {
+    attachmentColumn = findColumn(
+      headers,
+      schema.attachmentColumn,
+      recipientSheetName,
+      true,
+    );
+    if (attachmentColumn !== -1) {
+      knownColumns.push(attachmentColumn);
+    }
+  }
+
+  const optionalColumns = {};
+  Object.entries(schema.optionalColumns || {}).forEach(
+    ([columnName, names]) => {
+      const column = findColumn(headers, names, recipientSheetName, true);
+      if (column !== -1) {
+        knownColumns.push(column);
+        optionalColumns[columnName] = column;
+      }
+    },
+  );
+
+  let fieldCells;
+  if (settingsSheetNameInWorkbook) {
+    const settingsRows = getSheetRows(workbook, settingsSheetNameInWorkbook);
+    fieldCells = {
+      ...findFields(
+        settingsRows,
+        schema.fields,
+        settingsSheetNameInWorkbook,
+        [],
+        0,
+      ),
+      ...findFields(
+        settingsRows,
+        schema.optionalFields || {},
+        settingsSheetNameInWorkbook,
+        [],
+        0,
+        true,
+      ),
+    };
+  } else {
+    fieldCells = {
+      ...findFields(
+        recipientRows,
+        schema.fields,
+        recipientSheetName,
+        knownColumns,
+        1,
+      ),
+      ...findFields(
+        recipientRows,
+        schema.optionalFields || {},
+        recipientSheetName,
+        knownColumns,
+        1,
+        true,
+      ),
+    };
+    Object.values(fieldCells).forEach(({ column }) => {
+      knownColumns.push(column, column + 1);
+    });
+  }
+
+  const columnCount = Math.max(0, ...recipientRows.map((row) => row.length));
+  const parameterColumns = [];
+  for (let column = 0; column < columnCount; column++) {
+    if (knownColumns.includes(column)) {
+      continue;
+    }
+    if (parameterColumns.length > 0 || !isEmptyCell(headers[column])) {
+      parameterColumns.push(column);
+    }
+  }
+
+  const fields = {};
+  Object.entries(fieldCells).forEach(([fieldName, { value }]) => {
+    fields[fieldName] = value;
+  });
+
+  return {
+    fields,
+    paragraphs,
+    textParagraphs,
+    parameterHeaders: parameterColumns.map((column) => headers[column]),
+    recipientRows: recipientRows.slice(1).map((row) => ({
+      recipient: row[recipientColumn],
+      parameters: parameterColumns
+        .map((column) => row[column])
+        .filter((param) => param !== undefined),
+      variables: getRowVariables(row, headers, parameterColumns),
+      ...(attachmentColumn !== -1 && { attachments: row[attachmentColumn] }),
+      ...(schema.optionalColumns && {
+        columns: Object.fromEntries(
+          Object.entries(optionalColumns).map(([columnName, column]) => [
+            columnName,
+            row[column],
+          ]),
+        ),
+      }),
+    })),
+  };
+}
+
+/**
+ * @param {Array<*>} row
+ * @param {Array<*>} headers
+ * @param {number[]} parameterColumns
+ * @returns {Object<string, *>} - Values of non-empty parameter cells with a header, by variable name
+ */
+function getRowVariables(row, headers, parameterColumns) {
+  const variables = {};
+  parameterColumns.forEach((column) => {
+    if (!isEmptyCell(headers[column]) && row[column] !== undefined) {
+      variables[toVariableName(headers[column])] = row[column];
+    }
+  });
+  return variables;
+}
+
+/**
+ * @param {Object} workbook
+ * @param {string} sheetName
+ * @returns {Array<Array<*>>} - Rows of worksheet, empty cells are undefined
+ */
+function getSheetRows(workbook, sheetName) {
+  return XLSX.utils
+    .sheet_to_json(workbook.Sheets[sheetName], { header: 1 })
+    .map((row) => Array.from(row));
+}
+
+/**
+ * @param {Array<Array<*>>} rows - Rows of sheet, including header row
+ * @param {number} column
+ * @returns {Array<*>} - Non-empty cells of column below its header
+ */
+function getColumnCells(rows, column) {
+  return rows
+    .slice(1)
+    .map((row) => row[column])
+    .filter((cell) => !isEmptyCell(cell));
+}
+
+/**
+ * Finds column whose header matches one of the given names
+ *
+ * @param {Array<*>} headers - First row of sheet
+ * @param {string[]} names - Accepted header names, the first is used in errors
+ * @param {string} sheetName
+ * @param {boolean} [isOptional] - If true, returns -1 instead of throwing when no header matches
+ * @returns {number} - Column index
+ * @throws {Error} - No header matches
+ */
+function findColumn(headers, names, sheetName, isOptional = false) {
+  const normalizedNames = names.map(normalizeHeader);
+  const column = headers.findIndex((header) =>
+    normalizedNames.includes(normalizeHeader(header)),
+  );
+
+  if (column === -1 && !isOptional) {
+    throw new Error(
+      `Missing "${names[0]}" column header in sheet "${sheetName}"`,
+    );
+  }
+  return column;
+}
+
+/**
+ * Finds label cell of every field, the value is the cell to the right of its label
+ *
+ * @param {Array<Array<*>>} rows
+ * @param {Object<string, string[]>} fields - Field names and their accepted labels
+ * @param {string} sheetName
+ * @param {number[]} skippedColumns - Columns that cannot contain labels, i.e recipient column
+ * @param {number} firstRow - Rows before are not searched, i.e column headers
+ * @param {boolean} [isOptional] - If true, fields without a label are left out instead of throwing
+ * @returns {Object<string, {column: number, value: *}>}
+ * @throws {Error} - Label of a required field is missing
+ */
+function findFields(
+  rows,
+  fields,
+  sheetName,
+  skippedColumns,
+  firstRow,
+  isOptional = false,
+) {
+  const fieldCells = {};
+
+  Object.entries(fields).forEach(([fieldName, names]) => {
+    const normalizedNames = names.map(normalizeHeader);
+
+    for (let rowIndex = firstRow; rowIndex < rows.length; rowIndex++) {
+      const column = rows[rowIndex].findIndex(
+        (cell, index) =>
+          !skippedColumns.includes(index) &&
+          normalizedNames.includes(normalizeHeader(cell)),
+      );
+      if (column !== -1) {
+        fieldCells[fieldName] = { column, value: rows[rowIndex][column + 1] };
+        return;
+      }
+    }
+
+    if (!isOptional) {
+      throw new Error(`Missing "${names[0]}" field in sheet "${sheetName}"`);
+    }
+  });
+
+  return fieldCells;
+}
+
+/**
+ * @param {*} header
+ * @returns {string} - i.e "Recipient Emails:" becomes "recipient emails"
+ */
+function normalizeHeader(header) {
+  if (isEmptyCell(header)) {
+    return "";
+  }
+  return String(header)
+    .replace(/\([^)]*\)/g, "")
+    .replace(/(:|->)\s*$/, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * @param {*} cell
+ * @returns {boolean}
+ */
+function isEmptyCell(cell) {
+  return cell === null || cell === undefined || String(cell).trim() === "";
+}
@@ -0,0 +1,139 @@
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+  writeFileSync,
+  appendFileSync,
+} from "fs";
+import { dirname, join, resolve } from "path";
+import { sleep } from "./throttle.js";
+import "dotenv/config";
+
+/**
+ * Resolves path inside local data directory and ensures its parent directory exists
+ *
+ * @param {...string} segments - Path segments relative to NEXT_PUBLIC_DATA_DIRECTORY, i.e "batches", "abc.jsonl"
+ * @returns {string} - Absolute file path
+ */
+export function resolveDataPath(...segments) {
+  const dataDirectory = resolve(
+    process.env.NEXT_PUBLIC_DATA_DIRECTORY || "./data",
+  );
+  const filePath = join(dataDirectory, ...segments);
+  mkdirSync(dirname(filePath), { recursive: true });
+  return filePath;
+}
+
+/**
+ * Appends single JSON record as new line to file. Writes synchronously so records survive a crash
+ *
+ * @param {string} filePath
+ * @param {Object} record
+ */
+export function appendJsonLine(filePath, record) {
+  appendFileSync(filePath, JSON.stringify(record) + "\n");
+}
+
+/**
+ * Reads all JSON records from JSONL file. Skips a partially written line left behind by a crash
+ *
+ * @param {string} filePath
+ * @returns {Object[]} - Empty array if file does not exist
+ */
+export function readJsonLines(filePath) {
+  if (!existsSync(filePath)) {
+    return [];
+  }
+
+  return readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter((record) => record !== null);
+}
+
+/**
+ * Reads JSON file
+ *
+ * @param {string} filePath
+ * @param {*} fallback - Returned if file does not exist
+ * @returns {*}
+ */
+export function readJsonFile(filePath, fallback) {
+  if (!existsSync(filePath)) {
+    return fallback;
+  }
+  return JSON.parse(readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Writes JSON file by writing to temporary file first and renaming it, so readers never see a partial file
+ *
+ * @param {string} filePath
+ * @param {*} data
+ */
+export function writeJsonFile(filePath, data) {
+  const temporaryPath = `${filePath}.${process.pid}.tmp`;
+  writeFileSync(temporaryPath, JSON.stringify(data, null, 2));
+  renameSync(temporaryPath, filePath);
+}
+
+/**
+ * Runs callback while holding lock file, so read-modify-write updates of other processes using the same lock
+ * wait for it. A lock older than staleMilliseconds was left behind by a crashed process and is taken over
+ *
+ * @param {string} lockPath - i.e resolveDataPath("locks", "tokens-jane@example.com.lock")
+ * @param {Function} callback - Async function run while holding lock
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMilliseconds=60000] - How long to wait for lock
+ * @param {number} [options.staleMilliseconds=60000]
+ * @returns {Promise<*>} - Result of callback
+ * @throws {Error} - Lock is not acquired before timeout
+ */
+export async function withFileLock(lockPath, callback, options = {}) {
+  const timeoutMilliseconds = options.timeoutMilliseconds ?? 60000;
+  const staleMilliseconds = options.staleMilliseconds ?? 60000;
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    let lockedAt;
+    try {
+      lockedAt = statSync(lockPath).mtimeMs;
+    } catch {
+      // Released between both calls
+      continue;
+    }
+    if (Date.now() - lockedAt > staleMilliseconds) {
+      rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() - startedAt > timeoutMilliseconds) {
+      throw new Error(`Timed out waiting for lock ${lockPath}`);
+    }
+    await sleep(50 + Math.random() * 50);
+  }
+
+  try {
+    return await callback();
+  } finally {
+    rmSync(lockPath, { force: true });
+  }
+}
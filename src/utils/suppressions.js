@@ -0,0 +1,375 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import { appendJsonLine, readJsonLines, resolveDataPath } from "./store.js";
+import "dotenv/config";
+
+/**
+ * Suppression list, stored as append-only JSONL file per client in <data>/suppressions/<client>.jsonl.
+ * Every change appends one record, the latest record of a channel and recipient is its current state:
+ *
+ * - { type: "suppress" | "unsuppress", channel, recipient, reason, source, at }
+ *
+ * Suppressed recipients are removed from every batch of the client on that channel.
+ * Hard bounces and complaints of SES email events are added with reason "bounce" and "complaint",
+ * WhatsApp STOP replies and opt-outs received by the webhook with reason "stop" and "opt_out"
+ */
+
+export const suppressionChannels = ["email", "sms", "whatsapp"];
+export const suppressionReasons = [
+  "unsubscribe",
+  "stop",
+  "opt_out",
+  "bounce",
+  "complaint",
+  "manual",
+];
+
+// Shown next to suppressed recipients in batch logs
+const suppressionReasonLabels = {
+  unsubscribe: "unsubscribed",
+  stop: "replied STOP",
+  opt_out: "opted out",
+  bounce: "previous bounce",
+  complaint: "previous complaint",
+  manual: "added by admin",
+};
+
+/**
+ * Adds recipient to suppression list of client
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - One of suppressionChannels
+ * @param {string} recipient - Email address or mobile number
+ * @param {Object} [options]
+ * @param {string} [options.reason] - One of suppressionReasons, defaults to "manual"
+ * @param {string} [options.source] - Where the request came from, i.e "unsubscribe_link" or "admin"
+ * @returns {Object} - Recorded suppression
+ * @throws {Error} - Channel, reason or recipient is invalid
+ */
+export function addSuppression(clientEmail, channel, recipient, options = {}) {
+  const reason = options.reason || "manual";
+  if (!suppressionReasons.includes(reason)) {
+    throw new Error(`Unknown suppression reason: ${reason}`);
+  }
+
+  return recordSuppressionChange(clientEmail, {
+    type: "suppress",
+    channel,
+    recipient,
+    reason,
+    source: options.source || "admin",
+  });
+}
+
+/**
+ * Removes recipient from suppression list of client, i.e after they subscribed again
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - One of suppressionChannels
+ * @param {string} recipient - Email address or mobile number
+ * @returns {Object} - Recorded change
+ * @throws {Error} - Channel or recipient is invalid
+ */
+export function removeSuppression(clientEmail, channel, recipient) {
+  return recordSuppressionChange(clientEmail, {
+    type: "unsuppress",
+    channel,
+    recipient,
+    source: "admin",
+  });
+}
+
+/**
+ * Returns current suppressions of client, oldest first
+ *
+ * @param {string} clientEmail
+ * @param {string} [channel] - Only return suppressions of this channel
+ * @param {string} [reason] - Only return suppressions with this reason, i.e "bounce"
+ * @returns {Array<{channel: string, recipient: string, reason: string, source: string, at: string}>}
+ */
+export function getSuppressions(clientEmail, channel, reason) {
+  const suppressions = new Map();
+
+  readJsonLines(getSuppressionFilePath(clientEmail)).forEach((record) => {
+    const key = `${record.channel}:${record.recipient}`;
+    if (record.type === "suppress") {
+      suppressions.delete(key);
+      suppressions.set(key, {
+        channel: record.channel,
+        recipient: record.recipient,
+        reason: record.reason,
+        source: record.source,
+        at: record.at,
+      });
+    } else if (record.type === "unsuppress") {
+      suppressions.delete(key);
+    }
+  });
+
+  return [...suppressions.values()].filter(
+    (suppression) =>
+      (!channel || suppression.channel === channel) &&
+      (!reason || suppression.reason === reason),
+  );
+}
+
+/**
+ * Adds hard bounced and complained recipients of SES email events to suppression list of client.
+ * Recipients that are already suppressed, or were unsuppressed after the event, are skipped
+ *
+ * @param {string} clientEmail
+ * @param {Object[]} emailEvents - SES events, i.e { eventType: "Bounce", bounce: { bounceType: "Permanent", bouncedRecipients: [...] } }
+ * @returns {Object[]} - Recorded suppressions
+ */
+export function addEmailEventSuppressions(clientEmail, emailEvents) {
+  const lastChanges = new Map();
+  readJsonLines(getSuppressionFilePath(clientEmail)).forEach((record) => {
+    if (record.channel === "email") {
+      lastChanges.set(record.recipient, record);
+    }
+  });
+
+  const added = [];
+  getEmailEventRecipients(emailEvents).forEach(({ recipient, reason, at }) => {
+    const lastChange = lastChanges.get(recipient);
+    if (
+      lastChange &&
+      (lastChange.type === "suppress" || new Date(lastChange.at) >= at)
+    ) {
+      return;
+    }
+
+    const record = addSuppression(clientEmail, "email", recipient, {
+      reason,
+      source: "ses",
+    });
+    lastChanges.set(recipient, record);
+    added.push(record);
+  });
+
+  return added;
+}
+
+/**
+ * Formats suppressed recipient for batch logs
+ *
+ * @param {{recipient: string, reason: string}} suppression
+ * @returns {string} - i.e "jane@example.com: suppressed (previous bounce)"
+ */
+export function formatSuppression(suppression) {
+  const label =
+    suppressionReasonLabels[suppression.reason] || suppression.reason;
+  return `${suppression.recipient}: suppressed (${label})`;
+}
+
+/**
+ * Splits parameter maps into recipients that may be sent to and suppressed recipients
+ *
+ * @param {string} clientEmail
+ * @param {string} channel - One of suppressionChannels
+ * @param {Object[]} parameterMaps - Extracted parameter maps
+ * @param {string} recipientKey - "email" or "mobile"
+ * @returns {{allowed: Object[], suppressed: Array<{recipient: string, reason: string}>}}
+ */
+export function filterSuppressedRecipients(
+  clientEmail,
+  channel,
+  parameterMaps,
+  recipientKey,
+) {
+  const recipientReasons = new Map(
+    getSuppressions(clientEmail, channel).map((suppression) => [
+      suppression.recipient,
+      suppression.reason,
+    ]),
+  );
+  const allowed = [];
+  const suppressed = [];
+
+  parameterMaps.forEach((parameterMap) => {
+    const recipient = normalizeRecipient(channel, parameterMap[recipientKey]);
+    if (recipientReasons.has(recipient)) {
+      suppressed.push({
+        recipient: parameterMap[recipientKey],
+        reason: recipientReasons.get(recipient),
+      });
+    } else {
+      allowed.push(parameterMap);
+    }
+  });
+
+  return { allowed, suppressed };
+}
+
+/**
+ * Converts recipient to the form stored in the suppression list
+ *
+ * @param {string} channel
+ * @param {string} recipient - i.e "Jane@Example.com " or "+27 82 123 4567"
+ * @returns {string} - i.e "jane@example.com" or "+27821234567"
+ */
+export function normalizeRecipient(channel, recipient) {
+  const value = String(recipient ?? "").trim();
+  if (channel === "email") {
+    return value.toLowerCase();
+  }
+  return value.replace(/(?!^\+)[^\d]/g, "");
+}
+
+/**
+ * Creates signed unsubscribe token, so unsubscribe links cannot be forged for other recipients
+ *
+ * @param {string} clientEmail
+ * @param {string} channel
+ * @param {string} recipient
+ * @returns {string}
+ * @throws {Error} - NEXT_PUBLIC_UNSUBSCRIBE_SECRET is missing
+ */
+export function createUnsubscribeToken(clientEmail, channel, recipient) {
+  const payload = Buffer.from(
+    JSON.stringify({
+      client: clientEmail,
+      channel,
+      recipient: normalizeRecipient(channel, recipient),
+    }),
+  ).toString("base64url");
+
+  return `${payload}.${signUnsubscribePayload(payload)}`;
+}
+
+/**
+ * Verifies unsubscribe token and returns who is unsubscribing
+ *
+ * @param {string} token
+ * @returns {{client: string, channel: string, recipient: string}}
+ * @throws {Error} - Token is malformed or its signature is invalid
+ */
+export function verifyUnsubscribeToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) {
+    throw new Error("Malformed unsubscribe token");
+  }
+
+  const expected = Buffer.from(signUnsubscribePayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error("Invalid unsubscribe token");
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("Malformed unsubscribe token");
+  }
+}
+
+/**
+ * Returns one-click unsubscribe URL of recipient, or undefined if NEXT_PUBLIC_UNSUBSCRIBE_BASE_URL is not configured
+ *
+ * @param {string} clientEmail
+ * @param {string} channel
+ * @param {string} recipient
+ * @returns {string|undefined} - i.e "https://batchbytes.example/unsubscribe?token=..."
+ */
+export function getUnsubscribeUrl(clientEmail, channel, recipient) {
+  const baseUrl = process.env.NEXT_PUBLIC_UNSUBSCRIBE_BASE_URL;
+  if (!baseUrl) {
+    return undefined;
+  }
+
+  const url = new URL("unsubscribe", baseUrl.replace(/\/?$/, "/"));
+  url.searchParams.set(
+    "token",
+    createUnsubscribeToken(clientEmail, channel, recipient),
+  );
+  return url.toString();
+}
+
+/**
+ * @param {string} clientEmail
+ * @param {Object} change
+ * @returns {Object} - Recorded change
+ * @throws {Error} - Channel or recipient is invalid
+ */
+function recordSuppressionChange(clientEmail, change) {
+  if (!suppressionChannels.includes(change.channel)) {
+    throw new Error(`Unknown suppression channel: ${change.channel}`);
+  }
+  const recipient = normalizeRecipient(change.channel, change.recipient);
+  if (!recipient) {
+    throw new Error("Recipient missing");
+  }
+
+  const record = { ...change, recipient, at: new Date().toISOString() };
+  appendJsonLine(getSuppressionFilePath(clientEmail), record);
+
+  return record;
+}
+
+/**
+ * Only permanent bounces are suppressed, transient bounces (i.e full mailbox) may be delivered later
+ *
+ * @param {Object[]} emailEvents - SES events
+ * @returns {Array<{recipient: string, reason: string, at: Date}>}
+ */
+function getEmailEventRecipients(emailEvents) {
+  const recipients = [];
+
+  emailEvents.forEach((event) => {
+    let reason;
+    let eventRecipients;
+    let timestamp;
+    if (
+      event.eventType === "Bounce" &&
+      event.bounce?.bounceType === "Permanent"
+    ) {
+      reason = "bounce";
+      eventRecipients = event.bounce.bouncedRecipients?.map(
+        (bouncedRecipient) => bouncedRecipient.emailAddress,
+      );
+      timestamp = event.bounce.timestamp;
+    } else if (event.eventType === "Complaint") {
+      reason = "complaint";
+      eventRecipients = event.complaint?.complainedRecipients?.map(
+        (complainedRecipient) => complainedRecipient.emailAddress,
+      );
+      timestamp = event.complaint?.timestamp;
+    } else {
+      return;
+    }
+
+    const at = new Date(timestamp || event.mail?.timestamp || Date.now());
+    (eventRecipients || event.mail?.destination || []).forEach((recipient) => {
+      const normalizedRecipient = normalizeRecipient("email", recipient);
+      if (normalizedRecipient) {
+        recipients.push({ recipient: normalizedRecipient, reason, at });
+      }
+    });
+  });
+
+  return recipients;
+}
+
+/**
+ * @param {string} payload
+ * @returns {string}
+ * @throws {Error} - NEXT_PUBLIC_UNSUBSCRIBE_SECRET is missing
+ */
+function signUnsubscribePayload(payload) {
+  const secret = process.env.NEXT_PUBLIC_UNSUBSCRIBE_SECRET;
+  if (!secret) {
+    throw new Error("Unsubscribe secret missing");
+  }
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * @param {string} clientEmail
+ * @returns {string}
+ */
+function getSuppressionFilePath(clientEmail) {
+  const client = clientEmail
+    .trim()
+    .toLowerCase()
+    .replace(/[^\w.@-]/g, "_");
+  return resolveDataPath("suppressions", `${client}.jsonl`);
+}
@@ -1,4 +1,10 @@
 import format from "html-format";
+import {
+  defaultLayoutName,
+  loadEmailLayout,
+  renderEmailLayout,
+  toLayoutName,
+} from "./layouts.js";
 
 export const signOffs = [
   "The End.",
@@ -23,6 +29,20 @@ export function getRandomEmailSignOff() {
   return signOffs[randomIndex];
 }
 
+/**
+ * Returns layout HTML by name, see layouts.js for available layouts and their slots
+ *
+ * @param {string} [layoutName] - i.e "earth_day", defaults to the default layout
+ * @returns {string}
+ * @throws {Error} - Layout does not exist
+ */
+export function getEmailLayout(layoutName) {
+  if (!layoutName || toLayoutName(layoutName) === defaultLayoutName) {
+    return defaultEmailLayout;
+  }
+  return loadEmailLayout(layoutName);
+}
+
 /**
  * Returns formatted HTML email body of requested batch email
  *
@@ -30,6 +50,10 @@ export function getRandomEmailSignOff() {
  * @param {string} companyName
  * @param {string} companyEmail
  * @param {string} companyAddress
+ * @param {Object} [options]
+ * @param {string} [options.layout] - Layout HTML from getEmailLayout, defaults to the default layout
+ * @param {string} [options.subject] - Email subject, shown by layouts with a subject slot
+ * @param {string} [options.unsubscribeUrl] - Defaults to a mailto link to the company email
  * @returns {string}
  */
 export function buildBatchRequestEmailBody(
@@ -37,11 +61,50 @@ export function buildBatchRequestEmailBody(
   companyName,
   companyEmail,
   companyAddress,
+  options = {},
+) {
+  const body = renderEmailLayout(options.layout || defaultEmailLayout, {
+    paragraphs: emailParagraphs,
+    footer: `${companyName}, ${companyAddress}`,
+    unsubscribeUrl:
+      options.unsubscribeUrl ||
+      `mailto:${companyEmail}?subject=Unsubscribe&body=Please remove me from your mailing list.`,
+    subject: options.subject,
+    companyName: companyName,
+  });
+
+  const formattedBody = format(body);
+
+  return formattedBody;
+}
+
+/**
+ * Returns plain text email body of requested batch email, used instead of the text generated from the HTML body
+ * when the sheet has text paragraphs
+ *
+ * @param {string[]} textParagraphs - Plain text paragraphs extracted from spreadsheet
+ * @param {string} companyName
+ * @param {string} companyEmail
+ * @param {string} companyAddress
+ * @param {Object} [options]
+ * @param {string} [options.unsubscribeUrl] - Defaults to the company email
+ * @returns {string}
+ */
+export function buildBatchRequestEmailText(
+  textParagraphs,
+  companyName,
+  companyEmail,
+  companyAddress,
+  options = {},
 ) {
-  const paragraphs = emailParagraphs
-    .map((paragraph) => `<p>${paragraph}</p>`)
-    .join("");
-  const body = `
+  return [
+    ...textParagraphs,
+    `${companyName}, ${companyAddress}`,
+    `Unsubscribe: ${options.unsubscribeUrl || companyEmail}`,
+  ].join("\n\n");
+}
+
+const defaultEmailLayout = `
 <!doctype html>
 <html lang="en">
 
@@ -366,13 +429,13 @@ export function buildBatchRequestEmailBody(
                 <div class="content">
 
                     <!-- START CENTERED WHITE CONTAINER -->
-                    <span class="preheader">${companyName} has something to say!</span>
+                    <span class="preheader">{{slot:company_name}} has something to say!</span>
                     <table role="presentation" border="0" cellpadding="0" cellspacing="0" class="main">
 
                         <!-- START MAIN CONTENT AREA -->
                         <tr>
                             <td class="wrapper">
-                                ${paragraphs}
+                                {{#slot:paragraphs}}<p>{{slot:paragraph}}</p>{{/slot:paragraphs}}
                             </td>
                         </tr>
 
@@ -384,7 +447,7 @@ export function buildBatchRequestEmailBody(
                         <table role="presentation" border="0" cellpadding="0" cellspacing="0">
                             <tr>
                                 <td class="content-block">
-                                    <span class="apple-link">${companyName}, ${companyAddress} | <a href="mailto:${companyEmail}?subject=Unsubscribe&body=Please remove me from your mailing list." target="_blank">unsubscribe</a></span>
+                                    <span class="apple-link">{{slot:footer}} | <a href="{{slot:unsubscribe_url}}" target="_blank">unsubscribe</a></span>
                                 </td>
                             </tr>
                             <tr>
@@ -406,8 +469,3 @@ export function buildBatchRequestEmailBody(
 </body>
 
 </html>`;
-
-  const formattedBody = format(body);
-
-  return formattedBody;
-}
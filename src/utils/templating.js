@@ -0,0 +1,598 @@
+import { formatDate, parseDateValue } from "./date.js";
+
+/**
+ * Logic-less template language for email paragraphs and SMS bodies:
+ *
+ * - `{}` is replaced by the next positional parameter of the row
+ * - `{{first_name}}` is replaced by a named variable, `{{{first_name}}}` skips HTML escaping
+ * - `{{first_name|there}}` falls back to "there" when the variable is empty,
+ *   `{{first_name|capitalize}}` applies a filter, see templateFilters. Pipes can be chained
+ * - `{{#if balance > 0}}...{{else}}...{{/if}}` renders a branch by a variable, or a comparison
+ *   with ==, !=, >, >=, < or <= against a number, a "quoted" text or another variable
+ * - `{{#each items}}...{{else}}...{{/each}}` repeats for every item of a list, see toList.
+ *   Inside, `{{this}}` is the item, `{{@number}}` its position from 1 and object items expose their keys
+ *
+ * Templates cannot call functions or run code, so sheet authors cannot break out of the template.
+ * Variables without a value are left as is, so they are easy to spot in drafts.
+ */
+
+const tagPattern = /{{{\s*([\s\S]*?)\s*}}}|{{\s*([\s\S]*?)\s*}}|{}/g;
+const pathPattern = /^@?[\w-]+(\.[\w-]+)*$/;
+const conditionPattern = /^(@?[\w.-]+)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+const falseValues = ["", "0", "false", "no"];
+
+const htmlEscapes = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const templateFilters = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  capitalize: (value) =>
+    value.charAt(0).toUpperCase() + value.slice(1).toLowerCase(),
+  title: (value) =>
+    value.toLowerCase().replace(/(^|\s)\S/g, (letter) => letter.toUpperCase()),
+  trim: (value) => value.trim(),
+  date: (value, format = "D MMMM YYYY") => {
+    const date = parseDateValue(value);
+    return date ? formatDate(date, format) : value;
+  },
+};
+
+// Parsed templates by source, the same paragraphs are rendered for every recipient
+const parsedTemplates = new Map();
+const maxParsedTemplates = 1000;
+
+/**
+ * Parses template into nodes
+ *
+ * @param {string} template
+ * @returns {Object[]}
+ * @throws {Error} - Block is not closed, closed twice or has an invalid condition
+ */
+export function parseTemplate(template) {
+  if (parsedTemplates.has(template)) {
+    return parsedTemplates.get(template);
+  }
+
+  const root = { type: "root", children: [] };
+  const blocks = [root];
+  let lastIndex = 0;
+
+  for (const match of template.matchAll(tagPattern)) {
+    const [tag, rawContent, content] = match;
+    const block = blocks[blocks.length - 1];
+    const target = block.isElse ? block.elseChildren : block.children;
+
+    if (match.index > lastIndex) {
+      target.push({
+        type: "text",
+        value: template.slice(lastIndex, match.index),
+      });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (tag === "{}") {
+      target.push({ type: "positional" });
+    } else if (rawContent !== undefined) {
+      target.push(parseVariable(rawContent, tag, true));
+    } else if (content.startsWith("#")) {
+      const [, blockType, argument] = /^#(\w*)\s*([\s\S]*)$/.exec(content);
+      if (blockType !== "if" && blockType !== "each") {
+        throw new Error(`Unknown block ${tag}, use {{#if}} or {{#each}}`);
+      }
+      const newBlock = {
+        type: blockType,
+        tag,
+        children: [],
+        elseChildren: [],
+        isElse: false,
+        ...(blockType === "if"
+          ? { condition: parseCondition(argument, tag) }
+          : { path: parsePath(argument, tag) }),
+      };
+      target.push(newBlock);
+      blocks.push(newBlock);
+    } else if (content === "else") {
+      if (block === root || block.isElse) {
+        throw new Error(`Unexpected {{else}} at character ${match.index + 1}`);
+      }
+      block.isElse = true;
+    } else if (content.startsWith("/")) {
+      const blockType = content.slice(1).trim();
+      if (block === root) {
+        throw new Error(`Unexpected ${tag} at character ${match.index + 1}`);
+      }
+      if (blockType !== block.type) {
+        throw new Error(`Expected {{/${block.type}}} to close ${block.tag}`);
+      }
+      blocks.pop();
+    } else {
+      const variable = parseVariable(content, tag, false);
+      target.push(variable || { type: "text", value: tag });
+    }
+  }
+
+  if (blocks.length > 1) {
+    throw new Error(
+      `Missing {{/${blocks[blocks.length - 1].type}}} to close ${blocks[blocks.length - 1].tag}`,
+    );
+  }
+
+  const remainingText = template.slice(lastIndex);
+  if (remainingText !== "") {
+    root.children.push({ type: "text", value: remainingText });
+  }
+
+  if (parsedTemplates.size >= maxParsedTemplates) {
+    parsedTemplates.clear();
+  }
+  parsedTemplates.set(template, root.children);
+  return root.children;
+}
+
+/**
+ * Renders template with positional parameters and named variables of a row
+ *
+ * @param {string} template
+ * @param {Object<string, *>} [variables] - Named variables, i.e { first_name: "Oliver" }
+ * @param {Object} [options]
+ * @param {Array<*>} [options.parameters] - Values of `{}` placeholders, in order
+ * @param {boolean} [options.escapeHtml] - If true, escape values for HTML, i.e email paragraphs
+ * @returns {string}
+ * @throws {Error} - Template is invalid
+ */
+export function renderTemplate(template, variables = {}, options = {}) {
+  return renderWithState([template], variables, options).outputs[0];
+}
+
+/**
+ * Renders templates of one message, i.e email paragraphs. `{}` placeholders continue
+ * from one template to the next
+ *
+ * @param {string[]} templates
+ * @param {Object<string, *>} [variables]
+ * @param {Object} [options] - See renderTemplate
+ * @returns {string[]}
+ * @throws {Error} - Template is invalid
+ */
+export function renderTemplates(templates, variables = {}, options = {}) {
+  return renderWithState(templates, variables, options).outputs;
+}
+
+/**
+ * Renders templates of one message against sample row and returns named variables they needed but the row lacks
+ *
+ * @param {string[]} templates
+ * @param {Object<string, *>} [variables]
+ * @param {Array<*>} [parameters]
+ * @returns {string[]} - Missing variable names
+ * @throws {Error} - Template is invalid
+ */
+export function getMissingVariables(
+  templates,
+  variables = {},
+  parameters = [],
+) {
+  return Array.from(
+    renderWithState(templates, variables, { parameters }).missingVariables,
+  );
+}
+
+/**
+ * Counts `{}` placeholders in templates
+ *
+ * @param {string[]} templates
+ * @returns {number}
+ * @throws {Error} - Template is invalid
+ */
+export function countPositionalPlaceholders(templates) {
+  return templates.reduce(
+    (count, template) =>
+      count +
+      countNodes(parseTemplate(template), (node) => node.type === "positional"),
+    0,
+  );
+}
+
+/**
+ * Checks if templates use named variables or blocks
+ *
+ * @param {string[]} templates
+ * @returns {boolean}
+ * @throws {Error} - Template is invalid
+ */
+export function hasNamedPlaceholders(templates) {
+  return templates.some(
+    (template) =>
+      countNodes(
+        parseTemplate(template),
+        (node) => node.type !== "positional" && node.type !== "text",
+      ) > 0,
+  );
+}
+
+/**
+ * @param {string[]} templates
+ * @param {Object<string, *>} variables
+ * @param {Object} options
+ * @returns {{outputs: string[], missingVariables: Set<string>}}
+ */
+function renderWithState(templates, variables, options) {
+  const state = {
+    parameters: options.parameters || [],
+    parameterIndex: 0,
+    escapeHtml: Boolean(options.escapeHtml),
+    missingVariables: new Set(),
+  };
+  const outputs = templates.map((template) =>
+    renderNodes(parseTemplate(template), [{ values: variables || {} }], state),
+  );
+
+  return { outputs, missingVariables: state.missingVariables };
+}
+
+/**
+ * @param {Object[]} nodes
+ * @param {Object[]} scopes - Innermost scope last
+ * @param {Object} state
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, state) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value;
+        case "positional": {
+          const replacement = state.parameters[state.parameterIndex];
+          state.parameterIndex++;
+          return replacement !== undefined
+            ? escapeValue(String(replacement), state.escapeHtml)
+            : "{}";
+        }
+        case "variable":
+          return renderVariable(node, scopes, state);
+        case "if":
+          return renderNodes(
+            evaluateCondition(node.condition, scopes)
+              ? node.children
+              : node.elseChildren,
+            scopes,
+            state,
+          );
+        case "each": {
+          const items = toList(resolvePath(node.path, scopes));
+          if (items.length === 0) {
+            return renderNodes(node.elseChildren, scopes, state);
+          }
+          return items
+            .map((item, index) =>
+              renderNodes(
+                node.children,
+                [
+                  ...scopes,
+                  {
+                    values: isPlainObject(item) ? item : {},
+                    item,
+                    meta: {
+                      index,
+                      number: index + 1,
+                      first: index === 0,
+                      last: index === items.length - 1,
+                    },
+                  },
+                ],
+                state,
+              ),
+            )
+            .join("");
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * @param {Object} node - Variable node
+ * @param {Object[]} scopes
+ * @param {Object} state
+ * @returns {string}
+ */
+function renderVariable(node, scopes, state) {
+  let value = resolvePath(node.path, scopes);
+  if (isEmptyValue(value)) {
+    value = node.defaultValue;
+  }
+  if (isEmptyValue(value)) {
+    state.missingVariables.add(node.path);
+    return node.tag;
+  }
+
+  const filteredValue = node.filters.reduce(
+    (currentValue, { filter, argument }) =>
+      templateFilters[filter](currentValue, argument),
+    String(value),
+  );
+  return escapeValue(filteredValue, state.escapeHtml && !node.isRaw);
+}
+
+/**
+ * Parses variable tag, i.e "first_name|there|upper"
+ *
+ * @param {string} content - Tag without braces
+ * @param {string} tag - Tag as written, used when variable has no value
+ * @param {boolean} isRaw - If true, value is not HTML escaped
+ * @returns {Object|null} - Null if content is not a variable, i.e "{{ some text }}"
+ */
+function parseVariable(content, tag, isRaw) {
+  const [path, ...pipes] = content.split("|");
+  if (!pathPattern.test(path.trim())) {
+    return null;
+  }
+
+  let defaultValue;
+  const filters = [];
+  pipes.forEach((pipe) => {
+    const separatorIndex = pipe.indexOf(":");
+    const filter = (
+      separatorIndex === -1 ? pipe : pipe.slice(0, separatorIndex)
+    ).trim();
+
+    // A pipe naming a known filter is a filter, any other pipe is the default value
+    if (Object.hasOwn(templateFilters, filter)) {
+      filters.push({
+        filter,
+        argument:
+          separatorIndex === -1
+            ? undefined
+            : pipe.slice(separatorIndex + 1).trim(),
+      });
+    } else {
+      defaultValue = pipe.trim();
+    }
+  });
+
+  return {
+    type: "variable",
+    tag,
+    path: path.trim(),
+    defaultValue,
+    filters,
+    isRaw,
+  };
+}
+
+/**
+ * Parses condition of if block, i.e "balance > 0", "status == "paid"" or "has_items"
+ *
+ * @param {string} argument
+ * @param {string} tag
+ * @returns {{path: string, operator?: string, operand?: {value?: *, path?: string}}}
+ * @throws {Error} - Condition is invalid
+ */
+function parseCondition(argument, tag) {
+  const comparison = conditionPattern.exec(argument);
+  if (!comparison) {
+    return { path: parsePath(argument, tag) };
+  }
+
+  const [, path, operator, operandText] = comparison;
+  const quotedText = /^"(.*)"$|^'(.*)'$/.exec(operandText.trim());
+  let operand;
+  if (quotedText) {
+    operand = { value: quotedText[1] ?? quotedText[2] };
+  } else if (/^-?\d+(\.\d+)?$/.test(operandText.trim())) {
+    operand = { value: Number(operandText) };
+  } else {
+    operand = { path: parsePath(operandText, tag) };
+  }
+
+  return { path: parsePath(path, tag), operator, operand };
+}
+
+/**
+ * @param {string} path
+ * @param {string} tag
+ * @returns {string}
+ * @throws {Error} - Path is not a variable name
+ */
+function parsePath(path, tag) {
+  const trimmedPath = path.trim();
+  if (!pathPattern.test(trimmedPath)) {
+    throw new Error(`Invalid variable "${trimmedPath}" in ${tag}`);
+  }
+  return trimmedPath;
+}
+
+/**
+ * @param {Object} condition
+ * @param {Object[]} scopes
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, scopes) {
+  const value = resolvePath(condition.path, scopes);
+  if (!condition.operator) {
+    return isTruthy(value);
+  }
+
+  const operand =
+    condition.operand.path !== undefined
+      ? resolvePath(condition.operand.path, scopes)
+      : condition.operand.value;
+  if (isEmptyValue(value)) {
+    return condition.operator === "!=" ? !isEmptyValue(operand) : false;
+  }
+
+  const left = toNumber(value);
+  const right = toNumber(operand);
+  const [a, b] =
+    left !== null && right !== null
+      ? [left, right]
+      : [String(value).trim(), String(operand ?? "").trim()];
+
+  switch (condition.operator) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Resolves variable in innermost scope that has it. "this" is the current item of an each block,
+ * "@index", "@number", "@first" and "@last" describe its position
+ *
+ * @param {string} path - i.e "first_name", "item.price" or "@number"
+ * @param {Object[]} scopes
+ * @returns {*}
+ */
+function resolvePath(path, scopes) {
+  const [name, ...keys] = path.split(".");
+  let value;
+
+  for (let index = scopes.length - 1; index >= 0; index--) {
+    const scope = scopes[index];
+    if (name === "this" && "item" in scope) {
+      value = scope.item;
+      break;
+    }
+    if (name.startsWith("@") && scope.meta) {
+      value = scope.meta[name.slice(1)];
+      break;
+    }
+    if (Object.hasOwn(scope.values, name)) {
+      value = scope.values[name];
+      break;
+    }
+  }
+
+  return keys.reduce(
+    (currentValue, key) =>
+      isPlainObject(currentValue) && Object.hasOwn(currentValue, key)
+        ? currentValue[key]
+        : undefined,
+    value,
+  );
+}
+
+/**
+ * Converts cell to list of items. JSON arrays are parsed, i.e '[{"name": "Widget", "price": 5}]',
+ * other text is split on new lines or semicolons, i.e "Widget; Gadget"
+ *
+ * @param {*} value
+ * @returns {Array<*>}
+ */
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (isEmptyValue(value)) {
+    return [];
+  }
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) {
+        return list;
+      }
+    } catch {
+      // Not JSON, split as text
+    }
+  }
+
+  return text
+    .split(/\r?\n|;/)
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * @param {Object[]} nodes
+ * @param {Function} predicate
+ * @returns {number} - Number of nodes, including nested nodes, matching predicate
+ */
+function countNodes(nodes, predicate) {
+  return nodes.reduce(
+    (count, node) =>
+      count +
+      (predicate(node) ? 1 : 0) +
+      countNodes(node.children || [], predicate) +
+      countNodes(node.elseChildren || [], predicate),
+    0,
+  );
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} - False for empty values, empty lists, "0", "false" and "no"
+ */
+function isTruthy(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return (
+    !isEmptyValue(value) &&
+    !falseValues.includes(String(value).trim().toLowerCase())
+  );
+}
+
+/**
+ * @param {*} value
+ * @returns {number|null} - Null if value is not a number
+ */
+function toNumber(value) {
+  if (typeof value === "number") {
+    return value;
+  }
+  const text = String(value ?? "").trim();
+  return text !== "" && !isNaN(Number(text)) ? Number(text) : null;
+}
+
+/**
+ * @param {string} value
+ * @param {boolean} escapeHtml
+ * @returns {string}
+ */
+function escapeValue(value, escapeHtml) {
+  return escapeHtml
+    ? value.replace(/[&<>"']/g, (character) => htmlEscapes[character])
+    : value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
@@ -0,0 +1,106 @@
+/**
+ * Plain text versions of HTML emails, sent as the text/plain part next to the HTML.
+ * Mail clients and spam filters treat HTML-only mail as suspicious
+ */
+
+const namedEntities = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  bull: "•",
+  middot: "·",
+  zwnj: "",
+  zwj: "",
+};
+
+const hiddenElementPatterns = [
+  /<!--[\s\S]*?-->/g,
+  /<(head|style|script|title)\b[^>]*>[\s\S]*?<\/\1>/gi,
+  /<(span|div)\b[^>]*class="[^"]*\bpreheader\b[^"]*"[^>]*>[\s\S]*?<\/\1>/gi,
+  /<div\b[^>]*style="[^"]*display:\s*none[^"]*"[^>]*>[\s\S]*?<\/div>/gi,
+];
+
+const blockElements =
+  "p|div|h[1-6]|table|tr|ul|ol|blockquote|pre|section|article|header|footer|center";
+
+/**
+ * Converts HTML email to readable plain text. Links keep their URL, i.e `<a href="https://x.com">Shop</a>`
+ * becomes "Shop (https://x.com)", and paragraphs are separated by a blank line
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  let text = String(html ?? "");
+
+  hiddenElementPatterns.forEach((pattern) => {
+    text = text.replace(pattern, "");
+  });
+
+  // Line breaks in HTML source are spaces, only <br> and block elements break lines
+  text = text
+    .replace(/\s+/g, " ")
+    .replace(
+      /<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi,
+      (match, href, label) => {
+        const labelText = stripTags(label).trim();
+        const url = decodeEntities(href).trim();
+        if (!labelText || labelText === url || url.startsWith("#")) {
+          return labelText || url;
+        }
+        return `${labelText} (${url.replace(/^mailto:([^?]*).*$/i, "$1")})`;
+      },
+    )
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/(td|th)>/gi, " ")
+    .replace(new RegExp(`</?(${blockElements})\\b[^>]*>`, "gi"), "\n\n");
+
+  text = decodeEntities(stripTags(text))
+    .replace(/[\u200b-\u200d\u00ad\ufeff]/g, "")
+    .replace(/[^\S\n]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n");
+
+  return text.trim();
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ */
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, "");
+}
+
+/**
+ * @param {string} text
+ * @returns {string} - i.e "&amp;" becomes "&", "&#39;" becomes "'"
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const codePoint =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    }
+    return namedEntities[entity.toLowerCase()] ?? match;
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Token bucket rate limiter. The bucket holds up to `ratePerSecond` tokens and
+ * refills continuously, each acquire() takes one token or waits until one is available
+ *
+ * @param {number} ratePerSecond - Maximum sustained operations per second
+ * @returns {{acquire: () => Promise<void>}}
+ */
+export function createRateLimiter(ratePerSecond) {
+  const capacity = Math.max(1, ratePerSecond);
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(
+      capacity,
+      tokens + ((now - lastRefill) / 1000) * ratePerSecond,
+    );
+    lastRefill = now;
+  };
+
+  const take = async () => {
+    refill();
+    while (tokens < 1) {
+      await sleep(((1 - tokens) / ratePerSecond) * 1000);
+      refill();
+    }
+    tokens -= 1;
+  };
+
+  return {
+    acquire() {
+      // Chain acquires so waiting callers are served in order
+      queue = queue.then(take);
+      return queue;
+    },
+  };
+}
+
+/**
+ * Maps items through async worker with at most `limit` workers running at once
+ *
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent workers
+ * @param {(item: *, index: number) => Promise<*>} worker
+ * @returns {Promise<Array>} - Worker results in same order as items
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+/**
+ * Splits array into chunks of given size
+ *
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array<Array>}
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * @param {number} milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
@@ -4,7 +4,13 @@ import {
   englishDataset,
   englishRecommendedTransformers,
 } from "obscenity";
-import { getUserByEmail } from "../auth0.js";
+import { getUserByEmail, reserveTokens } from "../auth0.js";
+import {
+  countPositionalPlaceholders,
+  getMissingVariables,
+  hasNamedPlaceholders,
+  parseTemplate,
+} from "./templating.js";
 
 /**
  * Validates if given email matches standard email format
@@ -30,12 +36,13 @@ export function isValidMobile(mobileNumber) {
 }
 
 /**
- * Validates batch by checking if user exists, is active and has sufficient tokens
+ * Validates batch by checking if user exists and is active, then reserves the batch cost.
+ * The returned hold must be settled with commitTokens or releaseTokens
  *
  * @param {string} emailAddress - Client email address
  * @param {number} batchSize - i.e The amount of email addresses to process
  * @param {string} batchType - i.e "email"
- * @returns {Promise<Object>|undefined} - Response object if validation error occurs, else undefined
+ * @returns {Promise<string>} - Token hold ID
  * @throws {Error} - User retrieval fails
  * @throws {Error} - User is not active
  * @throws {Error} - User email not verified
@@ -51,7 +58,6 @@ export async function validateBatchRequest(emailAddress, batchSize, batchType) {
 
   const userActiveStatus = userByEmailResponse.data[0].user_metadata.is_active;
   const userEmailVerified = userByEmailResponse.data[0].email_verified;
-  const userTokens = userByEmailResponse.data[0].user_metadata.tokens;
 
   if (!userActiveStatus) {
     throw new Error("User is not active!");
@@ -62,9 +68,14 @@ export async function validateBatchRequest(emailAddress, batchSize, batchType) {
   }
 
   const batchCost = calculateBatchCost(batchSize, batchType);
-  if (batchCost > userTokens) {
-    throw new Error("User has insufficient tokens!");
+  const reserveTokensResponse = await reserveTokens(emailAddress, batchCost);
+  if (reserveTokensResponse.statusCode !== 200) {
+    throw new Error(
+      reserveTokensResponse.message + " " + reserveTokensResponse.details,
+    );
   }
+
+  return reserveTokensResponse.data.holdId;
 }
 
 /**
@@ -103,12 +114,14 @@ export function calculateBatchCost(batchSize, batchType) {
  * @param {string} emailSubject
  * @param {string[]} emailParagraphs
  * @param {Object} emailParameterMaps - JSON object containing email addresses and relative parameters
+ * @param {string[]} [emailTextParagraphs] - Plain text paragraphs, validated like paragraphs if provided
  * @returns {Promise<Object>|undefined} - Response object if validation error occurs, else undefined
  * @throws {Error} - Client name is missing
  * @throws {Error} - Client email address is missing
  * @throws {Error} - Company name is missing
  * @throws {Error} - Company address is missing
  * @throws {Error} - Email subject is missing
+ * @throws {Error} - Client email address or email subject contains a line break
  * @throws {Error} - At least one paragraph is not provided
  * @throws {Error} - No email address is provided
  * @throws {Error} - Message placeholder validation fails
@@ -121,6 +134,7 @@ export function validateEmailSheetFields(
   emailSubject,
   emailParagraphs,
   emailParameterMaps,
+  emailTextParagraphs = [],
 ) {
   if (clientName == null) {
     throw new Error("Client name missing in speadsheet!");
@@ -142,6 +156,13 @@ export function validateEmailSheetFields(
     throw new Error("Email subject missing in speadsheet!");
   }
 
+  // Line breaks would end the header and start a new one, i.e "Bcc:"
+  if (/[\r\n]/.test(String(clientEmail) + String(emailSubject))) {
+    throw new Error(
+      "Client email address and email subject may not contain line breaks!",
+    );
+  }
+
   const allParagraphsNull = emailParagraphs.every(
     (row) => row === null || row === undefined || row.trim() === "",
   );
@@ -164,6 +185,16 @@ export function validateEmailSheetFields(
       "Failed to validate message placeholders: " + error.message,
     );
   }
+
+  if (emailTextParagraphs.length > 0) {
+    try {
+      validateMessagePlaceholders(emailTextParagraphs, emailParameterMaps);
+    } catch (error) {
+      throw new Error(
+        "Failed to validate text paragraph placeholders: " + error.message,
+      );
+    }
+  }
 }
 
 /**
@@ -291,25 +322,58 @@ export function censorMessageBody(message) {
 }
 
 /**
- * Validates placeholder count in message paragraphs against parameter count in each map
+ * Validates message paragraphs as templates, then renders them against each parameter map. The `{}` placeholder count
+ * must match the parameter count, unless the message only uses named placeholders. Named placeholders without
+ * a default value must have a value in every row where they are rendered
  *
- * @param {string[]} messageParagraphs - List of paragraphs containing '{}' placeholders
- * @param {Array<{ parameters: string[] }>} parameterMaps - List of objects, each with `parameters` array
+ * @param {string[]} messageParagraphs - List of paragraphs containing '{}' or '{{name}}' placeholders
+ * @param {Array<{ parameters: string[], variables?: Object }>} parameterMaps - List of objects, each with `parameters` array and named `variables`
  * @returns {Promise<Object>|undefined} - Response object if validation error occurs, else undefined
+ * @throws {Error} - Message paragraph is not a valid template
  * @throws {Error} - Number of placeholders in message paragraph does not match number of parameters in map
+ * @throws {Error} - Named placeholders are missing values in one or more rows
  */
 function validateMessagePlaceholders(messageParagraphs, parameterMaps) {
-  const placeholderCount = messageParagraphs.reduce((count, paragraph) => {
-    const matches = paragraph.match(/\{\}/g);
-    return count + (matches ? matches.length : 0);
-  }, 0);
-
-  parameterMaps.forEach((emailParameterMap, index) => {
-    const parameterCount = emailParameterMap.parameters.length;
-    if (placeholderCount !== parameterCount) {
+  messageParagraphs.forEach((paragraph, index) => {
+    try {
+      parseTemplate(paragraph);
+    } catch (error) {
       throw new Error(
-        `Parameter mismatch detected in row[${index + 1}]: Found ${placeholderCount} '{}' placeholders but ${parameterCount} parameter values!`,
+        `Invalid template in paragraph[${index + 1}]: ${error.message}`,
       );
     }
   });
+
+  const placeholderCount = countPositionalPlaceholders(messageParagraphs);
+
+  if (placeholderCount > 0 || !hasNamedPlaceholders(messageParagraphs)) {
+    parameterMaps.forEach((emailParameterMap, index) => {
+      const parameterCount = emailParameterMap.parameters.length;
+      if (placeholderCount !== parameterCount) {
+        throw new Error(
+          `Parameter mismatch detected in row[${index + 1}]: Found ${placeholderCount} '{}' placeholders but ${parameterCount} parameter values!`,
+        );
+      }
+    });
+  }
+
+  const missingVariableRows = parameterMaps
+    .map((parameterMap, index) => {
+      const missingVariables = getMissingVariables(
+        messageParagraphs,
+        parameterMap.variables,
+        parameterMap.parameters,
+      );
+
+      return missingVariables.length > 0
+        ? `row[${index + 1}] (${parameterMap.email || parameterMap.mobile}) is missing ${missingVariables.join(", ")}`
+        : null;
+    })
+    .filter((row) => row !== null);
+
+  if (missingVariableRows.length > 0) {
+    throw new Error(
+      `Named placeholder values missing: ${missingVariableRows.join("; ")}!`,
+    );
+  }
 }
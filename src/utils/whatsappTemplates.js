@@ -0,0 +1,395 @@
+import { readJsonFile, resolveDataPath, writeJsonFile } from "./store.js";
+
+/**
+ * WhatsApp template messages are sent with components that fill the placeholders of the approved template:
+ *
+ * - Body: parameter columns of the sheet, in order, i.e "Hi {{1}}, your order {{2}} shipped".
+ *   Templates with named parameters, i.e {{first_name}}, are filled from the parameter column with that header
+ * - Header: "Header" column, or the "WhatsApp Header:" field for every recipient. Text headers use it as
+ *   text, image, document and video headers as media URL (https://...) or uploaded media ID
+ * - Buttons: "Button 1" to "Button 10" columns, by position of the button in the template. URL buttons use it
+ *   as suffix of their dynamic URL, quick reply buttons as payload and copy code buttons as coupon code
+ *
+ * Template definitions of a business account are cached in <data>/whatsapp_templates/<businessAccountId>.json,
+ * i.e { businessAccountId, syncedAt, templates: [{ name, language, status, ... }] }, and every batch is checked
+ * against them, so an unknown template, language or a parameter mismatch fails before anything is sent
+ */
+
+export const maxTemplateButtons = 10;
+
+export const defaultTemplateLanguage = "en_US";
+
+const mediaHeaderFormats = {
+  IMAGE: "image",
+  DOCUMENT: "document",
+  VIDEO: "video",
+};
+
+/**
+ * Builds send components of template message for one recipient
+ *
+ * @param {Object} template - Template definition, i.e { name, language, parameter_format, components: [{ type: "BODY", text }] }
+ * @param {Object} values
+ * @param {Array<*>} [values.parameters] - Body parameters in order
+ * @param {Object<string, *>} [values.variables] - Named parameters, by variable name
+ * @param {*} [values.header] - Header text, media URL or media ID
+ * @param {Array<*>} [values.buttons] - Button parameters by button index
+ * @returns {Object[]} - Components of send request
+ * @throws {Error} - Values do not match placeholders of template
+ */
+export function buildTemplateComponents(template, values) {
+  const components = [];
+  const definitions = template.components || [];
+  const isNamed = template.parameter_format === "NAMED";
+
+  const header = definitions.find((component) => component.type === "HEADER");
+  const headerParameter = buildHeaderParameter(header, values.header);
+  if (headerParameter) {
+    components.push({ type: "header", parameters: [headerParameter] });
+  }
+
+  const body = definitions.find((component) => component.type === "BODY");
+  const bodyParameters = buildBodyParameters(body, values, isNamed);
+  if (bodyParameters.length > 0) {
+    components.push({ type: "body", parameters: bodyParameters });
+  }
+
+  const buttons =
+    definitions.find((component) => component.type === "BUTTONS")?.buttons ||
+    [];
+  const buttonValues = values.buttons || [];
+  if (buttonValues.length > buttons.length) {
+    throw new Error(
+      `Template "${template.name}" has ${buttons.length} buttons, sheet has parameters for ${buttonValues.length}`,
+    );
+  }
+  buttons.forEach((button, index) => {
+    const buttonComponent = buildButtonComponent(
+      button,
+      index,
+      buttonValues[index],
+    );
+    if (buttonComponent) {
+      components.push(buttonComponent);
+    }
+  });
+
+  return components;
+}
+
+/**
+ * Builds send components of every recipient, so parameters of all rows are checked before anything is sent.
+ * Rows are matched with the template in their language
+ *
+ * @param {Object[]} templates - Template definitions of business account
+ * @param {string} templateName - i.e "order_update"
+ * @param {Array<{mobile: string, language: string, parameters: Array<*>, variables: Object, header: *, buttons: Array<*>}>} parameterMaps
+ * @returns {Map<string, Object[]>} - Components by mobile number
+ * @throws {Error} - Template is not approved in language of one or more rows
+ * @throws {Error} - Values of one or more rows do not match placeholders of template
+ */
+export function buildRecipientComponents(
+  templates,
+  templateName,
+  parameterMaps,
+) {
+  const templatesByLanguage = new Map();
+  const invalidLanguages = [];
+  new Set(parameterMaps.map((parameterMap) => parameterMap.language)).forEach(
+    (languageCode) => {
+      try {
+        templatesByLanguage.set(
+          languageCode,
+          findTemplate(templates, templateName, languageCode),
+        );
+      } catch (error) {
+        invalidLanguages.push(error.message);
+      }
+    },
+  );
+  if (invalidLanguages.length > 0) {
+    throw new Error(invalidLanguages.join("; "));
+  }
+
+  const recipientComponents = new Map();
+  const invalidRows = [];
+
+  parameterMaps.forEach((parameterMap, index) => {
+    try {
+      recipientComponents.set(
+        parameterMap.mobile,
+        buildTemplateComponents(
+          templatesByLanguage.get(parameterMap.language),
+          parameterMap,
+        ),
+      );
+    } catch (error) {
+      invalidRows.push(
+        `row[${index + 1}] (${parameterMap.mobile}): ${error.message}`,
+      );
+    }
+  });
+
+  if (invalidRows.length > 0) {
+    throw new Error(
+      `Template "${templateName}" parameter mismatch: ${invalidRows.join("; ")}!`,
+    );
+  }
+
+  return recipientComponents;
+}
+
+/**
+ * Finds approved template definition by name and language
+ *
+ * @param {Object[]} templates - Template definitions of business account
+ * @param {string} name - i.e "order_update"
+ * @param {string} languageCode - i.e "en_US"
+ * @returns {Object}
+ * @throws {Error} - Template does not exist, does not exist in language or is not approved
+ */
+export function findTemplate(templates, name, languageCode) {
+  const namedTemplates = templates.filter(
+    (definition) => definition.name === name,
+  );
+  if (namedTemplates.length === 0) {
+    throw new Error(`Template "${name}" not found`);
+  }
+
+  const template = namedTemplates.find(
+    (definition) => definition.language === languageCode,
+  );
+  if (!template) {
+    throw new Error(
+      `Template "${name}" not available in ${languageCode}, available languages: ${namedTemplates.map((definition) => definition.language).join(", ")}`,
+    );
+  }
+  if (template.status !== "APPROVED") {
+    throw new Error(
+      `Template "${name}" (${languageCode}) is ${template.status}, only approved templates can be sent`,
+    );
+  }
+  return template;
+}
+
+/**
+ * Fetches every template of business account from WhatsApp provider and replaces its cached catalogue
+ *
+ * @param {Object} provider - WhatsApp provider, see providers/index.js
+ * @param {string} businessAccountId
+ * @returns {Promise<Object>} - Catalogue, i.e { businessAccountId, syncedAt, templates }
+ * @throws {Error} - Business account ID is missing, provider cannot fetch templates or request fails
+ */
+export async function syncTemplateCatalogue(provider, businessAccountId) {
+  if (!provider.getTemplates) {
+    throw new Error(
+      `WhatsApp provider "${provider.name}" cannot fetch templates`,
+    );
+  }
+
+  const templates = await provider.getTemplates();
+  const catalogue = {
+    businessAccountId,
+    syncedAt: new Date().toISOString(),
+    templates: templates.map(
+      ({ name, language, status, category, parameter_format, components }) => ({
+        name,
+        language,
+        status,
+        category,
+        parameter_format,
+        components,
+      }),
+    ),
+  };
+  writeJsonFile(getCatalogueFilePath(businessAccountId), catalogue);
+
+  return catalogue;
+}
+
+/**
+ * Returns cached template catalogue of business account
+ *
+ * @param {string} businessAccountId
+ * @returns {Object|null} - null if catalogue was never synced
+ * @throws {Error} - Business account ID is missing
+ */
+export function getTemplateCatalogue(businessAccountId) {
+  return readJsonFile(getCatalogueFilePath(businessAccountId), null);
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} - Distinct placeholders in order of first use, i.e ["1", "2"] or ["first_name"]
+ */
+export function getTemplatePlaceholders(text) {
+  const placeholders = [];
+  for (const match of String(text || "").matchAll(/{{\s*(\w+)\s*}}/g)) {
+    if (!placeholders.includes(match[1])) {
+      placeholders.push(match[1]);
+    }
+  }
+  return placeholders;
+}
+
+/**
+ * @param {Object} [header] - HEADER component of template
+ * @param {*} value
+ * @returns {Object|undefined}
+ * @throws {Error} - Header value is missing, not needed or format is unsupported
+ */
+function buildHeaderParameter(header, value) {
+  const hasValue = !isEmptyValue(value);
+
+  if (!header) {
+    if (hasValue) {
+      throw new Error("Template has no header, sheet has a header value");
+    }
+    return undefined;
+  }
+
+  if (header.format === "TEXT") {
+    const placeholders = getTemplatePlaceholders(header.text);
+    if (placeholders.length === 0) {
+      if (hasValue) {
+        throw new Error(
+          "Template header has no placeholder, sheet has a header value",
+        );
+      }
+      return undefined;
+    }
+    if (!hasValue) {
+      throw new Error("Header text missing");
+    }
+    return {
+      type: "text",
+      text: String(value),
+      ...(isNaN(placeholders[0]) && { parameter_name: placeholders[0] }),
+    };
+  }
+
+  const mediaType = mediaHeaderFormats[header.format];
+  if (!mediaType) {
+    throw new Error(`Template header format ${header.format} not supported`);
+  }
+  if (!hasValue) {
+    throw new Error(`Header ${mediaType} URL or media ID missing`);
+  }
+
+  const media = String(value).trim();
+  return {
+    type: mediaType,
+    [mediaType]: /^https?:\/\//i.test(media) ? { link: media } : { id: media },
+  };
+}
+
+/**
+ * @param {Object} [body] - BODY component of template
+ * @param {Object} values
+ * @param {boolean} isNamed - Template uses named parameters
+ * @returns {Object[]}
+ * @throws {Error} - Number of parameters does not match, or named parameter is missing
+ */
+function buildBodyParameters(body, values, isNamed) {
+  const placeholders = getTemplatePlaceholders(body?.text);
+
+  if (isNamed) {
+    return placeholders.map((placeholder) => {
+      const value = values.variables?.[placeholder];
+      if (isEmptyValue(value)) {
+        throw new Error(`Body parameter "${placeholder}" missing`);
+      }
+      return { type: "text", parameter_name: placeholder, text: String(value) };
+    });
+  }
+
+  const parameters = values.parameters || [];
+  if (parameters.length !== placeholders.length) {
+    throw new Error(
+      `Template body expects ${placeholders.length} parameters, got ${parameters.length}`,
+    );
+  }
+  return parameters.map((parameter) => ({
+    type: "text",
+    text: String(parameter),
+  }));
+}
+
+/**
+ * @param {Object} button - Button of BUTTONS component, i.e { type: "URL", url: "https://shop.com/{{1}}" }
+ * @param {number} index
+ * @param {*} value
+ * @returns {Object|undefined}
+ * @throws {Error} - Button parameter is missing or button takes no parameter
+ */
+function buildButtonComponent(button, index, value) {
+  const hasValue = !isEmptyValue(value);
+  const label = `Button ${index + 1} (${button.text || button.type})`;
+
+  if (button.type === "URL" && getTemplatePlaceholders(button.url).length > 0) {
+    if (!hasValue) {
+      throw new Error(`${label} URL suffix missing`);
+    }
+    return {
+      type: "button",
+      sub_type: "url",
+      index: String(index),
+      parameters: [{ type: "text", text: String(value) }],
+    };
+  }
+
+  if (button.type === "COPY_CODE") {
+    if (!hasValue) {
+      throw new Error(`${label} coupon code missing`);
+    }
+    return {
+      type: "button",
+      sub_type: "copy_code",
+      index: String(index),
+      parameters: [{ type: "coupon_code", coupon_code: String(value) }],
+    };
+  }
+
+  if (button.type === "QUICK_REPLY") {
+    if (!hasValue) {
+      return undefined;
+    }
+    return {
+      type: "button",
+      sub_type: "quick_reply",
+      index: String(index),
+      parameters: [{ type: "payload", payload: String(value) }],
+    };
+  }
+
+  if (hasValue) {
+    throw new Error(`${label} takes no parameter`);
+  }
+  return undefined;
+}
+
+/**
+ * @param {string} businessAccountId
+ * @returns {string}
+ * @throws {Error} - Business account ID is missing or not numeric
+ */
+function getCatalogueFilePath(businessAccountId) {
+  if (!businessAccountId) {
+    throw new Error("WhatsApp business account ID missing");
+  }
+  // Account ID is used as file name, so it may not contain path separators
+  if (!/^\d+$/.test(String(businessAccountId))) {
+    throw new Error(
+      `Invalid WhatsApp business account ID: ${businessAccountId}`,
+    );
+  }
+  return resolveDataPath("whatsapp_templates", `${businessAccountId}.json`);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
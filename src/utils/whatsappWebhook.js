@@ -0,0 +1,154 @@
+import { createHmac, timingSafeEqual } from "crypto";
+import "dotenv/config";
+
+/**
+ * WhatsApp Cloud API webhooks. Meta verifies the callback URL once with a GET request carrying
+ * NEXT_PUBLIC_WA_WEBHOOK_VERIFY_TOKEN, and signs every POST with the app secret in the X-Hub-Signature-256 header
+ */
+
+const statusEventTypes = {
+  sent: "Send",
+  delivered: "Delivery",
+  read: "Read",
+  failed: "Failure",
+};
+
+// Replies that opt the recipient out of WhatsApp messages of the client, compared case insensitively
+const optOutKeywords = ["STOP", "UNSUBSCRIBE"];
+// Cloud API error of messages to recipients that stopped marketing messages of the business
+const optedOutErrorCode = 131050;
+
+/**
+ * Verifies subscription handshake of webhook
+ *
+ * @param {string} mode - hub.mode query parameter
+ * @param {string} token - hub.verify_token query parameter
+ * @param {string} challenge - hub.challenge query parameter, echoed back when verified
+ * @returns {string} - Challenge
+ * @throws {Error} - Verify token is not configured or does not match
+ */
+export function verifyWhatsappSubscription(mode, token, challenge) {
+  const verifyToken = process.env.NEXT_PUBLIC_WA_WEBHOOK_VERIFY_TOKEN;
+  if (!verifyToken) {
+    throw new Error("WhatsApp webhook verify token missing");
+  }
+  if (mode !== "subscribe" || token !== verifyToken || !challenge) {
+    throw new Error("Invalid WhatsApp webhook verification");
+  }
+  return challenge;
+}
+
+/**
+ * Verifies X-Hub-Signature-256 header of webhook request against NEXT_PUBLIC_WA_APP_SECRET
+ *
+ * @param {string} body - Raw request body
+ * @param {string} signature - i.e "sha256=5f2b..."
+ * @returns {Object} - Parsed payload
+ * @throws {Error} - App secret is not configured, signature is invalid or body is not JSON
+ */
+export function verifyWhatsappPayload(body, signature) {
+  const appSecret = process.env.NEXT_PUBLIC_WA_APP_SECRET;
+  if (!appSecret) {
+    throw new Error("WhatsApp app secret missing");
+  }
+
+  const expected = Buffer.from(
+    "sha256=" + createHmac("sha256", appSecret).update(body).digest("hex"),
+  );
+  const actual = Buffer.from(String(signature || ""));
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error("Invalid WhatsApp webhook signature");
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new Error("Malformed WhatsApp webhook payload");
+  }
+}
+
+/**
+ * Converts message statuses of webhook payload to event store records, see utils/events.js.
+ * Other changes, i.e incoming messages, are ignored
+ *
+ * @param {Object} payload - Webhook payload, i.e { object: "whatsapp_business_account", entry: [{ changes: [...] }] }
+ * @returns {Object[]} - i.e [{ messageId, channel: "whatsapp", eventType: "Read", recipients, at, notificationId, event }]
+ */
+export function parseWhatsappStatuses(payload) {
+  if (payload?.object !== "whatsapp_business_account") {
+    return [];
+  }
+
+  return (payload.entry || [])
+    .flatMap((entry) => entry.changes || [])
+    .filter((change) => change.field === "messages")
+    .flatMap((change) => change.value?.statuses || [])
+    .filter((status) => status.id && statusEventTypes[status.status])
+    .map((status) => ({
+      messageId: status.id,
+      channel: "whatsapp",
+      eventType: statusEventTypes[status.status],
+      recipients: [status.recipient_id],
+      at: toIsoTime(status.timestamp),
+      notificationId: `${status.id}:${status.status}`,
+      event: status,
+    }));
+}
+
+/**
+ * Converts STOP replies and messages that failed because the recipient stopped marketing messages to opt-outs.
+ * messageId is the message the recipient replied to or that failed, replies without it were not sent as a reply
+ *
+ * @param {Object} payload - Webhook payload, see parseWhatsappStatuses
+ * @returns {Array<{recipient: string, reason: string, messageId?: string, at: string}>} - i.e [{ recipient: "+27821234567", reason: "stop", messageId, at }]
+ */
+export function parseWhatsappOptOuts(payload) {
+  if (payload?.object !== "whatsapp_business_account") {
+    return [];
+  }
+
+  const values = (payload.entry || [])
+    .flatMap((entry) => entry.changes || [])
+    .filter((change) => change.field === "messages")
+    .map((change) => change.value || {});
+
+  const replies = values
+    .flatMap((value) => value.messages || [])
+    .filter((message) =>
+      optOutKeywords.includes(
+        String(message.text?.body ?? message.button?.text ?? "")
+          .trim()
+          .toUpperCase(),
+      ),
+    )
+    .map((message) => ({
+      recipient: `+${message.from}`,
+      reason: "stop",
+      messageId: message.context?.id,
+      at: toIsoTime(message.timestamp),
+    }));
+
+  const failures = values
+    .flatMap((value) => value.statuses || [])
+    .filter(
+      (status) =>
+        status.status === "failed" &&
+        status.errors?.some((error) => error.code === optedOutErrorCode),
+    )
+    .map((status) => ({
+      recipient: `+${status.recipient_id}`,
+      reason: "opt_out",
+      messageId: status.id,
+      at: toIsoTime(status.timestamp),
+    }));
+
+  return [...replies, ...failures];
+}
+
+/**
+ * @param {string} timestamp - Unix time in seconds, as sent by the webhook
+ * @returns {string}
+ */
+function toIsoTime(timestamp) {
+  return new Date(Number(timestamp) * 1000 || Date.now()).toISOString();
+}
@@ -0,0 +1,242 @@
+import XLSX from "xlsx";
+import { readFileSync } from "fs";
+import { extname } from "path";
+
+/**
+ * Recipient files are read into an XLSX workbook with a single sheet, so every format
+ * produces the same rows as the Excel sheet templates in misc/excel_sheets:
+ *
+ * - .xlsx, .xlsm, .xls, .ods: read as is
+ * - .csv, .tsv, .txt: rows of the sheet, delimiter and encoding are detected
+ * - .json: array of rows, each row an array of cells or an object keyed by column header
+ * - .ndjson, .jsonl: one row per line, same as .json
+ */
+
+const delimitedExtensions = [".csv", ".tsv", ".txt"];
+const jsonExtensions = [".json", ".ndjson", ".jsonl"];
+const delimiterCandidates = [",", ";", "\t", "|"];
+
+// Number of lines sampled to detect delimiter
+const delimiterSampleLines = 10;
+
+/**
+ * Reads recipient file into workbook, format is detected by file extension
+ *
+ * @param {string} filePath - Resolved path to recipient file
+ * @returns {Object} - XLSX workbook
+ * @throws {Error} - File cannot be read or parsed
+ */
+export function readWorkbook(filePath) {
+  const extension = extname(filePath).toLowerCase();
+
+  let rows;
+  if (delimitedExtensions.includes(extension)) {
+    const text = decodeText(readFileSync(filePath));
+    rows = parseDelimitedText(
+      text,
+      extension === ".tsv" ? "\t" : detectDelimiter(text),
+    );
+  } else if (jsonExtensions.includes(extension)) {
+    rows = parseJsonRows(
+      decodeText(readFileSync(filePath)),
+      extension !== ".json",
+    );
+  } else {
+    return XLSX.readFile(filePath);
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(
+      rows.map((row) =>
+        row.map((cell) => (cell === "" || cell === undefined ? null : cell)),
+      ),
+    ),
+    "Sheet1",
+  );
+
+  return workbook;
+}
+
+/**
+ * Decodes file contents using its byte order mark, else as UTF-8, falling back to Windows-1252
+ * for files exported by older spreadsheet applications
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder("utf-8").decode(buffer.subarray(3));
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder("utf-16le").decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(buffer.subarray(2));
+  }
+
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder("windows-1252").decode(buffer);
+  }
+}
+
+/**
+ * Picks delimiter that occurs most often outside quotes in the first lines of text
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const counts = new Map(
+    delimiterCandidates.map((candidate) => [candidate, 0]),
+  );
+  let isQuoted = false;
+  let lineCount = 0;
+
+  for (const character of text) {
+    if (character === '"') {
+      isQuoted = !isQuoted;
+    } else if (!isQuoted && character === "\n") {
+      lineCount++;
+      if (lineCount >= delimiterSampleLines) {
+        break;
+      }
+    } else if (!isQuoted && counts.has(character)) {
+      counts.set(character, counts.get(character) + 1);
+    }
+  }
+
+  return [...counts.entries()].reduce((best, entry) =>
+    entry[1] > best[1] ? entry : best,
+  )[0];
+}
+
+/**
+ * Parses delimited text into rows of cells. Cells may be quoted with double quotes,
+ * quoted cells may contain delimiters, line breaks and escaped quotes ("")
+ *
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ * @throws {Error} - Quoted cell is not closed
+ */
+function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let isQuoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+
+    if (isQuoted) {
+      if (character === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        isQuoted = false;
+      } else {
+        cell += character;
+      }
+    } else if (character === '"' && cell === "") {
+      isQuoted = true;
+    } else if (character === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (character === "\n" || character === "\r") {
+      if (character === "\r" && text[index + 1] === "\n") {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += character;
+    }
+  }
+
+  if (isQuoted) {
+    throw new Error(
+      "Failed to parse delimited file: quoted cell is not closed",
+    );
+  }
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Parses JSON or newline delimited JSON into rows of cells. Rows given as objects are
+ * converted to arrays, with their keys as the header row in order of first appearance
+ *
+ * @param {string} text
+ * @param {boolean} isNewlineDelimited - If true, every non-empty line is a row
+ * @returns {Array<Array<string|null>>}
+ * @throws {Error} - JSON is invalid or is not a list of rows
+ */
+function parseJsonRows(text, isNewlineDelimited) {
+  let values;
+  try {
+    values = isNewlineDelimited
+      ? text
+          .split(/\r?\n/)
+          .filter((line) => line.trim() !== "")
+          .map((line) => JSON.parse(line))
+      : JSON.parse(text);
+  } catch (error) {
+    throw new Error("Failed to parse JSON file: " + error.message);
+  }
+
+  if (!Array.isArray(values)) {
+    throw new Error("Failed to parse JSON file: expected a list of rows");
+  }
+
+  const headers = [];
+  values.forEach((value) => {
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      Object.keys(value).forEach((key) => {
+        if (!headers.includes(key)) {
+          headers.push(key);
+        }
+      });
+    }
+  });
+
+  const rows = values.map((value, index) => {
+    if (Array.isArray(value)) {
+      return value.map(toCell);
+    }
+    if (value !== null && typeof value === "object") {
+      return headers.map((header) => toCell(value[header]));
+    }
+    throw new Error(
+      `Failed to parse JSON file: row ${index + 1} is not an array or object`,
+    );
+  });
+
+  return headers.length > 0 ? [headers, ...rows] : rows;
+}
+
+/**
+ * Converts JSON value to sheet cell, numbers and booleans are kept as text like delimited files
+ *
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toCell(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value === "object") {
+    throw new Error("Failed to parse JSON file: cells cannot be objects");
+  }
+  return String(value);
+}
@@ -1,67 +1,61 @@
-import axios from "axios";
-import { updateUserTokens } from "./auth0.js";
+import { commitTokens, releaseTokens } from "./auth0.js";
+import { getProvider } from "./providers/index.js";
 import { emailLogFileToClient } from "./email.js";
 import ResponseHandler from "./utils/response.js";
 import { extractWhatsapp } from "./utils/excel.js";
+import {
+  createBatchJob,
+  completeBatchJob,
+  recordBatchCharge,
+  getUnchargedRecipients,
+  getRecipientCosts,
+  recordRecipientResult,
+  filterPendingParameterMaps,
+} from "./utils/jobs.js";
 import { logWhatsappToFile } from "./utils/logs.js";
+import { recordMessage } from "./utils/messages.js";
+import {
+  buildRecipientComponents,
+  getTemplateCatalogue,
+  syncTemplateCatalogue,
+} from "./utils/whatsappTemplates.js";
 import { updateUserWhatsAppCredentials } from "../src/auth0.js";
 import { validateBatchRequest, calculateBatchCost } from "./utils/validate.js";
 import "dotenv/config";
 
 /**
- * Send bulk WhatsApp messages using using WhatsApp Messages API
+ * Send bulk WhatsApp messages using configured WhatsApp provider
  *
- * @param {Object} messages - JSON object containing mobile numbers and message parameters
- * @param {string} accessToken
- * @param {string} apiUrl
+ * @param {Object} provider - WhatsApp provider, see providers/index.js
+ * @param {Object} messages - JSON object containing mobile numbers and template components
+ * @param {Function} [onResult] - Called with each recipient's send result as soon as it settles
  * @returns {string[]}
- * @throws {Error} - Sending message fails
  */
-async function sendBatchWhatsappTemplateMessages(
-  messages,
-  accessToken,
-  apiUrl,
-) {
+async function sendBatchWhatsappTemplateMessages(provider, messages, onResult) {
   let logs = [];
 
-  const headers = {
-    Authorization: `Bearer ${accessToken}`,
-    "Content-Type": "application/json",
-  };
-
-  const promises = messages.map(
-    async ({ phoneNumber, templateName, messageParameters, languageCode }) => {
-      const payload = {
-        messaging_product: "whatsapp",
-        to: phoneNumber,
-        type: "template",
-        template: {
-          name: templateName,
-          language: { code: languageCode },
-          components: [{ type: "body", parameters: messageParameters }],
-        },
-      };
-
-      try {
-        const response = await axios.post(apiUrl, payload, { headers });
-        logs.push(
-          `Successfully sent WhatsApp message to: ${phoneNumber}`,
-          JSON.stringify(response.data),
-        );
-      } catch (error) {
-        throw new Error(
-          `Failed to send WhatsApp message to: ${phoneNumber}: ` +
-            error?.response?.data?.error?.message,
-        );
-      }
-    },
+  const results = await provider.sendBatch(
+    messages.map(({ phoneNumber, templateName, languageCode, components }) => ({
+      to: phoneNumber,
+      templateName,
+      languageCode,
+      components,
+    })),
+    { onResult },
   );
 
-  const results = await Promise.all(promises);
   results.forEach((result) => {
-    if (result) {
-      logs.push(`Template message to ${result.phoneNumber} sent successfully.`);
+    if (result.error) {
+      logs.push(
+        `Failed to send WhatsApp message to: ${result.recipient} after ${result.attempts} attempt(s): ` +
+          (result.error.response?.data?.error?.message || result.error.message),
+      );
+      return;
     }
+    logs.push(
+      `Successfully sent WhatsApp message to: ${result.recipient}. Attempts: ${result.attempts}`,
+      JSON.stringify(result.response),
+    );
   });
 
   return logs;
@@ -69,17 +63,29 @@ async function sendBatchWhatsappTemplateMessages(
 
 /**
  * @param {boolean} isDraft - If true, only send to client
+ * @param {Object} [options]
+ * @param {string} [options.sheetLocation] - Overrides sheet location from environment variables
+ * @param {string} [options.batchId] - Resumes existing batch, skipping recipients already sent to
  */
-export async function processWhatsapp(isDraft) {
+export async function processWhatsapp(isDraft, options = {}) {
+  let batchId = options.batchId;
   let logResponse;
   let messages = [];
   let errorResponse;
   let extractResponse;
   let batchWhatsappResponse;
   let updatedUserTokens = 0;
+  let holdId;
+  let recipientCosts;
+  let provider;
+  let catalogue;
+  let recipientComponents;
+
+  const sheetLocation =
+    options.sheetLocation || process.env.NEXT_PUBLIC_WHATSAPP_SHEET_LOCATION;
 
   try {
-    extractResponse = extractWhatsapp();
+    extractResponse = extractWhatsapp(sheetLocation);
   } catch (error) {
     return ResponseHandler.error(
       undefined,
@@ -95,16 +101,67 @@ export async function processWhatsapp(isDraft) {
   const accessToken = extractResponse.whatsappAccessToken;
   const phoneNumberId = extractResponse.whatsappPhoneNumberId;
   const templateName = extractResponse.whatsappTemplateName;
+  const businessAccountId = extractResponse.whatsappBusinessAccountId;
+  const languageCode = extractResponse.whatsappTemplateLanguage;
 
   const whatsappParameterMaps = extractResponse.whatsappParameterMaps;
   const invalidMobileNumbers = extractResponse.invalidMobileNumbers;
-  const apiUrl = `${process.env.NEXT_PUBLIC_WA_API_URL}/${phoneNumberId}/messages`;
+  const suppressedMobileNumbers = extractResponse.suppressedMobileNumbers;
+  let pendingWhatsappParameterMaps = whatsappParameterMaps;
+
+  if (batchId) {
+    try {
+      pendingWhatsappParameterMaps = filterPendingParameterMaps(
+        batchId,
+        whatsappParameterMaps,
+        "mobile",
+      );
+    } catch (error) {
+      return ResponseHandler.error(
+        undefined,
+        "Failed to resume batch",
+        error.message,
+      );
+    }
+  }
+
+  try {
+    provider = getProvider("whatsapp", {
+      accessToken,
+      phoneNumberId,
+      businessAccountId,
+    });
+    // Catalogue is only fetched when the account was never synced, see admin sync-templates
+    catalogue =
+      getTemplateCatalogue(businessAccountId) ||
+      (await syncTemplateCatalogue(provider, businessAccountId));
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to load WhatsApp template catalogue",
+      error.response?.data?.error?.message || error.message,
+    );
+  }
+
+  try {
+    recipientComponents = buildRecipientComponents(
+      catalogue.templates,
+      templateName,
+      whatsappParameterMaps,
+    );
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to validate WhatsApp template",
+      error.message,
+    );
+  }
 
   if (!isDraft) {
     try {
-      await validateBatchRequest(
+      holdId = await validateBatchRequest(
         clientEmail,
-        whatsappParameterMaps.length,
+        pendingWhatsappParameterMaps.length,
         "whatsapp",
       );
     } catch (error) {
@@ -117,19 +174,21 @@ export async function processWhatsapp(isDraft) {
   }
 
   if (isDraft) {
+    // Draft is filled with parameters of the first recipient, so the client sees what recipients receive
     const message = {
       phoneNumber: clientMobile,
       templateName: templateName,
-      languageCode: "en_US",
+      languageCode: whatsappParameterMaps[0]?.language || languageCode,
+      components: recipientComponents.get(whatsappParameterMaps[0]?.mobile),
     };
     messages.push(message);
   } else {
-    whatsappParameterMaps.forEach((mobileNumber) => {
+    pendingWhatsappParameterMaps.forEach((mobileNumber) => {
       const message = {
         phoneNumber: mobileNumber.mobile,
         templateName: templateName,
-        parameters: mobileNumber.parameters,
-        languageCode: "en_US",
+        languageCode: mobileNumber.language,
+        components: recipientComponents.get(mobileNumber.mobile),
       };
       messages.push(message);
     });
@@ -137,12 +196,35 @@ export async function processWhatsapp(isDraft) {
 
   if (process.env.NEXT_PUBLIC_ENABLE_SEND_WHATSAPP === "true") {
     try {
+      if (!isDraft && !batchId) {
+        batchId = createBatchJob(
+          "whatsapp",
+          clientEmail,
+          sheetLocation,
+          whatsappParameterMaps.map((mobileNumber) => mobileNumber.mobile),
+        );
+      }
+
       batchWhatsappResponse = await sendBatchWhatsappTemplateMessages(
+        provider,
         messages,
-        accessToken,
-        apiUrl,
+        isDraft
+          ? undefined
+          : (result, message) => {
+              recordRecipientResult(batchId, result);
+              recordMessage({
+                batchId,
+                client: clientEmail,
+                channel: "whatsapp",
+                recipient: result.recipient,
+                messageId: result.messageId,
+                body: JSON.stringify(message),
+                error: result.error,
+              });
+            },
       );
     } catch (error) {
+      await releaseTokens(clientEmail, holdId);
       return ResponseHandler.error(
         undefined,
         "Failed to send batch WhatsApp",
@@ -150,6 +232,7 @@ export async function processWhatsapp(isDraft) {
       );
     }
   } else {
+    await releaseTokens(clientEmail, holdId);
     return ResponseHandler.error(
       undefined,
       "Send WhatsApp disabled",
@@ -158,21 +241,29 @@ export async function processWhatsapp(isDraft) {
   }
 
   if (!isDraft) {
-    const batchCost = calculateBatchCost(whatsappParameterMaps.length, "email");
-    const updateUserTokensResponse = await updateUserTokens(
+    const chargeableRecipients = getUnchargedRecipients(batchId);
+    const batchCost = calculateBatchCost(
+      chargeableRecipients.length,
+      "whatsapp",
+    );
+    const commitTokensResponse = await commitTokens(
       clientEmail,
+      holdId,
       batchCost,
-      "-",
-      true,
+      batchId,
+      `Sent ${chargeableRecipients.length} WhatsApp messages`,
     );
-    if (updateUserTokensResponse.statusCode !== 200) {
+    if (commitTokensResponse.statusCode !== 200) {
       return ResponseHandler.error(
         undefined,
         "Failed to update user tokens",
-        updateUserTokensResponse.details,
+        commitTokensResponse.details,
       );
     }
-    updatedUserTokens = updateUserTokensResponse.data;
+    updatedUserTokens = commitTokensResponse.data;
+    recordBatchCharge(batchId, chargeableRecipients, batchCost);
+    completeBatchJob(batchId);
+    recipientCosts = getRecipientCosts(batchId);
   }
 
   try {
@@ -180,6 +271,7 @@ export async function processWhatsapp(isDraft) {
       clientEmail,
       accessToken,
       phoneNumberId,
+      businessAccountId,
     );
   } catch (error) {
     return ResponseHandler.error(
@@ -197,9 +289,12 @@ export async function processWhatsapp(isDraft) {
       templateName,
       whatsappParameterMaps,
       invalidMobileNumbers,
+      suppressedMobileNumbers,
       batchWhatsappResponse,
       errorResponse,
       updatedUserTokens,
+      batchId,
+      recipientCosts,
     );
   } catch (error) {
     return ResponseHandler.error(
@@ -229,7 +324,9 @@ export async function processWhatsapp(isDraft) {
   }
 
   return ResponseHandler.success(
-    "Successfully sent WhatsApp batch!",
+    isDraft
+      ? "Successfully sent WhatsApp batch!"
+      : `Successfully sent WhatsApp batch ${batchId}!`,
     `You have ${updatedUserTokens} tokens left`,
   );
 }
@@ -0,0 +1,67 @@
+import { getUserByEmail } from "./auth0.js";
+import { getProvider } from "./providers/index.js";
+import ResponseHandler from "./utils/response.js";
+import { syncTemplateCatalogue } from "./utils/whatsappTemplates.js";
+import "dotenv/config";
+
+/**
+ * Fetches message templates of WhatsApp Business Account and caches them locally, see utils/whatsappTemplates.js.
+ * Without client, the account in NEXT_PUBLIC_WA_BUSINESS_ACCOUNT_ID is synced with NEXT_PUBLIC_WA_ACCESS_TOKEN,
+ * else the account and access token the client last sent a WhatsApp batch with
+ *
+ * @param {string} [clientEmail]
+ * @returns {Promise<Object>}
+ */
+export async function syncWhatsappTemplates(clientEmail) {
+  let accessToken = process.env.NEXT_PUBLIC_WA_ACCESS_TOKEN;
+  let phoneNumberId = process.env.NEXT_PUBLIC_WA_PHONE_NUMBER_ID;
+  let businessAccountId = process.env.NEXT_PUBLIC_WA_BUSINESS_ACCOUNT_ID;
+
+  if (clientEmail) {
+    const user = await getUserByEmail(clientEmail);
+    if (user.statusCode !== 200) {
+      return ResponseHandler.error(
+        user.statusCode,
+        "Failed to fetch client",
+        user.details,
+      );
+    }
+
+    const metadata = user.data[0].user_metadata || {};
+    if (!metadata.wa_access_token) {
+      return ResponseHandler.badRequest(
+        "Client has no WhatsApp credentials",
+        clientEmail,
+      );
+    }
+    accessToken = metadata.wa_access_token;
+    phoneNumberId = metadata.wa_phone_number_id;
+    businessAccountId = metadata.wa_business_account_id || businessAccountId;
+  }
+
+  try {
+    const catalogue = await syncTemplateCatalogue(
+      getProvider("whatsapp", {
+        accessToken,
+        phoneNumberId,
+        businessAccountId,
+      }),
+      businessAccountId,
+    );
+    return ResponseHandler.success("Successfully synced WhatsApp templates", {
+      businessAccountId: catalogue.businessAccountId,
+      syncedAt: catalogue.syncedAt,
+      templates: catalogue.templates.map(({ name, language, status }) => ({
+        name,
+        language,
+        status,
+      })),
+    });
+  } catch (error) {
+    return ResponseHandler.error(
+      undefined,
+      "Failed to sync WhatsApp templates",
+      error.response?.data?.error?.message || error.message,
+    );
+  }
+}